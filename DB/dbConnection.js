@@ -56,6 +56,31 @@ async function query(q, params = []) {
   return request.query(q);
 }
 
+/**
+ * Runs `fn(run)` in one transaction; `run(q, params)` works like query().
+ * Commits when fn resolves, rolls back when it throws. Requests on a
+ * transaction must not overlap, so await each run() before the next.
+ */
+async function transaction(fn) {
+  const p = await getPool();
+  const tx = new sql.Transaction(p);
+  await tx.begin();
+  const run = (q, params = []) => {
+    const request = tx.request();
+    params.forEach((v, i) => request.input(`p${i}`, v));
+    return request.query(q);
+  };
+  try {
+    const result = await fn(run);
+    await tx.commit();
+    return result;
+  } catch (e) {
+    // XACT_ABORT inside the batch may already have rolled back
+    await tx.rollback().catch(() => {});
+    throw e;
+  }
+}
+
 function addInputs(request, params = {}, types = {}) {
   for (const [name, value] of Object.entries(params)) {
     const t = types[name];
@@ -90,4 +115,12 @@ async function close() {
   }
 }
 
-module.exports = { sql, TYPES, getPool, query, execProc, close };
+module.exports = {
+  sql,
+  TYPES,
+  getPool,
+  query,
+  transaction,
+  execProc,
+  close,
+};
@@ -0,0 +1,65 @@
+// cluster.js
+const cluster = require("cluster");
+const http = require("http");
+const os = require("os");
+require("dotenv").config();
+
+/**
+ * Clustered mode: `npm run start:cluster` (CLUSTER_WORKERS, default = CPU
+ * count). The primary owns the port and hands every connection to a worker;
+ * Socket.IO polling requests of one client always reach the same worker
+ * (sticky by sid) and room emits go to every worker through the cluster
+ * adapter (IPC, no external broker).
+ *
+ * Per-process state to keep in mind:
+ *  - API key rate limits are counted in the primary (utils/apiKeys).
+ *  - Background jobs run on one worker only (CLUSTER_LEADER=1).
+ *  - Socket.IO connection state recovery is not available with the cluster
+ *    adapter; clients resume with join-offering { last_seq } instead.
+ *  - Each worker has its own SQL pool (pool.max connections each).
+ */
+const { setupMaster } = require("@socket.io/sticky");
+const { setupPrimary } = require("@socket.io/cluster-adapter");
+const { serveRateLimits } = require("./utils/apiKeys");
+
+const WORKERS = Math.max(
+  1,
+  Number(process.env.CLUSTER_WORKERS) || os.availableParallelism()
+);
+const PORT = process.env.PORT || 3000;
+
+function fork(leader) {
+  const worker = cluster.fork({ CLUSTER_LEADER: leader ? "1" : "0" });
+  worker.leader = leader;
+  serveRateLimits(worker);
+  return worker;
+}
+
+function startPrimary() {
+  const httpServer = http.createServer();
+  setupMaster(httpServer, { loadBalancingMethod: "least-connection" });
+  setupPrimary();
+  // keeps Buffers intact between workers (binary socket payloads)
+  cluster.setupPrimary({ serialization: "advanced" });
+
+  for (let i = 0; i < WORKERS; i++) fork(i === 0);
+
+  cluster.on("exit", (worker, code, signal) => {
+    console.warn(
+      `worker ${worker.process.pid} exited (${signal || code}), restarting`
+    );
+    fork(worker.leader);
+  });
+
+  httpServer.listen(PORT, () =>
+    console.log(
+      `Cluster primary ${process.pid}: ${WORKERS} workers on port ${PORT}`
+    )
+  );
+}
+
+if (cluster.isPrimary) {
+  startPrimary();
+} else {
+  require("./index.js");
+}
@@ -0,0 +1,357 @@
+// dashboard_routes/apiKeys.js
+const express = require("express");
+const router = express.Router();
+const { query } = require("../DB/dbConnection");
+const auth = require("../middleware/auth");
+const { authorize, SCOPES, isValidScope } = require("../utils/authz");
+const canManage = authorize("api_keys:manage");
+const { parsePaging } = require("../utils/paging");
+const {
+  DEFAULT_RATE_LIMIT,
+  createApiKey,
+  parseScopes,
+} = require("../utils/apiKeys");
+const { audit } = require("../utils/audit");
+
+const KEY_COLUMNS = `k.id, k.name, k.prefix, k.scopes, k.rate_limit_per_min,
+  k.expires_at, k.revoked_at, k.last_used_at, k.last_used_ip,
+  k.rotated_from, k.created_by, u.name AS created_by_name, k.created_at`;
+
+const present = (row) => ({
+  ...row,
+  scopes: parseScopes(row.scopes),
+  rate_limit_per_min: row.rate_limit_per_min || DEFAULT_RATE_LIMIT,
+});
+
+// Validates { scopes, rate_limit_per_min } from a body; returns { error } or values
+function readKeySettings(body, { partial = false } = {}) {
+  const out = {};
+  if (body.scopes !== undefined || !partial) {
+    if (!Array.isArray(body.scopes) || !body.scopes.length) {
+      return { error: "scopes must be a non-empty array" };
+    }
+    const bad = body.scopes.filter((s) => !isValidScope(s));
+    if (bad.length) return { error: `Invalid scopes: ${bad.join(", ")}` };
+    out.scopes = [...new Set(body.scopes)];
+  }
+  if (body.rate_limit_per_min != null) {
+    const n = Number(body.rate_limit_per_min);
+    if (!Number.isInteger(n) || n < 1 || n > 10000) {
+      return { error: "rate_limit_per_min must be between 1 and 10000" };
+    }
+    out.rateLimit = n;
+  }
+  return out;
+}
+
+/**
+ * GET /dashboard/api-keys/scopes
+ * Scopes a key can be given. Each may be narrowed with ":room:<id>" or
+ * ":offering:<id>".
+ */
+router.get("/scopes", auth, canManage, (req, res) => {
+  return res.json({
+    status: true,
+    scopes: SCOPES,
+    default_rate_limit_per_min: DEFAULT_RATE_LIMIT,
+  });
+});
+
+/**
+ * POST /dashboard/api-keys
+ * Body: { name, scopes: string[], rate_limit_per_min?, expires_at? | expires_in_days? }
+ * The key is only returned here.
+ */
+router.post("/", auth, canManage, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const name = String(body.name || "").trim();
+    if (!name || name.length > 100) {
+      return res
+        .status(400)
+        .json({ status: false, error: "name is required (max 100 chars)" });
+    }
+    const settings = readKeySettings(body);
+    if (settings.error) {
+      return res.status(400).json({ status: false, error: settings.error });
+    }
+
+    let expiresAt = null;
+    if (body.expires_at) {
+      expiresAt = new Date(body.expires_at);
+    } else if (body.expires_in_days != null) {
+      expiresAt = new Date(
+        Date.now() + Number(body.expires_in_days) * 86400000
+      );
+    }
+    if (expiresAt && (isNaN(expiresAt) || expiresAt <= new Date())) {
+      return res
+        .status(400)
+        .json({ status: false, error: "Expiry must be in the future" });
+    }
+
+    const created = await createApiKey({
+      name,
+      scopes: settings.scopes,
+      rateLimit: settings.rateLimit ?? null,
+      expiresAt,
+      createdBy: req.user.id,
+    });
+    await audit(req.user.id, "api_key_created", {
+      api_key_id: created.id,
+      name,
+      scopes: settings.scopes,
+    });
+
+    return res.status(201).json({
+      status: true,
+      id: created.id,
+      name,
+      prefix: created.prefix,
+      key: created.key,
+      scopes: settings.scopes,
+      rate_limit_per_min: settings.rateLimit ?? DEFAULT_RATE_LIMIT,
+      expires_at: expiresAt,
+    });
+  } catch (e) {
+    console.error("create api key error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * GET /dashboard/api-keys
+ * Query: ?active=1 | 0 (all), &search (name/prefix), &page&limit
+ */
+router.get("/", auth, canManage, async (req, res) => {
+  try {
+    const { page, limit, search } = parsePaging(req.query);
+    const activeOnly = String(req.query.active ?? "0") === "1";
+
+    const filters = [];
+    const params = [];
+    if (activeOnly) {
+      filters.push(
+        `k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > SYSUTCDATETIME())`
+      );
+    }
+    if (search) {
+      filters.push(
+        `(k.name LIKE @p${params.length} OR k.prefix = @p${params.length + 1})`
+      );
+      params.push(`%${search}%`, search);
+    }
+    const where = filters.length ? "WHERE " + filters.join(" AND ") : "";
+
+    const total = (
+      await query(
+        `SELECT COUNT(*) AS total FROM dbo.api_keys k ${where}`,
+        params
+      )
+    ).recordset[0].total;
+
+    const offset = (page - 1) * limit;
+    const dataRes = await query(
+      `SELECT ${KEY_COLUMNS}
+         FROM dbo.api_keys k
+         LEFT JOIN dbo.users u ON u.id = k.created_by
+         ${where}
+        ORDER BY k.created_at DESC, k.id DESC
+        OFFSET @p${params.length} ROWS
+        FETCH NEXT @p${params.length + 1} ROWS ONLY;`,
+      [...params, offset, limit]
+    );
+
+    return res.json({
+      status: true,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      data: dataRes.recordset.map(present),
+    });
+  } catch (e) {
+    console.error("api keys list error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * GET /dashboard/api-keys/:id
+ */
+router.get("/:id", auth, canManage, async (req, res) => {
+  try {
+    const r = await query(
+      `SELECT ${KEY_COLUMNS}
+         FROM dbo.api_keys k
+         LEFT JOIN dbo.users u ON u.id = k.created_by
+        WHERE k.id = @p0`,
+      [Number(req.params.id)]
+    );
+    if (!r.recordset.length) {
+      return res
+        .status(404)
+        .json({ status: false, error: "API key not found" });
+    }
+    return res.json({ status: true, data: present(r.recordset[0]) });
+  } catch (e) {
+    console.error("get api key error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * PATCH /dashboard/api-keys/:id
+ * Body: { name?, scopes?, rate_limit_per_min? }
+ */
+router.patch("/:id", auth, canManage, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const body = req.body || {};
+    const settings = readKeySettings(body, { partial: true });
+    if (settings.error) {
+      return res.status(400).json({ status: false, error: settings.error });
+    }
+    const name = body.name != null ? String(body.name).trim() : null;
+    if (name === "" || (name && name.length > 100)) {
+      return res
+        .status(400)
+        .json({ status: false, error: "name must be 1-100 chars" });
+    }
+
+    const r = await query(
+      `UPDATE dbo.api_keys
+          SET name = COALESCE(@p1, name),
+              scopes = COALESCE(@p2, scopes),
+              rate_limit_per_min = COALESCE(@p3, rate_limit_per_min)
+        WHERE id = @p0 AND revoked_at IS NULL;
+       SELECT @@ROWCOUNT AS affected;`,
+      [
+        id,
+        name,
+        settings.scopes ? settings.scopes.join(" ") : null,
+        settings.rateLimit ?? null,
+      ]
+    );
+    if (!r.recordset[0].affected) {
+      return res
+        .status(404)
+        .json({ status: false, error: "API key not found or revoked" });
+    }
+    await audit(req.user.id, "api_key_updated", {
+      api_key_id: id,
+      name,
+      scopes: settings.scopes,
+      rate_limit_per_min: settings.rateLimit,
+    });
+    return res.json({ status: true, message: "API key updated" });
+  } catch (e) {
+    console.error("update api key error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * POST /dashboard/api-keys/:id/rotate
+ * Body: { grace_minutes? }   // old key keeps working this long (default 0, max 10080)
+ * Issues a new key with the same name, scopes and limit.
+ */
+router.post("/:id/rotate", auth, canManage, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const grace = Number(req.body?.grace_minutes ?? 0);
+    if (!Number.isInteger(grace) || grace < 0 || grace > 10080) {
+      return res.status(400).json({
+        status: false,
+        error: "grace_minutes must be between 0 and 10080",
+      });
+    }
+
+    const old = await query(
+      `SELECT id, name, scopes, rate_limit_per_min, expires_at
+         FROM dbo.api_keys
+        WHERE id = @p0 AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > SYSUTCDATETIME())`,
+      [id]
+    );
+    if (!old.recordset.length) {
+      return res
+        .status(404)
+        .json({ status: false, error: "API key not found or inactive" });
+    }
+    const O = old.recordset[0];
+
+    const created = await createApiKey({
+      name: O.name,
+      scopes: parseScopes(O.scopes),
+      rateLimit: O.rate_limit_per_min,
+      expiresAt: O.expires_at,
+      createdBy: req.user.id,
+      rotatedFrom: id,
+    });
+    if (grace) {
+      await query(
+        `UPDATE dbo.api_keys
+            SET expires_at = DATEADD(MINUTE, @p1, SYSUTCDATETIME())
+          WHERE id = @p0
+            AND (expires_at IS NULL OR expires_at > DATEADD(MINUTE, @p1, SYSUTCDATETIME()))`,
+        [id, grace]
+      );
+    } else {
+      await query(
+        `UPDATE dbo.api_keys SET revoked_at = SYSUTCDATETIME() WHERE id = @p0`,
+        [id]
+      );
+    }
+    await audit(req.user.id, "api_key_rotated", {
+      api_key_id: id,
+      new_api_key_id: created.id,
+      grace_minutes: grace,
+    });
+
+    return res.status(201).json({
+      status: true,
+      id: created.id,
+      rotated_from: id,
+      prefix: created.prefix,
+      key: created.key,
+      old_key_valid_until: grace
+        ? new Date(Date.now() + grace * 60000)
+        : new Date(),
+    });
+  } catch (e) {
+    console.error("rotate api key error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * DELETE /dashboard/api-keys/:id
+ * Revokes a key immediately.
+ */
+router.delete("/:id", auth, canManage, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const r = await query(
+      `UPDATE dbo.api_keys
+          SET revoked_at = SYSUTCDATETIME()
+        WHERE id = @p0 AND revoked_at IS NULL;
+       SELECT @@ROWCOUNT AS revoked;`,
+      [id]
+    );
+    if (!r.recordset[0].revoked) {
+      return res.status(404).json({
+        status: false,
+        error: "API key not found or already revoked",
+      });
+    }
+    await audit(req.user.id, "api_key_revoked", { api_key_id: id });
+    return res.json({ status: true, message: "API key revoked" });
+  } catch (e) {
+    console.error("revoke api key error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -3,15 +3,17 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
+const { authorize } = require("../utils/authz");
 const { parsePaging } = require("../utils/paging");
+const {
+  CAPABILITIES,
+  DEFAULT_CAPABILITIES,
+  getAssistantCapabilities,
+  setAssistantCapabilities,
+} = require("../utils/assistantCapabilities");
+const { audit } = require("../utils/audit");
 
-// Admin gate
-function requireAdmin(req, res, next) {
-  if ((req.user?.role || "").toLowerCase() !== "admin") {
-    return res.status(403).json({ status: false, error: "Admin only" });
-  }
-  next();
-}
+const canManage = authorize("assignments:manage");
 
 /**
  * POST /dashboard/assignments
@@ -19,7 +21,7 @@ function requireAdmin(req, res, next) {
  * - Validates offering & user exist
  * - Prevents duplicates (unique on offering_id + user_id)
  */
-router.post("/", auth, requireAdmin, async (req, res) => {
+router.post("/", auth, canManage, async (req, res) => {
   try {
     const { offering_id, user_id, role } = req.body || {};
     const allowed = new Set(["student", "teacher", "assistant"]);
@@ -92,7 +94,7 @@ router.post("/", auth, requireAdmin, async (req, res) => {
  *   &page=1&limit=20
  * Returns paginated list of users assigned to offering with their role
  */
-router.get("/", auth, requireAdmin, async (req, res) => {
+router.get("/", auth, canManage, async (req, res) => {
   try {
     const { page, limit, search } = parsePaging(req.query);
     const role = (req.query.role || "").trim().toLowerCase();
@@ -193,7 +195,7 @@ router.get("/", auth, requireAdmin, async (req, res) => {
  * Body: { offering_id, user_id, role, new_role }
  * - Changes the role for an existing assignment (e.g., assistant -> teacher)
  */
-router.patch("/", auth, requireAdmin, async (req, res) => {
+router.patch("/", auth, canManage, async (req, res) => {
   try {
     const { offering_id, user_id, role, new_role } = req.body || {};
     const allowed = new Set(["student", "teacher", "assistant"]);
@@ -243,7 +245,7 @@ router.patch("/", auth, requireAdmin, async (req, res) => {
  * - If role omitted, unassign the user from the offering entirely
  * - If role provided, unassign only that role row
  */
-router.delete("/", auth, requireAdmin, async (req, res) => {
+router.delete("/", auth, canManage, async (req, res) => {
   try {
     const { offering_id, user_id, role } = req.body || {};
     if (!offering_id || !user_id) {
@@ -284,4 +286,82 @@ router.delete("/", auth, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /dashboard/assignments/assistant-capabilities?offering_id=123
+ * What assistants of the offering may do, plus the list to choose from.
+ */
+router.get("/assistant-capabilities", auth, canManage, async (req, res) => {
+  try {
+    const offering_id = Number(req.query.offering_id);
+    if (!offering_id) {
+      return res
+        .status(400)
+        .json({ status: false, error: "offering_id is required" });
+    }
+    return res.json({
+      status: true,
+      offering_id,
+      capabilities: await getAssistantCapabilities(offering_id),
+      defaults: DEFAULT_CAPABILITIES,
+      available: CAPABILITIES,
+    });
+  } catch (err) {
+    console.error("assistant capabilities get error:", err);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * PUT /dashboard/assignments/assistant-capabilities
+ * Body: { offering_id, capabilities: ["start_sessions", "view_roster", ...] }
+ * - Replaces the whole set; an empty array leaves assistants read-only
+ */
+router.put("/assistant-capabilities", auth, canManage, async (req, res) => {
+  try {
+    const { offering_id, capabilities } = req.body || {};
+    if (!offering_id || !Array.isArray(capabilities)) {
+      return res.status(400).json({
+        status: false,
+        error: "offering_id and capabilities[] are required",
+      });
+    }
+    const unknown = capabilities.filter((c) => !CAPABILITIES.includes(c));
+    if (unknown.length) {
+      return res.status(400).json({
+        status: false,
+        error: `Unknown capabilities: ${unknown.join(", ")}`,
+      });
+    }
+
+    const off = await query(
+      "SELECT id FROM dbo.course_offerings WHERE id=@p0",
+      [offering_id]
+    );
+    if (!off.recordset.length) {
+      return res
+        .status(404)
+        .json({ status: false, error: "Offering not found" });
+    }
+
+    const saved = await setAssistantCapabilities(
+      offering_id,
+      capabilities,
+      req.user.id
+    );
+    await audit(req.user.id, "assistant_capabilities_updated", {
+      offering_id: Number(offering_id),
+      capabilities: saved,
+    });
+
+    return res.json({
+      status: true,
+      offering_id: Number(offering_id),
+      capabilities: saved,
+    });
+  } catch (err) {
+    console.error("assistant capabilities update error:", err);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
 module.exports = router;
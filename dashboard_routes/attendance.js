@@ -3,15 +3,10 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
+const { authorize } = require("../utils/authz");
+const { sendExcel } = require("../utils/excel");
 
-// Admin gate
-function requireAdmin(req, res, next) {
-  const role = (req.user?.role || req.auth?.role || "").toLowerCase();
-  if (role !== "admin") {
-    return res.status(403).json({ status: false, error: "Admin only" });
-  }
-  next();
-}
+const canView = authorize("attendance:report");
 
 // Paging helper
 function parsePaging(q) {
@@ -20,58 +15,6 @@ function parsePaging(q) {
   return { page, limit };
 }
 
-/**
- * Excel helper with optional title row.
- * - columns: array of { header, key, width }
- * - rows: array of plain objects from recordset
- * - title: string shown above the header (merged across all columns)
- */
-async function sendExcel(res, filename, columns, rows, title = null) {
-  const Excel = require("exceljs");
-  const wb = new Excel.Workbook();
-  const ws = wb.addWorksheet("Attendance");
-
-  // set columns (this creates header row)
-  ws.columns = columns;
-
-  // Insert a title row above header if provided
-  if (title) {
-    ws.spliceRows(1, 0, [title]);
-    ws.mergeCells(1, 1, 1, columns.length);
-    const cell = ws.getCell(1, 1);
-    cell.font = { bold: true, size: 14 };
-    cell.alignment = { vertical: "middle", horizontal: "center" };
-    // spacer row after title
-    ws.spliceRows(2, 0, []);
-  }
-
-  // Add data rows
-  rows.forEach((r) => ws.addRow(r));
-
-  // Optional: Autofilter on header row (accounts for title + spacer)
-  const headerRowIndex = title ? 3 : 1;
-  ws.autoFilter = {
-    from: { row: headerRowIndex, column: 1 },
-    to: { row: headerRowIndex, column: columns.length },
-  };
-
-  // Optional: nice column widths fallback
-  ws.columns.forEach((c) => {
-    if (!c.width)
-      c.width = Math.min(Math.max((c.header || "").length + 5, 12), 40);
-  });
-
-  const safe = filename.replace(/[^a-zA-Z0-9._-]/g, "_") + ".xlsx";
-  res.attachment(safe);
-  res.setHeader(
-    "Content-Type",
-    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
-  );
-
-  await wb.xlsx.write(res);
-  res.end();
-}
-
 // ---------- Small helpers to fetch names for titles ----------
 async function getCourseNameByOffering(offeringId) {
   const sql = `
@@ -110,7 +53,7 @@ async function getUserName(userId) {
  * - If by=offering (default), :id is course_offerings.id
  * - If by=course, :id is courses.id (we include JOIN to filter by course_id)
  */
-router.get("/course/:id", auth, requireAdmin, async (req, res) => {
+router.get("/course/:id", auth, canView, async (req, res) => {
   try {
     const rawId = Number(req.params.id);
     const by = String(req.query.by || "offering").toLowerCase(); // offering | course
@@ -163,7 +106,9 @@ router.get("/course/:id", auth, requireAdmin, async (req, res) => {
         s.planned_end_utc,
         ar.check_in_at,
         ar.check_out_at,
-        ar.status                   AS attendance_status
+        ar.status                   AS attendance_status,
+        DATEDIFF(MINUTE, COALESCE(s.started_at, s.planned_start_utc),
+                 ar.check_in_at)    AS minutes_after_start
       FROM dbo.attendance_records ar
       ${joins.join("\n")}
       WHERE ${where.join(" AND ")}
@@ -202,9 +147,15 @@ router.get("/course/:id", auth, requireAdmin, async (req, res) => {
           { header: "Check-in (UTC)", key: "check_in_at", width: 22 },
           { header: "Check-out (UTC)", key: "check_out_at", width: 22 },
           { header: "Attendance Status", key: "attendance_status", width: 16 },
+          {
+            header: "Minutes After Start",
+            key: "minutes_after_start",
+            width: 18,
+          },
         ],
         data.recordset,
-        title
+        title,
+        "Attendance"
       );
     }
 
@@ -252,7 +203,7 @@ router.get("/course/:id", auth, requireAdmin, async (req, res) => {
  *   page / limit (ignored if download=1)
  *   download=1  (Excel)
  */
-router.get("/user/:id", auth, requireAdmin, async (req, res) => {
+router.get("/user/:id", auth, canView, async (req, res) => {
   try {
     const userId = Number(req.params.id);
     const offeringId = req.query.offering_id
@@ -318,9 +269,15 @@ router.get("/user/:id", auth, requireAdmin, async (req, res) => {
           { header: "Check-in (UTC)", key: "check_in_at", width: 22 },
           { header: "Check-out (UTC)", key: "check_out_at", width: 22 },
           { header: "Attendance Status", key: "attendance_status", width: 16 },
+          {
+            header: "Minutes After Start",
+            key: "minutes_after_start",
+            width: 18,
+          },
         ],
         data.recordset,
-        title
+        title,
+        "Attendance"
       );
     }
 
@@ -3,14 +3,15 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
-const requireAdmin = require("../helpers/requireAdmin");
+const { authorize } = require("../utils/authz");
+const canManage = authorize("courses:manage");
 const { parsePaging } = require("../utils/paging");
 /**
  * CREATE Course
  * POST /dashboard/courses
  * Body: { name, code?, department_id?, credit_hours?, level_id? }
  */
-router.post("/", auth, requireAdmin, async (req, res) => {
+router.post("/", auth, canManage, async (req, res) => {
   try {
     const { name, code, department_id, credit_hours, level_id } =
       req.body || {};
@@ -59,7 +60,7 @@ router.post("/", auth, requireAdmin, async (req, res) => {
  * READ all Courses
  * GET /dashboard/courses
  */
-router.get("/", auth, requireAdmin, async (req, res) => {
+router.get("/", auth, canManage, async (req, res) => {
   const { page, limit, search } = parsePaging(req.query);
 
   const where = [];
@@ -120,7 +121,7 @@ FETCH NEXT @p${params.length + 1} ROWS ONLY;
  * PATCH /dashboard/courses/:id
  * Body: { name?, code?, department_id?, credit_hours?, level_id? } // <-- level_id added
  */
-router.patch("/:id", auth, requireAdmin, async (req, res) => {
+router.patch("/:id", auth, canManage, async (req, res) => {
   try {
     const { id } = req.params;
     const { name, code, department_id, credit_hours, level_id } =
@@ -179,7 +180,7 @@ router.patch("/:id", auth, requireAdmin, async (req, res) => {
  * DELETE Course
  * DELETE /dashboard/courses/:id
  */
-router.delete("/:id", auth, requireAdmin, async (req, res) => {
+router.delete("/:id", auth, canManage, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -3,13 +3,14 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
-const requireAdmin = require("../helpers/requireAdmin");
+const { authorize } = require("../utils/authz");
+const canManage = authorize("departments:manage");
 /**
  * CREATE Department
  * POST /dashboard/departments
  * Body: { name, description? }
  */
-router.post("/", auth, requireAdmin, async (req, res) => {
+router.post("/", auth, canManage, async (req, res) => {
   try {
     const { name, description } = req.body || {};
     if (!name) {
@@ -45,7 +46,7 @@ router.post("/", auth, requireAdmin, async (req, res) => {
  * READ all Departments
  * GET /dashboard/departments
  */
-router.get("/", auth, requireAdmin, async (req, res) => {
+router.get("/", auth, canManage, async (req, res) => {
   try {
     const sql = `
       SELECT id, name, description
@@ -72,7 +73,7 @@ router.get("/", auth, requireAdmin, async (req, res) => {
  * PATCH /dashboard/departments/:id
  * Body: { name?, description? }
  */
-router.patch("/:id", auth, requireAdmin, async (req, res) => {
+router.patch("/:id", auth, canManage, async (req, res) => {
   try {
     const { id } = req.params;
     const { name, description } = req.body || {};
@@ -113,7 +114,7 @@ router.patch("/:id", auth, requireAdmin, async (req, res) => {
  * DELETE Department
  * DELETE /dashboard/departments/:id
  */
-router.delete("/:id", auth, requireAdmin, async (req, res) => {
+router.delete("/:id", auth, canManage, async (req, res) => {
   try {
     const { id } = req.params;
 
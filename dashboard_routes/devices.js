@@ -0,0 +1,270 @@
+// dashboard_routes/devices.js
+const express = require("express");
+const router = express.Router();
+const { query } = require("../DB/dbConnection");
+const auth = require("../middleware/auth");
+const { authorize } = require("../utils/authz");
+const canManage = authorize("devices:manage");
+const { parsePaging } = require("../utils/paging");
+const {
+  MAX_DEVICES_PER_USER,
+  listDevices,
+  unbindDevices,
+  decideDeviceChange,
+} = require("../utils/devices");
+const { audit } = require("../utils/audit");
+
+const REQUEST_STATUSES = new Set([
+  "pending",
+  "approved",
+  "rejected",
+  "cancelled",
+]);
+
+/**
+ * GET /dashboard/devices/requests
+ * Query: ?status=pending (default; "all" for every status), &user_id,
+ *        &search (name/email/udid), &page&limit
+ */
+router.get("/requests", auth, canManage, async (req, res) => {
+  try {
+    const { page, limit, search } = parsePaging(req.query);
+    const status = String(req.query.status || "pending").toLowerCase();
+    if (status !== "all" && !REQUEST_STATUSES.has(status)) {
+      return res.status(400).json({ status: false, error: "Invalid status" });
+    }
+
+    const filters = [];
+    const params = [];
+    if (status !== "all") {
+      filters.push(`r.status = @p${params.length}`);
+      params.push(status);
+    }
+    if (req.query.user_id) {
+      filters.push(`r.user_id = @p${params.length}`);
+      params.push(Number(req.query.user_id));
+    }
+    if (search) {
+      filters.push(
+        `(u.name LIKE @p${params.length} OR u.email LIKE @p${params.length}
+          OR r.udid LIKE @p${params.length})`
+      );
+      params.push(`%${search}%`);
+    }
+    const where = filters.length ? "WHERE " + filters.join(" AND ") : "";
+
+    const total = (
+      await query(
+        `SELECT COUNT(*) AS total
+           FROM dbo.device_change_requests r
+           JOIN dbo.users u ON u.id = r.user_id
+           ${where}`,
+        params
+      )
+    ).recordset[0].total;
+
+    const offset = (page - 1) * limit;
+    const dataRes = await query(
+      `SELECT r.id, r.user_id, u.name, u.email, u.role,
+              r.udid, r.status, r.ip, r.user_agent, r.requested_at,
+              r.decided_by, a.name AS decided_by_name, r.decided_at,
+              r.decision_note,
+              (SELECT COUNT(*) FROM dbo.devices d
+                WHERE d.user_id = r.user_id AND d.udid IS NOT NULL) AS bound_devices
+         FROM dbo.device_change_requests r
+         JOIN dbo.users u ON u.id = r.user_id
+         LEFT JOIN dbo.users a ON a.id = r.decided_by
+         ${where}
+        ORDER BY r.requested_at DESC, r.id DESC
+        OFFSET @p${params.length} ROWS
+        FETCH NEXT @p${params.length + 1} ROWS ONLY;`,
+      [...params, offset, limit]
+    );
+
+    return res.json({
+      status: true,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      max_devices: MAX_DEVICES_PER_USER,
+      data: dataRes.recordset,
+    });
+  } catch (e) {
+    console.error("device requests list error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+async function decide(req, res, approve) {
+  try {
+    const id = Number(req.params.id);
+    const { note, replace_device_id } = req.body || {};
+    const out = await decideDeviceChange(id, {
+      approve,
+      adminId: req.user.id,
+      note: note ? String(note).slice(0, 300) : null,
+      replaceDeviceId: replace_device_id ?? null,
+    });
+    if (!out) {
+      return res.status(409).json({
+        status: false,
+        error: "Request not found or already decided",
+      });
+    }
+
+    await audit(
+      req.user.id,
+      approve ? "device_request_approved" : "device_request_rejected",
+      {
+        request_id: id,
+        user_id: out.request.user_id,
+        udid: out.request.udid,
+        unbound: out.unbound.map((d) => d.udid),
+      }
+    );
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`user:${out.request.user_id}`).emit("device_request_updated", {
+        request_id: id,
+        udid: out.request.udid,
+        status: out.request.status,
+        note: note || null,
+      });
+    }
+
+    return res.json({
+      status: true,
+      request_id: id,
+      user_id: out.request.user_id,
+      request_status: out.request.status,
+      unbound: out.unbound,
+    });
+  } catch (e) {
+    console.error("device request decision error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+}
+
+/**
+ * POST /dashboard/devices/requests/:id/approve
+ * Body: { replace_device_id?, note? }
+ * Binds the requested device. When the user already has the maximum
+ * number of devices, replace_device_id (default: least recently used)
+ * is unbound.
+ */
+router.post("/requests/:id/approve", auth, canManage, (req, res) =>
+  decide(req, res, true)
+);
+
+/**
+ * POST /dashboard/devices/requests/:id/reject
+ * Body: { note? }
+ */
+router.post("/requests/:id/reject", auth, canManage, (req, res) =>
+  decide(req, res, false)
+);
+
+/**
+ * GET /dashboard/devices/history
+ * Query: ?user_id, &action=bind|unbind, &page&limit
+ */
+router.get("/history", auth, canManage, async (req, res) => {
+  try {
+    const { page, limit } = parsePaging(req.query);
+    const filters = [];
+    const params = [];
+    if (req.query.user_id) {
+      filters.push(`h.user_id = @p${params.length}`);
+      params.push(Number(req.query.user_id));
+    }
+    if (req.query.action) {
+      filters.push(`h.action = @p${params.length}`);
+      params.push(String(req.query.action));
+    }
+    const where = filters.length ? "WHERE " + filters.join(" AND ") : "";
+
+    const total = (
+      await query(
+        `SELECT COUNT(*) AS total FROM dbo.device_history h ${where}`,
+        params
+      )
+    ).recordset[0].total;
+
+    const offset = (page - 1) * limit;
+    const dataRes = await query(
+      `SELECT h.id, h.user_id, u.name, u.email, h.udid, h.action, h.reason,
+              h.actor_id, a.name AS actor_name, h.request_id, h.created_at
+         FROM dbo.device_history h
+         LEFT JOIN dbo.users u ON u.id = h.user_id
+         LEFT JOIN dbo.users a ON a.id = h.actor_id
+         ${where}
+        ORDER BY h.created_at DESC, h.id DESC
+        OFFSET @p${params.length} ROWS
+        FETCH NEXT @p${params.length + 1} ROWS ONLY;`,
+      [...params, offset, limit]
+    );
+
+    return res.json({
+      status: true,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      data: dataRes.recordset,
+    });
+  } catch (e) {
+    console.error("device history error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * GET /dashboard/devices/users/:userId
+ * Bound devices of one user.
+ */
+router.get("/users/:userId", auth, canManage, async (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    return res.json({
+      status: true,
+      user_id: userId,
+      max_devices: MAX_DEVICES_PER_USER,
+      devices: await listDevices(userId),
+    });
+  } catch (e) {
+    console.error("user devices error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * DELETE /dashboard/devices/users/:userId/:deviceId
+ * Unbinds one device; the user's next login from it opens a new request
+ * if they are still at the limit.
+ */
+router.delete("/users/:userId/:deviceId", auth, canManage, async (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    const removed = await unbindDevices(userId, {
+      deviceId: Number(req.params.deviceId),
+      reason: "admin_unbind",
+      actorId: req.user.id,
+    });
+    if (!removed.length) {
+      return res
+        .status(404)
+        .json({ status: false, error: "Device not found for this user" });
+    }
+    await audit(req.user.id, "device_unbound", {
+      user_id: userId,
+      udid: removed[0].udid,
+    });
+    return res.json({ status: true, message: "Device unbound" });
+  } catch (e) {
+    console.error("unbind device error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,14 @@
 const express = require("express");
 const router = express.Router();
-// const requireRole = require("../middleware/requireRole");
 const auth = require("../middleware/auth");
-// Protect all dashboard routes
-// router.use(requireRole("admin"));
 
 // Import sub-routes
 
 router.use("/summary", require("./summary"));
 router.use("/users", require("./users"));
+router.use("/invitations", require("./invitations"));
+router.use("/devices", require("./devices"));
+router.use("/api-keys", require("./apiKeys"));
 router.use("/departments", require("./departments"));
 router.use("/offerings", require("./offerings"));
 router.use("/attendance", require("./attendance"));
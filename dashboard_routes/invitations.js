@@ -0,0 +1,303 @@
+// dashboard_routes/invitations.js
+const express = require("express");
+const router = express.Router();
+const { query } = require("../DB/dbConnection");
+const auth = require("../middleware/auth");
+const { authorize } = require("../utils/authz");
+const canManage = authorize("invitations:manage");
+const { parsePaging } = require("../utils/paging");
+const { checkLevelDepartment } = require("../utils/userProvisioning");
+const { createInvitations } = require("../utils/invitations");
+const { audit } = require("../utils/audit");
+
+const INVITE_ROLES = new Set(["student", "teacher", "assistant"]);
+const MAX_BATCH = 500;
+
+/**
+ * POST /dashboard/invitations
+ * Body:
+ * {
+ *   department_id: number,
+ *   level_id: number,
+ *   role?: "student" | "teacher" | "assistant",  // default "student"
+ *   count?: number,            // codes to generate, default 1 (max 500)
+ *   max_uses?: number,         // uses per code, default 1 (single-use)
+ *   expires_at?: ISO string,   // or expires_in_days
+ *   expires_in_days?: number,
+ *   note?: string
+ * }
+ * The codes are only returned here; afterwards only their last 4
+ * characters are visible.
+ */
+router.post("/", auth, canManage, async (req, res) => {
+  try {
+    const {
+      department_id,
+      level_id,
+      role = "student",
+      count = 1,
+      max_uses = 1,
+      expires_at,
+      expires_in_days,
+      note,
+    } = req.body || {};
+
+    if (department_id == null || level_id == null) {
+      return res.status(400).json({
+        status: false,
+        error: "department_id and level_id are required",
+      });
+    }
+    const roleStr = String(role).toLowerCase();
+    if (!INVITE_ROLES.has(roleStr)) {
+      return res.status(400).json({ status: false, error: "Invalid role" });
+    }
+    const n = Number(count);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_BATCH) {
+      return res.status(400).json({
+        status: false,
+        error: `count must be between 1 and ${MAX_BATCH}`,
+      });
+    }
+    const uses = Number(max_uses);
+    if (!Number.isInteger(uses) || uses < 1) {
+      return res
+        .status(400)
+        .json({ status: false, error: "max_uses must be a positive integer" });
+    }
+
+    let expiresAt = null;
+    if (expires_at) {
+      expiresAt = new Date(expires_at);
+    } else if (expires_in_days != null) {
+      expiresAt = new Date(Date.now() + Number(expires_in_days) * 86400000);
+    }
+    if (expiresAt && (isNaN(expiresAt) || expiresAt <= new Date())) {
+      return res
+        .status(400)
+        .json({ status: false, error: "Expiry must be in the future" });
+    }
+
+    const scope = await checkLevelDepartment(level_id, department_id);
+    if (scope.error) {
+      return res.status(400).json({ status: false, error: scope.error });
+    }
+
+    const { batch_id, codes } = await createInvitations({
+      departmentId: Number(department_id),
+      levelId: Number(level_id),
+      role: roleStr,
+      count: n,
+      maxUses: uses,
+      expiresAt,
+      note: note || null,
+      createdBy: req.user.id,
+    });
+    await audit(req.user.id, "invitations_created", {
+      batch_id,
+      count: n,
+      department_id: Number(department_id),
+      level_id: Number(level_id),
+      role: roleStr,
+    });
+
+    return res.status(201).json({
+      status: true,
+      batch_id,
+      department_id: Number(department_id),
+      department: scope.department_name,
+      level_id: Number(level_id),
+      role: roleStr,
+      max_uses: uses,
+      expires_at: expiresAt,
+      count: codes.length,
+      codes,
+    });
+  } catch (e) {
+    console.error("create invitations error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * GET /dashboard/invitations
+ * Query: ?active=1 | 0 (all), &batch_id, &department_id, &level_id,
+ *        &search (note or last 4 chars), &page&limit
+ */
+router.get("/", auth, canManage, async (req, res) => {
+  try {
+    const { page, limit, search } = parsePaging(req.query);
+    const activeOnly = String(req.query.active ?? "0") === "1";
+
+    const filters = [];
+    const params = [];
+    if (activeOnly) {
+      filters.push(
+        `i.revoked_at IS NULL AND i.uses < i.max_uses
+         AND (i.expires_at IS NULL OR i.expires_at > SYSUTCDATETIME())`
+      );
+    }
+    if (req.query.batch_id) {
+      filters.push(
+        `i.batch_id = TRY_CONVERT(UNIQUEIDENTIFIER, @p${params.length})`
+      );
+      params.push(String(req.query.batch_id));
+    }
+    if (req.query.department_id) {
+      filters.push(`i.department_id = @p${params.length}`);
+      params.push(Number(req.query.department_id));
+    }
+    if (req.query.level_id) {
+      filters.push(`i.level_id = @p${params.length}`);
+      params.push(Number(req.query.level_id));
+    }
+    if (search) {
+      filters.push(
+        `(i.note LIKE @p${params.length} OR i.code_hint = @p${
+          params.length + 1
+        })`
+      );
+      params.push(`%${search}%`, search.toUpperCase());
+    }
+    const where = filters.length ? "WHERE " + filters.join(" AND ") : "";
+
+    const total = (
+      await query(
+        `SELECT COUNT(*) AS total FROM dbo.invitation_codes i ${where}`,
+        params
+      )
+    ).recordset[0].total;
+
+    const offset = (page - 1) * limit;
+    const dataRes = await query(
+      `SELECT i.id, i.batch_id, i.code_hint, i.role,
+              i.department_id, d.name AS department,
+              i.level_id, l.name AS level,
+              i.max_uses, i.uses, i.expires_at, i.revoked_at, i.note,
+              i.created_by, u.name AS created_by_name, i.created_at
+         FROM dbo.invitation_codes i
+         LEFT JOIN dbo.departments d ON d.id = i.department_id
+         LEFT JOIN dbo.levels l ON l.id = i.level_id
+         LEFT JOIN dbo.users u ON u.id = i.created_by
+         ${where}
+        ORDER BY i.created_at DESC, i.id DESC
+        OFFSET @p${params.length} ROWS
+        FETCH NEXT @p${params.length + 1} ROWS ONLY;`,
+      [...params, offset, limit]
+    );
+
+    return res.json({
+      status: true,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      data: dataRes.recordset,
+    });
+  } catch (e) {
+    console.error("invitations list error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * DELETE /dashboard/invitations/batch/:batchId
+ * Revokes every still-open code of a batch.
+ */
+router.delete("/batch/:batchId", auth, canManage, async (req, res) => {
+  try {
+    const r = await query(
+      `UPDATE dbo.invitation_codes
+          SET revoked_at = SYSUTCDATETIME()
+        WHERE batch_id = TRY_CONVERT(UNIQUEIDENTIFIER, @p0)
+          AND revoked_at IS NULL;
+       SELECT @@ROWCOUNT AS revoked;`,
+      [req.params.batchId]
+    );
+    const revoked = r.recordset[0].revoked;
+    if (revoked) {
+      await audit(req.user.id, "invitations_revoked", {
+        batch_id: req.params.batchId,
+        revoked,
+      });
+    }
+    return res.json({ status: true, revoked });
+  } catch (e) {
+    console.error("revoke invitation batch error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * GET /dashboard/invitations/:id
+ * One code with the users who registered with it.
+ */
+router.get("/:id", auth, canManage, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const r = await query(
+      `SELECT i.id, i.batch_id, i.code_hint, i.role,
+              i.department_id, d.name AS department,
+              i.level_id, l.name AS level,
+              i.max_uses, i.uses, i.expires_at, i.revoked_at, i.note,
+              i.created_by, i.created_at
+         FROM dbo.invitation_codes i
+         LEFT JOIN dbo.departments d ON d.id = i.department_id
+         LEFT JOIN dbo.levels l ON l.id = i.level_id
+        WHERE i.id = @p0`,
+      [id]
+    );
+    if (!r.recordset.length) {
+      return res
+        .status(404)
+        .json({ status: false, error: "Invitation not found" });
+    }
+
+    const red = await query(
+      `SELECT r.user_id, u.name, u.email, r.redeemed_at, r.ip
+         FROM dbo.invitation_redemptions r
+         LEFT JOIN dbo.users u ON u.id = r.user_id
+        WHERE r.invitation_id = @p0
+        ORDER BY r.redeemed_at DESC`,
+      [id]
+    );
+
+    return res.json({
+      status: true,
+      data: { ...r.recordset[0], redemptions: red.recordset },
+    });
+  } catch (e) {
+    console.error("get invitation error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * DELETE /dashboard/invitations/:id
+ * Revokes a code; accounts already created with it are not affected.
+ */
+router.delete("/:id", auth, canManage, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const r = await query(
+      `UPDATE dbo.invitation_codes
+          SET revoked_at = SYSUTCDATETIME()
+        WHERE id = @p0 AND revoked_at IS NULL;
+       SELECT @@ROWCOUNT AS revoked;`,
+      [id]
+    );
+    if (!r.recordset[0].revoked) {
+      return res.status(404).json({
+        status: false,
+        error: "Invitation not found or already revoked",
+      });
+    }
+    await audit(req.user.id, "invitation_revoked", { invitation_id: id });
+    return res.json({ status: true, message: "Invitation revoked" });
+  } catch (e) {
+    console.error("revoke invitation error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,8 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
-const requireAdmin = require("../helpers/requireAdmin");
+const { authorize } = require("../utils/authz");
+const canView = authorize("summary:view");
 const { parsePaging } = require("../utils/paging");
 
 /**
@@ -22,7 +23,7 @@ const { parsePaging } = require("../utils/paging");
  *   ]
  * }
  */
-router.get("/summary", auth, requireAdmin, async (req, res) => {
+router.get("/summary", auth, canView, async (req, res) => {
   try {
     const { page, limit, search } = parsePaging(req.query);
     const termId = req.query.term_id ? Number(req.query.term_id) : null;
@@ -4,14 +4,25 @@ const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const db = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
+const { authorize } = require("../utils/authz");
 const { TYPES } = db;
-
-function requireAdmin(req, res, next) {
-  const role = (req.user?.role || "").toLowerCase();
-  if (role !== "admin")
-    return res.status(403).json({ status: false, error: "Admin only" });
-  next();
-}
+const { audit } = require("../utils/audit");
+const {
+  DEFAULT_LEAD_MINUTES,
+  DEFAULT_CHECKIN_MINUTES,
+  MAX_MINUTES,
+  getReminderSettings,
+  setReminderSettings,
+} = require("../utils/reminders");
+const {
+  DEFAULT_ON_TIME_MINUTES,
+  DEFAULT_ABSENT_AFTER_MINUTES,
+  MAX_MINUTES: MAX_RULE_MINUTES,
+  getAttendanceRules,
+  setAttendanceRules,
+} = require("../utils/attendanceRules");
+
+const canManage = authorize("offerings:manage");
 
 // small helper
 async function one(sql, params = []) {
@@ -75,7 +86,7 @@ function normalizeTimeToHMS(input) {
 /* ============================================================
    POST /api/offerings/schedule
    ============================================================ */
-router.post("/schedule", auth, requireAdmin, async (req, res) => {
+router.post("/schedule", auth, canManage, async (req, res) => {
   try {
     const {
       courseCode,
@@ -217,7 +228,7 @@ router.post("/schedule", auth, requireAdmin, async (req, res) => {
 /* =========================
    GET /api/offerings (paginated, minimal fields)
    ========================= */
-router.get("/", auth, requireAdmin, async (req, res) => {
+router.get("/", auth, canManage, async (req, res) => {
   try {
     const page = Math.max(parseInt(req.query.page || "1", 10), 1);
     const pageSize = Math.min(
@@ -297,7 +308,7 @@ router.get("/", auth, requireAdmin, async (req, res) => {
  * - Groups by course, returns unique time slots per course (dedup by course_id+day_of_week+start_time)
  * - Filters by course.department_id and course.level_id
  */
-router.get("/grouped", auth, requireAdmin, async (req, res) => {
+router.get("/grouped", auth, canManage, async (req, res) => {
   try {
     const page = Math.max(parseInt(req.query.page || "1", 10), 1);
     const pageSize = Math.min(
@@ -486,7 +497,7 @@ router.get("/grouped", auth, requireAdmin, async (req, res) => {
  * }
  * Either end_time OR duration_minutes is required.
  */
-router.post("/", auth, requireAdmin, async (req, res) => {
+router.post("/", auth, canManage, async (req, res) => {
   try {
     const {
       course_id,
@@ -644,7 +655,7 @@ router.post("/", auth, requireAdmin, async (req, res) => {
  * PATCH /dashboard/offerings/:id
  * Same validation + avoid overlap (excluding current row)
  */
-router.patch("/:id", auth, requireAdmin, async (req, res) => {
+router.patch("/:id", auth, canManage, async (req, res) => {
   try {
     const id = Number(req.params.id);
     const exists = await one(
@@ -795,4 +806,168 @@ router.patch("/:id", auth, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /dashboard/offerings/:id/reminders
+ * Reminder lead times of the offering (effective values + overrides).
+ */
+router.get("/:id/reminders", auth, canManage, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const exists = await one(
+      `SELECT id FROM dbo.course_offerings WHERE id=@p0`,
+      [id]
+    );
+    if (!exists)
+      return res
+        .status(404)
+        .json({ status: false, error: "Offering not found" });
+
+    return res.json({
+      status: true,
+      offering_id: id,
+      ...(await getReminderSettings(id)),
+      defaults: {
+        lead_minutes: DEFAULT_LEAD_MINUTES,
+        checkin_minutes: DEFAULT_CHECKIN_MINUTES,
+      },
+    });
+  } catch (e) {
+    console.error("Get offering reminders error:", e);
+    res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * PUT /dashboard/offerings/:id/reminders
+ * Body: { lead_minutes, checkin_minutes }
+ * - lead_minutes: "lecture starting soon" this long before the slot
+ * - checkin_minutes: remind students not checked in this long after start
+ * - null = default, 0 = off
+ */
+router.put("/:id/reminders", auth, canManage, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const body = req.body || {};
+    const values = {};
+    for (const [field, key] of [
+      ["lead_minutes", "leadMinutes"],
+      ["checkin_minutes", "checkinMinutes"],
+    ]) {
+      const v = body[field] == null ? null : Number(body[field]);
+      if (v != null && (!Number.isInteger(v) || v < 0 || v > MAX_MINUTES))
+        return res.status(400).json({
+          status: false,
+          error: `${field} must be 0..${MAX_MINUTES} or null`,
+        });
+      values[key] = v;
+    }
+
+    const exists = await one(
+      `SELECT id FROM dbo.course_offerings WHERE id=@p0`,
+      [id]
+    );
+    if (!exists)
+      return res
+        .status(404)
+        .json({ status: false, error: "Offering not found" });
+
+    const saved = await setReminderSettings(id, values, req.user.id);
+    await audit(req.user.id, "offering_reminders_updated", {
+      offering_id: id,
+      lead_minutes: values.leadMinutes,
+      checkin_minutes: values.checkinMinutes,
+    });
+    return res.json({ status: true, offering_id: id, ...saved });
+  } catch (e) {
+    console.error("Update offering reminders error:", e);
+    res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * GET /dashboard/offerings/:id/attendance-rules
+ * On-time / absent thresholds of the offering (effective values + overrides).
+ */
+router.get("/:id/attendance-rules", auth, canManage, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const exists = await one(
+      `SELECT id FROM dbo.course_offerings WHERE id=@p0`,
+      [id]
+    );
+    if (!exists)
+      return res
+        .status(404)
+        .json({ status: false, error: "Offering not found" });
+
+    return res.json({
+      status: true,
+      offering_id: id,
+      ...(await getAttendanceRules(id)),
+      defaults: {
+        on_time_minutes: DEFAULT_ON_TIME_MINUTES,
+        absent_after_minutes: DEFAULT_ABSENT_AFTER_MINUTES,
+      },
+    });
+  } catch (e) {
+    console.error("Get attendance rules error:", e);
+    res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * PUT /dashboard/offerings/:id/attendance-rules
+ * Body: { on_time_minutes, absent_after_minutes }
+ * - check-in within on_time_minutes of the start: present
+ * - within absent_after_minutes: late; later: absent
+ * - null = default; applies to check-ins from now on
+ */
+router.put("/:id/attendance-rules", auth, canManage, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const body = req.body || {};
+    const values = {};
+    for (const [field, key] of [
+      ["on_time_minutes", "onTimeMinutes"],
+      ["absent_after_minutes", "absentAfterMinutes"],
+    ]) {
+      const v = body[field] == null ? null : Number(body[field]);
+      if (v != null && (!Number.isInteger(v) || v < 0 || v > MAX_RULE_MINUTES))
+        return res.status(400).json({
+          status: false,
+          error: `${field} must be 0..${MAX_RULE_MINUTES} or null`,
+        });
+      values[key] = v;
+    }
+    const onTime = values.onTimeMinutes ?? DEFAULT_ON_TIME_MINUTES;
+    const absentAfter =
+      values.absentAfterMinutes ?? DEFAULT_ABSENT_AFTER_MINUTES;
+    if (absentAfter < onTime)
+      return res.status(400).json({
+        status: false,
+        error: "absent_after_minutes must not be below on_time_minutes",
+      });
+
+    const exists = await one(
+      `SELECT id FROM dbo.course_offerings WHERE id=@p0`,
+      [id]
+    );
+    if (!exists)
+      return res
+        .status(404)
+        .json({ status: false, error: "Offering not found" });
+
+    const saved = await setAttendanceRules(id, values, req.user.id);
+    await audit(req.user.id, "offering_attendance_rules_updated", {
+      offering_id: id,
+      on_time_minutes: values.onTimeMinutes,
+      absent_after_minutes: values.absentAfterMinutes,
+    });
+    return res.json({ status: true, offering_id: id, ...saved });
+  } catch (e) {
+    console.error("Update attendance rules error:", e);
+    res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
 module.exports = router;
@@ -3,7 +3,9 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
-const requireAdmin = require("../helpers/requireAdmin");
+const { authorize } = require("../utils/authz");
+const canManage = authorize("rooms:manage");
+const canRead = authorize("rooms:read");
 const { parsePaging } = require("../utils/paging");
 
 // POST /rooms/check
@@ -19,7 +21,7 @@ const { parsePaging } = require("../utils/paging");
 //   // Optional when editing an existing offering so it doesn't conflict with itself:
 //   // "exclude_offering_id": 123
 // }
-router.post("/check", auth, requireAdmin, async (req, res) => {
+router.post("/check", auth, canRead, async (req, res) => {
   try {
     const {
       room_id,
@@ -150,7 +152,7 @@ router.post("/check", auth, requireAdmin, async (req, res) => {
 });
 
 /** CREATE */
-router.post("/", auth, requireAdmin, async (req, res) => {
+router.post("/", auth, canManage, async (req, res) => {
   try {
     const { name, building_id, modulation_string } = req.body || {};
     if (!name || !building_id) {
@@ -180,7 +182,7 @@ router.post("/", auth, requireAdmin, async (req, res) => {
 });
 
 // GET /rooms?Page=1&limit=20&search=lab&building_id=3
-router.get("/", auth, requireAdmin, async (req, res) => {
+router.get("/", auth, canRead, async (req, res) => {
   try {
     // same helper you use for users
     const { page, limit, search } = parsePaging(req.query);
@@ -256,7 +258,7 @@ router.get("/", auth, requireAdmin, async (req, res) => {
 });
 
 /** UPDATE (add auth here too) */
-router.patch("/:id", auth, requireAdmin, async (req, res) => {
+router.patch("/:id", auth, canManage, async (req, res) => {
   try {
     const { id } = req.params;
     const { name, building_id, modulation_string } = req.body || {};
@@ -286,7 +288,7 @@ router.patch("/:id", auth, requireAdmin, async (req, res) => {
 });
 
 /** DELETE (add auth here too) */
-router.delete("/:id", auth, requireAdmin, async (req, res) => {
+router.delete("/:id", auth, canManage, async (req, res) => {
   try {
     const r = await query(
       `DELETE FROM dbo.rooms WHERE id=@p0; SELECT @@ROWCOUNT AS affected;`,
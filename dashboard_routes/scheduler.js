@@ -3,14 +3,9 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
+const { authorize } = require("../utils/authz");
 
-// --- Admin guard ---
-function requireAdmin(req, res, next) {
-  const role = (req.user?.role || req.auth?.role || "").toLowerCase();
-  if (role !== "admin")
-    return res.status(403).json({ status: false, error: "Admin only" });
-  next();
-}
+const canManage = authorize("scheduler:manage");
 
 /* ---------- Time helpers ---------- */
 function parseHHMM(str) {
@@ -50,7 +45,7 @@ function hhmmToSQLTime(hhmm) {
   }
   Returns suggestions only (no DB writes).
 */
-router.post("/suggest", auth, requireAdmin, async (req, res) => {
+router.post("/suggest", auth, canManage, async (req, res) => {
   try {
     const {
       course_ids,
@@ -268,7 +263,7 @@ router.post("/suggest", auth, requireAdmin, async (req, res) => {
   }
   Creates course_offerings for each OK row, returns offering_ids map.
 */
-router.post("/commit", auth, requireAdmin, async (req, res) => {
+router.post("/commit", auth, canManage, async (req, res) => {
   try {
     const { rows } = req.body || {};
     if (!Array.isArray(rows) || rows.length === 0) {
@@ -2,22 +2,17 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
+const { authorize } = require("../utils/authz");
 const { parsePaging } = require("../utils/paging");
 
-// admin gate
-function requireAdmin(req, res, next) {
-  if ((req.user?.role || "").toLowerCase() !== "admin") {
-    return res.status(403).json({ status: false, error: "Admin only" });
-  }
-  next();
-}
+const canManage = authorize("sections:manage");
 
 /**
  * POST /dashboard/sections
  * Body: { name, level_id }
  *  - level_id is REQUIRED because the DB column is NOT NULL.
  */
-router.post("/", auth, requireAdmin, async (req, res) => {
+router.post("/", auth, canManage, async (req, res) => {
   try {
     const { name, level_id } = req.body || {};
 
@@ -67,7 +62,7 @@ router.post("/", auth, requireAdmin, async (req, res) => {
  * Query: ?page=1&limit=20&search=Sec
  * If you don't have dbo.levels, remove the JOIN + level fields.
  */
-router.get("/", auth, requireAdmin, async (req, res) => {
+router.get("/", auth, canManage, async (req, res) => {
   try {
     const { page, limit, search } = parsePaging(req.query);
     const offset = (page - 1) * limit;
@@ -124,7 +119,7 @@ router.get("/", auth, requireAdmin, async (req, res) => {
 /**
  * GET /dashboard/sections/:id
  */
-router.get("/:id", auth, requireAdmin, async (req, res) => {
+router.get("/:id", auth, canManage, async (req, res) => {
   try {
     const r = await query(
       `
@@ -151,7 +146,7 @@ router.get("/:id", auth, requireAdmin, async (req, res) => {
  * PATCH /dashboard/sections/:id
  * Body: { name?, level_id? }
  */
-router.patch("/:id", auth, requireAdmin, async (req, res) => {
+router.patch("/:id", auth, canManage, async (req, res) => {
   try {
     const { name, level_id } = req.body || {};
     if (
@@ -202,7 +197,7 @@ router.patch("/:id", auth, requireAdmin, async (req, res) => {
  * DELETE /dashboard/sections/:id
  * Hard delete — blocked if referenced by offerings.
  */
-router.delete("/:id", auth, requireAdmin, async (req, res) => {
+router.delete("/:id", auth, canManage, async (req, res) => {
   try {
     // Is it referenced?
     const ref = await query(
@@ -3,14 +3,9 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
+const { authorize } = require("../utils/authz");
 
-// Admin gate
-function requireAdmin(req, res, next) {
-  if (req.user.role !== "admin") {
-    return res.status(403).json({ status: false, error: "Admin only" });
-  }
-  next();
-}
+const canManage = authorize("sessions:manage");
 
 // Simple paging helper
 function parsePaging(q) {
@@ -28,7 +23,7 @@ function parsePaging(q) {
  *  - date_to?        (YYYY-MM-DD)
  *  - page, limit
  */
-router.get("/", auth, requireAdmin, async (req, res) => {
+router.get("/", auth, canManage, async (req, res) => {
   try {
     const { page, limit } = parsePaging(req.query);
     const offset = (page - 1) * limit;
@@ -3,14 +3,9 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
+const { authorize } = require("../utils/authz");
 
-// Optional: stricter check
-function requireAdmin(req, res, next) {
-  if (req.user.role !== "admin") {
-    return res.status(403).json({ status: false, error: "Admin only" });
-  }
-  next();
-}
+const canView = authorize("summary:view");
 
 /**
  * GET /dashboard/summary
@@ -24,7 +19,7 @@ function requireAdmin(req, res, next) {
  *   students_by_department: [{ department, count }]
  * }
  */
-router.get("/", auth, requireAdmin, async (req, res) => {
+router.get("/", auth, canView, async (req, res) => {
   try {
     // totals by role
     const roleSql = `
@@ -3,6 +3,7 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth"); // single import only
+const { hasRole } = require("../utils/authz");
 
 // Minimal helper to read user off req
 function getReqUser(req) {
@@ -30,7 +31,7 @@ function getReqUser(req) {
  */
 router.get("/my-week", auth, async (req, res) => {
   try {
-    const { id: userId, role } = getReqUser(req);
+    const { id: userId } = getReqUser(req);
 
     const fromRaw = (req.query.from || "").trim();
     const courseId = req.query.course_id ? Number(req.query.course_id) : null;
@@ -81,7 +82,7 @@ router.get("/my-week", auth, async (req, res) => {
       offParams.push(levelId);
     }
 
-    if (role !== "admin") {
+    if (!hasRole(req.user, "admin")) {
       if (useNewAssign) {
         offFilters.push(
           `EXISTS (SELECT 1 FROM dbo.offering_assignments oa WHERE oa.offering_id = o.id AND oa.user_id = @p${offParams.length})`
@@ -1,17 +1,33 @@
 const express = require("express");
 const router = express.Router();
-const bcrypt = require("bcryptjs");
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
+const { authorize } = require("../utils/authz");
 const { parsePaging } = require("../utils/paging");
-
-// simple admin gate
-function requireAdmin(req, res, next) {
-  if ((req.user?.role || "").toLowerCase() !== "admin") {
-    return res.status(403).json({ status: false, error: "Admin only" });
-  }
-  next();
-}
+const {
+  revokeAllForUser,
+  listActiveSessions,
+  kickSockets,
+} = require("../utils/authSessions");
+const { audit } = require("../utils/audit");
+const mfa = require("../utils/mfa");
+const passwordPolicy = require("../utils/passwordPolicy");
+const {
+  DEFAULT_MINUTES,
+  MAX_MINUTES,
+  startImpersonation,
+  endImpersonation,
+} = require("../utils/impersonation");
+const {
+  EMAIL_RE,
+  cleanEmail: normalizeEmail,
+  checkLevelDepartment,
+  autoAssignSectionGroup,
+  AUTO_ASSIGN_FAILED,
+} = require("../utils/userProvisioning");
+
+const canManage = authorize("users:manage");
+const canImpersonate = authorize("users:impersonate");
 
 /**
  * POST /dashboard/users
@@ -24,14 +40,20 @@ function requireAdmin(req, res, next) {
  *   level?: string,
  *   section?: string,
  *   group_name?: string,
- *   password?: string,                // defaults to "123456"
+ *   password?: string,                // must meet the password policy;
+ *                                     // omitted -> random temporary password
  *   force_password_change?: boolean   // defaults to true
  * }
+ * A generated temporary password is returned once as temporary_password.
  */
 
-router.post("/", auth, requireAdmin, async (req, res) => {
+router.post("/", auth, canManage, async (req, res) => {
   try {
-    const { name, email, role, level_id, department_id } = req.body || {};
+    const { name, email, role, level_id, department_id, password } =
+      req.body || {};
+    // a generated temporary password always has to be changed
+    const forcePasswordChange =
+      req.body?.force_password_change !== false || req.body?.password == null;
 
     if (!name || !email || !role) {
       return res.status(400).json({
@@ -56,63 +78,43 @@ router.post("/", auth, requireAdmin, async (req, res) => {
       return res.status(400).json({ status: false, error: "Invalid role" });
     }
 
-    const cleanEmail = String(email).trim().toLowerCase();
-    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(cleanEmail)) {
+    const cleanEmail = normalizeEmail(email);
+    if (!EMAIL_RE.test(cleanEmail)) {
       return res.status(400).json({ status: false, error: "Invalid email" });
     }
 
-    const lvl = await query("SELECT id FROM dbo.levels WHERE id=@p0", [
-      Number(level_id),
-    ]);
-    if (!lvl.recordset.length) {
-      return res.status(400).json({ status: false, error: "Invalid level_id" });
-    }
-    const dep = await query(
-      "SELECT id, name FROM dbo.departments WHERE id=@p0",
-      [Number(department_id)]
-    );
-    if (!dep.recordset.length) {
-      return res
-        .status(400)
-        .json({ status: false, error: "Invalid department_id" });
-    }
-    const deptName = dep.recordset[0].name || null;
-
-    const pickSql = `
-      DECLARE @sid INT, @gid INT;
-      EXEC dbo.AutoAssignSectionGroup
-        @LevelId=@p0,
-        @DepartmentId=@p1,
-        @OutSectionId=@sid OUTPUT,
-        @OutGroupId=@gid OUTPUT;
-      SELECT @sid AS section_id, @gid AS group_id;
-    `;
-    const picked = await query(pickSql, [
-      Number(level_id),
-      Number(department_id),
-    ]);
-    const secId = picked.recordset[0]?.section_id;
-    const grpId = picked.recordset[0]?.group_id;
-    if (!secId || !grpId) {
-      return res.status(400).json({
-        status: false,
-        error:
-          "Auto assignment failed: no section/group available for this level/department",
+    const temporaryPassword =
+      password == null ? passwordPolicy.generateTemporaryPassword() : null;
+    if (password != null) {
+      const weak = passwordPolicy.checkPassword(password, {
+        email: cleanEmail,
+        name,
       });
+      if (weak.length) {
+        return res.status(400).json(passwordPolicy.policyError(weak));
+      }
     }
 
-    const names = await query(
-      `SELECT s.name AS section_name, g.name AS group_name
-         FROM dbo.sections s
-         LEFT JOIN dbo.groups g ON g.id=@p1
-        WHERE s.id=@p0`,
-      [secId, grpId]
-    );
-    const section_name = names.recordset[0]?.section_name || null;
-    const group_name = names.recordset[0]?.group_name || null;
+    const scope = await checkLevelDepartment(level_id, department_id);
+    if (scope.error) {
+      return res.status(400).json({ status: false, error: scope.error });
+    }
+    const deptName = scope.department_name;
 
-    const rawPassword = "123456";
-    const hash = await bcrypt.hash(rawPassword, 10);
+    const picked = await autoAssignSectionGroup(level_id, department_id);
+    if (!picked) {
+      return res.status(400).json({ status: false, error: AUTO_ASSIGN_FAILED });
+    }
+    const {
+      section_id: secId,
+      group_id: grpId,
+      section_name,
+      group_name,
+    } = picked;
+
+    const hash = await passwordPolicy.hashPassword(
+      temporaryPassword ?? password
+    );
 
     const insertSql = `
       DECLARE @now datetime2 = SYSUTCDATETIME();
@@ -127,7 +129,7 @@ router.post("/", auth, requireAdmin, async (req, res) => {
         (@p0, @p1, @p2, @p3,
          @p4, @p5, @p6,
          @p7, @p8, @p9, @p10,
-         0, @now, @now);
+         @p11, @now, @now);
     `;
 
     try {
@@ -143,9 +145,11 @@ router.post("/", auth, requireAdmin, async (req, res) => {
         Number(level_id),
         secId,
         grpId,
+        forcePasswordChange ? 1 : 0,
       ]);
 
       const newId = r.recordset[0].id;
+      await passwordPolicy.recordPasswordHistory(newId, hash);
 
       return res.json({
         status: true,
@@ -160,7 +164,9 @@ router.post("/", auth, requireAdmin, async (req, res) => {
           group_name: group_name,
         },
         message: "User created & auto-assigned",
-        default_password_used: true,
+        // shown once; hand it to the user out of band
+        temporary_password: temporaryPassword,
+        force_password_change: forcePasswordChange,
       });
     } catch (e) {
       const code = e?.originalError?.info?.number ?? e?.number;
@@ -225,7 +231,7 @@ router.post("/", auth, requireAdmin, async (req, res) => {
  * GET /dashboard/users
  * Query: ?page=1&limit=20&search=ali&role=student
  */
-router.get("/", auth, requireAdmin, async (req, res) => {
+router.get("/", auth, canManage, async (req, res) => {
   try {
     const { page, limit, search } = parsePaging(req.query);
     const role = (req.query.role || "").trim(); // optional exact filter
@@ -284,10 +290,268 @@ router.get("/", auth, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /dashboard/users/admins/2fa
+ * Every admin with their two-factor state, not-enrolled first.
+ */
+router.get("/admins/2fa", auth, canManage, async (req, res) => {
+  try {
+    const r = await query(
+      `SELECT u.id, u.name, u.email,
+              CASE WHEN m.enabled_at IS NULL THEN 0 ELSE 1 END AS mfa_enabled,
+              m.enabled_at AS mfa_enabled_at,
+              (SELECT COUNT(*) FROM dbo.user_recovery_codes rc
+                WHERE rc.user_id = u.id AND rc.used_at IS NULL) AS recovery_codes_remaining
+         FROM dbo.users u
+         LEFT JOIN dbo.user_mfa m ON m.user_id = u.id
+        WHERE LOWER(u.role) = 'admin'
+        ORDER BY mfa_enabled ASC, u.name ASC`
+    );
+    const admins = r.recordset.map((a) => ({
+      ...a,
+      mfa_enabled: !!a.mfa_enabled,
+    }));
+    return res.json({
+      status: true,
+      enforced: mfa.isEnforced(),
+      total: admins.length,
+      enabled: admins.filter((a) => a.mfa_enabled).length,
+      admins,
+    });
+  } catch (e) {
+    console.error("admins 2fa list error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * GET /dashboard/users/impersonations
+ * Query: ?active=1 (default) | ?active=0 for history, &admin_id, &user_id, &page&limit
+ */
+router.get("/impersonations", auth, canImpersonate, async (req, res) => {
+  try {
+    const { page, limit } = parsePaging(req.query);
+    const activeOnly = String(req.query.active ?? "1") !== "0";
+
+    const filters = [];
+    const params = [];
+    if (activeOnly) {
+      filters.push("g.revoked_at IS NULL AND g.expires_at > SYSUTCDATETIME()");
+    }
+    if (req.query.admin_id) {
+      filters.push("g.admin_id = @p" + params.length);
+      params.push(Number(req.query.admin_id));
+    }
+    if (req.query.user_id) {
+      filters.push("g.target_user_id = @p" + params.length);
+      params.push(Number(req.query.user_id));
+    }
+    const where = filters.length ? "WHERE " + filters.join(" AND ") : "";
+
+    const total = (
+      await query(
+        `SELECT COUNT(*) AS total FROM dbo.impersonation_grants g ${where}`,
+        params
+      )
+    ).recordset[0].total;
+
+    const offset = (page - 1) * limit;
+    const dataRes = await query(
+      `SELECT g.id, g.admin_id, a.name AS admin_name,
+              g.target_user_id, t.name AS target_name, t.email AS target_email,
+              g.reason, g.read_only, g.ip, g.created_at, g.expires_at,
+              g.revoked_at, g.revoked_by
+         FROM dbo.impersonation_grants g
+         LEFT JOIN dbo.users a ON a.id = g.admin_id
+         LEFT JOIN dbo.users t ON t.id = g.target_user_id
+         ${where}
+        ORDER BY g.created_at DESC
+        OFFSET @p${params.length} ROWS
+        FETCH NEXT @p${params.length + 1} ROWS ONLY;`,
+      [...params, offset, limit]
+    );
+
+    return res.json({
+      status: true,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      data: dataRes.recordset,
+    });
+  } catch (e) {
+    console.error("impersonations list error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * DELETE /dashboard/users/impersonations/:grantId
+ * Ends an impersonation; its token stops working on the next request.
+ */
+router.delete(
+  "/impersonations/:grantId",
+  auth,
+  canImpersonate,
+  async (req, res) => {
+    try {
+      const ended = await endImpersonation(req.params.grantId, req.user.id);
+      if (!ended) {
+        return res.status(404).json({
+          status: false,
+          error: "Impersonation not found or already ended",
+        });
+      }
+      return res.json({ status: true, message: "Impersonation ended" });
+    } catch (e) {
+      console.error("end impersonation error:", e);
+      return res.status(500).json({ status: false, error: "Server error" });
+    }
+  }
+);
+
+/**
+ * GET /dashboard/users/lockouts
+ * Query: ?active=1 (default) | ?active=0 for history, &page&limit
+ */
+router.get("/lockouts", auth, canManage, async (req, res) => {
+  try {
+    const { page, limit, search } = parsePaging(req.query);
+    const activeOnly = String(req.query.active ?? "1") !== "0";
+
+    const filters = [];
+    const params = [];
+    if (activeOnly) {
+      filters.push(
+        "l.cleared_at IS NULL AND l.locked_until > SYSUTCDATETIME()"
+      );
+    }
+    if (search) {
+      filters.push("l.[key] LIKE @p" + params.length);
+      params.push(`%${search}%`);
+    }
+    const where = filters.length ? "WHERE " + filters.join(" AND ") : "";
+
+    const total = (
+      await query(
+        `SELECT COUNT(*) AS total FROM dbo.auth_lockouts l ${where}`,
+        params
+      )
+    ).recordset[0].total;
+
+    const offset = (page - 1) * limit;
+    const dataRes = await query(
+      `SELECT l.id, l.scope, l.[key], l.user_id, u.name AS user_name, l.kind,
+              l.failures, l.created_at, l.locked_until, l.cleared_at, l.cleared_by
+         FROM dbo.auth_lockouts l
+         LEFT JOIN dbo.users u ON u.id = l.user_id
+         ${where}
+        ORDER BY l.created_at DESC, l.id DESC
+        OFFSET @p${params.length} ROWS
+        FETCH NEXT @p${params.length + 1} ROWS ONLY;`,
+      [...params, offset, limit]
+    );
+
+    return res.json({
+      status: true,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      data: dataRes.recordset,
+    });
+  } catch (e) {
+    console.error("lockouts list error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * DELETE /dashboard/users/lockouts/:lockoutId
+ * Clears a lockout (account or IP) before it expires.
+ */
+router.delete("/lockouts/:lockoutId", auth, canManage, async (req, res) => {
+  try {
+    const r = await query(
+      `UPDATE dbo.auth_lockouts
+          SET cleared_at = SYSUTCDATETIME(), cleared_by = @p1
+        WHERE id = @p0 AND cleared_at IS NULL;
+       SELECT @@ROWCOUNT AS affected;`,
+      [Number(req.params.lockoutId), req.user.id]
+    );
+    if (!r.recordset[0].affected) {
+      return res
+        .status(404)
+        .json({ status: false, error: "Lockout not found or already cleared" });
+    }
+    return res.json({ status: true, message: "Lockout cleared" });
+  } catch (e) {
+    console.error("clear lockout error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * GET /dashboard/users/login-attempts
+ * Query: ?email=&ip=&kind=login|password_reset&success=0|1&page&limit
+ * Raw attempt log for investigating credential stuffing.
+ */
+router.get("/login-attempts", auth, canManage, async (req, res) => {
+  try {
+    const { page, limit } = parsePaging(req.query);
+
+    const filters = [];
+    const params = [];
+    const eq = (col, value) => {
+      filters.push(`${col} = @p${params.length}`);
+      params.push(value);
+    };
+    if (req.query.email)
+      eq("a.email", String(req.query.email).trim().toLowerCase());
+    if (req.query.ip) eq("a.ip", String(req.query.ip).trim());
+    if (req.query.kind) eq("a.kind", String(req.query.kind));
+    if (req.query.success === "0" || req.query.success === "1") {
+      eq("a.success", Number(req.query.success));
+    }
+    const where = filters.length ? "WHERE " + filters.join(" AND ") : "";
+
+    const total = (
+      await query(
+        `SELECT COUNT(*) AS total FROM dbo.auth_attempts a ${where}`,
+        params
+      )
+    ).recordset[0].total;
+
+    const offset = (page - 1) * limit;
+    const dataRes = await query(
+      `SELECT a.id, a.kind, a.email, a.user_id, a.ip, a.user_agent,
+              a.success, a.reason, a.created_at
+         FROM dbo.auth_attempts a
+         ${where}
+        ORDER BY a.created_at DESC, a.id DESC
+        OFFSET @p${params.length} ROWS
+        FETCH NEXT @p${params.length + 1} ROWS ONLY;`,
+      [...params, offset, limit]
+    );
+
+    return res.json({
+      status: true,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      data: dataRes.recordset,
+    });
+  } catch (e) {
+    console.error("login attempts list error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
 /**
  * GET /dashboard/users/:id
  */
-router.get("/:id", auth, requireAdmin, async (req, res) => {
+router.get("/:id", auth, canManage, async (req, res) => {
   try {
     const r = await query(
       `SELECT id, name, email, role, department, [level], [section], group_name
@@ -307,10 +571,13 @@ router.get("/:id", auth, requireAdmin, async (req, res) => {
 /**
  * PATCH /dashboard/users/:id
  * (your existing updater, kept as-is with minor guard)
+ * Optional { password, force_password_change? (default true) } sets a new
+ * password (password policy + history apply) and signs the user out.
  */
-router.patch("/:id", auth, requireAdmin, async (req, res) => {
+router.patch("/:id", auth, canManage, async (req, res) => {
   try {
-    const { role, department, level, section, group_name } = req.body || {};
+    const { role, department, level, section, group_name, password } =
+      req.body || {};
 
     // Only update provided fields
     const sets = [];
@@ -333,12 +600,41 @@ router.patch("/:id", auth, requireAdmin, async (req, res) => {
     if (section !== undefined) push(`[section] = @p{{idx}}`, section);
     if (group_name !== undefined) push(`[group_name] = @p{{idx}}`, group_name);
 
-    if (!sets.length) {
+    if (!sets.length && password === undefined) {
       return res
         .status(400)
         .json({ status: false, error: "No fields to update" });
     }
 
+    if (password !== undefined) {
+      const u = await query(
+        "SELECT id, name, email, password_hash FROM dbo.users WHERE id=@p0",
+        [req.params.id]
+      );
+      if (!u.recordset.length) {
+        return res.status(404).json({ status: false, error: "User not found" });
+      }
+      const weak = await passwordPolicy.validateNewPassword(
+        u.recordset[0],
+        password
+      );
+      if (weak.length) {
+        return res.status(400).json(passwordPolicy.policyError(weak));
+      }
+      const userId = u.recordset[0].id;
+      await passwordPolicy.setPassword(userId, password, {
+        forceChange: req.body.force_password_change !== false,
+      });
+      await revokeAllForUser(userId, "admin_password_reset");
+      kickSockets(req.app.get("io"), `user:${userId}`, "admin_password_reset");
+      await audit(req.user.id, "admin_set_password", {
+        target_user_id: userId,
+      });
+      if (!sets.length) {
+        return res.json({ status: true, message: "Password updated" });
+      }
+    }
+
     const sql = `
       UPDATE dbo.users
          SET ${sets.join(", ")},
@@ -361,11 +657,195 @@ router.patch("/:id", auth, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /dashboard/users/:id/sessions
+ * Active logins of a user (device UDID, IP, last seen).
+ */
+router.get("/:id/sessions", auth, canManage, async (req, res) => {
+  try {
+    const rows = await listActiveSessions(Number(req.params.id));
+    res.json({ status: true, count: rows.length, sessions: rows });
+  } catch (e) {
+    console.error("user sessions error:", e);
+    res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * POST /dashboard/users/:id/revoke-tokens
+ * Revokes every session / refresh token of the user and disconnects
+ * their live sockets. Access tokens stop working on the next request.
+ */
+router.post("/:id/revoke-tokens", auth, canManage, async (req, res) => {
+  try {
+    const userId = Number(req.params.id);
+    const u = await query("SELECT id FROM dbo.users WHERE id=@p0", [userId]);
+    if (!u.recordset.length) {
+      return res.status(404).json({ status: false, error: "User not found" });
+    }
+
+    const revoked = await revokeAllForUser(userId, "admin_revoke");
+    kickSockets(req.app.get("io"), `user:${userId}`, "admin_revoke");
+    await audit(req.user.id, "admin_revoke_tokens", {
+      target_user_id: userId,
+      revoked,
+    });
+
+    res.json({ status: true, user_id: userId, revoked });
+  } catch (e) {
+    console.error("revoke tokens error:", e);
+    res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * POST /dashboard/users/:id/impersonate
+ * Body: { reason, minutes? (default 15, max 60), read_only? (default true) }
+ * Returns a token that acts as this user ("view as user"). Every request
+ * made with it is audited under the calling admin.
+ */
+router.post("/:id/impersonate", auth, canImpersonate, async (req, res) => {
+  try {
+    if (!req.auth.sid) {
+      // the grant ends with the admin's login session; API keys have none
+      return res.status(403).json({
+        status: false,
+        error: "Impersonation needs a signed-in admin",
+      });
+    }
+    const userId = Number(req.params.id);
+    const {
+      reason,
+      minutes = DEFAULT_MINUTES,
+      read_only = true,
+    } = req.body || {};
+    const why = String(reason || "").trim();
+    if (!why) {
+      return res
+        .status(400)
+        .json({ status: false, error: "reason is required" });
+    }
+    const mins = Number(minutes);
+    if (!Number.isInteger(mins) || mins < 1 || mins > MAX_MINUTES) {
+      return res.status(400).json({
+        status: false,
+        error: `minutes must be between 1 and ${MAX_MINUTES}`,
+      });
+    }
+
+    const u = await query(
+      "SELECT id, name, email, role FROM dbo.users WHERE id=@p0",
+      [userId]
+    );
+    if (!u.recordset.length) {
+      return res.status(404).json({ status: false, error: "User not found" });
+    }
+    const target = u.recordset[0];
+    if (String(target.role).toLowerCase() === "admin") {
+      return res
+        .status(403)
+        .json({ status: false, error: "Admins cannot be impersonated" });
+    }
+
+    const out = await startImpersonation({
+      admin: req.user,
+      adminSid: req.auth.sid,
+      target,
+      reason: why.slice(0, 300),
+      minutes: mins,
+      readOnly: read_only !== false,
+      ip: req.ip,
+    });
+
+    return res.status(201).json({
+      status: true,
+      impersonation: true,
+      grant_id: out.grant_id,
+      token: out.token,
+      expires_in: out.expires_in,
+      expires_at: out.expires_at,
+      read_only: read_only !== false,
+      user: {
+        id: target.id,
+        name: target.name,
+        email: target.email,
+        role: target.role,
+      },
+    });
+  } catch (e) {
+    console.error("impersonate error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * POST /dashboard/users/:id/unlock
+ * Clears every active account lockout for this user.
+ */
+router.post("/:id/unlock", auth, canManage, async (req, res) => {
+  try {
+    const u = await query("SELECT id, email FROM dbo.users WHERE id=@p0", [
+      Number(req.params.id),
+    ]);
+    if (!u.recordset.length) {
+      return res.status(404).json({ status: false, error: "User not found" });
+    }
+    const target = u.recordset[0];
+
+    const r = await query(
+      `UPDATE dbo.auth_lockouts
+          SET cleared_at = SYSUTCDATETIME(), cleared_by = @p2
+        WHERE scope = 'account' AND cleared_at IS NULL
+          AND (user_id = @p0 OR [key] = LOWER(LTRIM(RTRIM(@p1))));
+       SELECT @@ROWCOUNT AS cleared;`,
+      [target.id, target.email, req.user.id]
+    );
+
+    return res.json({
+      status: true,
+      user_id: target.id,
+      cleared: r.recordset[0].cleared,
+    });
+  } catch (e) {
+    console.error("unlock user error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
+/**
+ * DELETE /dashboard/users/:id/2fa
+ * Removes an admin's authenticator + recovery codes (lost phone) and signs
+ * them out; they enroll again on the next login.
+ */
+router.delete("/:id/2fa", auth, canManage, async (req, res) => {
+  try {
+    const userId = Number(req.params.id);
+    if (!(await mfa.disableMfa(userId))) {
+      return res.status(404).json({
+        status: false,
+        error: "Two-factor is not set up for this user",
+      });
+    }
+
+    const revoked = await revokeAllForUser(userId, "mfa_reset");
+    kickSockets(req.app.get("io"), `user:${userId}`, "mfa_reset");
+    await audit(req.user.id, "admin_mfa_reset", {
+      target_user_id: userId,
+      revoked,
+    });
+
+    return res.json({ status: true, user_id: userId, revoked });
+  } catch (e) {
+    console.error("reset 2fa error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
 /**
  * DELETE /dashboard/users/:id
  * Hard delete. If you prefer soft delete, add an is_active flag instead.
  */
-router.delete("/:id", auth, requireAdmin, async (req, res) => {
+router.delete("/:id", auth, canManage, async (req, res) => {
   try {
     const r = await query(
       `DELETE FROM dbo.users WHERE id=@p0; SELECT @@ROWCOUNT AS affected;`,
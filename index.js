@@ -4,14 +4,34 @@ const http = require("http");
 const https = require("https");
 const fs = require("fs");
 const path = require("path");
+const cluster = require("cluster");
 const { Server } = require("socket.io");
-const jwt = require("jsonwebtoken");
-const { query } = require("./DB/dbConnection");
+const { setupWorker } = require("@socket.io/sticky");
+const { createAdapter } = require("@socket.io/cluster-adapter");
+const { flushOutbox } = require("./utils/mailer");
+const { startReminders } = require("./utils/reminders");
+const { closeExpiredPolls } = require("./utils/polls");
+const { purgeOldEvents } = require("./utils/offeringEvents");
+const { connectionStateRecovery, attachSockets } = require("./utils/sockets");
 const cors = require("cors");
 require("dotenv").config();
 
 const app = express();
 
+// Behind a reverse proxy set TRUST_PROXY (e.g. "1" or "loopback") so req.ip
+// is the client address used by login throttling and session records.
+const trustProxy = (process.env.TRUST_PROXY || "").trim();
+if (trustProxy) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy)
+      ? Number(trustProxy)
+      : trustProxy === "true"
+      ? true
+      : trustProxy
+  );
+}
+
 const raw = (process.env.CORS_ORIGINS || "").trim();
 const allowAll = raw === "*" || raw === "";
 const allowlist = allowAll
@@ -33,8 +53,13 @@ const corsOptions = {
     return cb(new Error("Not allowed by CORS"));
   },
   methods: ["GET", "HEAD", "PUT", "PATCH", "POST", "DELETE"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
-  exposedHeaders: ["Content-Disposition"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "X-Requested-With",
+    "X-API-Key",
+  ],
+  exposedHeaders: ["Content-Disposition", "X-Impersonated-By"],
   credentials: useCreds,
   optionsSuccessStatus: 204,
 };
@@ -60,8 +85,17 @@ const io = new Server(server, {
     methods: ["GET", "POST"],
     credentials: useCreds,
   },
+  // short drops get their rooms back (see utils/sockets); not in cluster
+  // workers, a reconnect may reach another worker (see cluster.js)
+  ...(cluster.isWorker ? {} : { connectionStateRecovery }),
 });
 
+// Started by cluster.js: the primary owns the port, rooms span all workers
+if (cluster.isWorker) {
+  io.adapter(createAdapter());
+  setupWorker(io);
+}
+
 app.use(express.json());
 app.set("io", io);
 
@@ -89,6 +123,9 @@ app.use("/attendance", require("./routes/attendance.js"));
 app.use("/reports", require("./routes/reports.js"));
 app.use("/weekly-reports", require("./routes/summary.js"));
 app.use("/files", require("./routes/files.js"));
+app.use("/polls", require("./routes/polls.js"));
+app.use("/questions", require("./routes/questions.js"));
+app.use("/excuses", require("./routes/excuses.js"));
 app.use("/uploads", express.static(path.join(process.cwd(), "uploads")));
 app.use("/admin", require("./routes/adminOps.js"));
 
@@ -106,210 +143,7 @@ app.use((err, req, res, next) => {
   next(err);
 });
 /* ============== SOCKET.IO ============== */
-// Socket.IO auth
-io.use((socket, next) => {
-  try {
-    const token = socket.handshake.auth?.token;
-    if (!token) return next(new Error("no token"));
-    const user = jwt.verify(token, process.env.JWT_SECRET || "supersecret");
-    socket.user = { id: user.id, role: user.role };
-    socket.join(`user:${user.id}`);
-    next();
-  } catch (err) {
-    next(new Error("bad token"));
-  }
-});
-
-// helper: join offering rooms with permission check
-async function joinOfferingRooms(socket, offeringId) {
-  const uid = socket.user.id;
-  const role = (socket.user.role || "").toLowerCase();
-
-  // admin can always join; otherwise must be assigned
-  if (role !== "admin") {
-    const r = await query(
-      `SELECT role FROM dbo.offering_assignments WHERE offering_id=@p0 AND user_id=@p1`,
-      [offeringId, uid]
-    );
-    if (!r.recordset.length) {
-      socket.emit("join-denied", {
-        offering_id: offeringId,
-        reason: "not assigned",
-      });
-      return;
-    }
-    const assignedRole = (r.recordset[0].role || "").toLowerCase();
-    if (assignedRole === "student") socket.join(`off:${offeringId}:students`);
-    if (assignedRole === "teacher") socket.join(`off:${offeringId}:teachers`);
-  } else {
-    // admin joins both teacher & student rooms logically
-    socket.join(`off:${offeringId}:teachers`);
-    socket.join(`off:${offeringId}:students`);
-  }
-
-  socket.join(`off:${offeringId}:all`);
-  socket.emit("join-ok", { offering_id: offeringId, role });
-}
-
-function leaveOfferingRooms(socket, offeringId) {
-  socket.leave(`off:${offeringId}:students`);
-  socket.leave(`off:${offeringId}:teachers`);
-  socket.leave(`off:${offeringId}:all`);
-}
-
-io.on("connection", (socket) => {
-  console.log("🔌 [SOCKET] Client connected:", socket.id, "user:", socket.user);
-
-  /* =========================================================
-     1) JOIN OFFERING (preferred for new clients)
-     ========================================================= */
-  socket.on("join-offering", async (offeringId) => {
-    try {
-      console.log(
-        "➡️ [SOCKET] join-offering request → user:",
-        socket.user?.id,
-        "offeringId:",
-        offeringId
-      );
-
-      await joinOfferingRooms(socket, offeringId);
-
-      console.log(
-        "✅ [SOCKET] join-offering success → user:",
-        socket.user?.id,
-        "offeringId:",
-        offeringId
-      );
-    } catch (e) {
-      console.error("❌ [SOCKET] join-offering error:", e);
-      socket.emit("join-denied", {
-        offering_id: offeringId,
-        reason: "server error",
-      });
-    }
-  });
-
-  /* =========================================================
-     2) LEAVE OFFERING
-     ========================================================= */
-  socket.on("leave-offering", (offeringId) => {
-    console.log(
-      "↩️ [SOCKET] leave-offering → user:",
-      socket.user?.id,
-      "offeringId:",
-      offeringId
-    );
-    leaveOfferingRooms(socket, offeringId);
-  });
-
-  /* =========================================================
-     3) JOIN LECTURE (legacy compatibility)
-        - tries to map lecture → offering via map_lecture_offering
-        - if not found, treats lectureId as offeringId directly
-     ========================================================= */
-  socket.on("join-lecture", async (lectureId) => {
-    try {
-      console.log(
-        "➡️ [SOCKET] join-lecture request → user:",
-        socket.user?.id,
-        "lectureId:",
-        lectureId
-      );
-
-      const m = await query(
-        `SELECT offering_id FROM dbo.map_lecture_offering WHERE lecture_id=@p0`,
-        [lectureId]
-      );
-
-      let offeringId = m.recordset[0]?.offering_id || null;
-
-      if (!offeringId) {
-        // fallback: maybe client sent offering_id directly
-        offeringId = Number(lectureId);
-        console.log(
-          "⚠️ [SOCKET] join-lecture fallback → no map found, using lectureId as offeringId:",
-          offeringId
-        );
-      } else {
-        socket.emit("mapped-offering", {
-          lecture_id: lectureId,
-          offering_id: offeringId,
-        });
-        console.log(
-          "✅ [SOCKET] join-lecture mapped → lectureId:",
-          lectureId,
-          "→ offeringId:",
-          offeringId
-        );
-      }
-
-      await joinOfferingRooms(socket, offeringId);
-
-      console.log(
-        "✅ [SOCKET] join-lecture success → user:",
-        socket.user?.id,
-        "offeringId:",
-        offeringId
-      );
-    } catch (e) {
-      console.error("❌ [SOCKET] join-lecture error:", e);
-      socket.emit("join-denied", {
-        lecture_id: lectureId,
-        reason: "server error",
-      });
-    }
-  });
-
-  /* =========================================================
-     4) LEAVE LECTURE (legacy)
-     ========================================================= */
-  socket.on("leave-lecture", async (lectureId) => {
-    try {
-      console.log(
-        "↩️ [SOCKET] leave-lecture → user:",
-        socket.user?.id,
-        "lectureId:",
-        lectureId
-      );
-
-      const m = await query(
-        `SELECT offering_id FROM dbo.map_lecture_offering WHERE lecture_id=@p0`,
-        [lectureId]
-      );
-
-      const offeringId = m.recordset[0]?.offering_id || Number(lectureId);
-
-      leaveOfferingRooms(socket, offeringId);
-
-      console.log(
-        "✅ [SOCKET] leave-lecture success → user:",
-        socket.user?.id,
-        "offeringId:",
-        offeringId
-      );
-    } catch (e) {
-      console.error("❌ [SOCKET] leave-lecture error:", e);
-    }
-  });
-
-  /* =========================================================
-     5) PING TEST (for debug)
-     ========================================================= */
-  socket.on("ping-test", (data) => {
-    console.log("📡 [SOCKET] ping-test from:", socket.user?.id, "data:", data);
-    socket.emit("pong-test", {
-      echo: data || true,
-      time: new Date().toISOString(),
-    });
-  });
-
-  /* =========================================================
-     6) DISCONNECT
-     ========================================================= */
-  socket.on("disconnect", (reason) => {
-    console.log("🔴 [SOCKET] Disconnected:", socket.id, "reason:", reason);
-  });
-});
+attachSockets(io);
 
 app.get("/ok", (req, res) => {
   res.type("text/plain").send("OK");
@@ -319,10 +153,36 @@ app.get("/ok", (req, res) => {
 app.head("/ok", (req, res) => {
   res.type("text/plain").end();
 });
+// background jobs: a single process, or the leader worker in cluster mode
+const isLeader = !cluster.isWorker || process.env.CLUSTER_LEADER === "1";
+if (isLeader) {
+  // retry queued mail that could not be delivered right away
+  setInterval(() => {
+    flushOutbox().catch((e) => console.error("mail outbox error:", e?.message));
+  }, 60 * 1000).unref();
+  setInterval(() => {
+    purgeOldEvents().catch((e) =>
+      console.error("offering events purge error:", e?.message)
+    );
+  }, 60 * 60 * 1000).unref();
+  // "lecture starting soon" / "you haven't checked in"
+  startReminders(io);
+  // polls whose auto-close timer was lost (restart, other worker)
+  setInterval(() => {
+    closeExpiredPolls(io).catch((e) =>
+      console.error("poll close error:", e?.message)
+    );
+  }, 30 * 1000).unref();
+}
+
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () =>
-  console.log(`HTTPS + Socket.IO With Sec on https://localhost:${PORT}`)
-);
+if (cluster.isWorker) {
+  console.log(`Worker ${process.pid} ready${isLeader ? " (leader)" : ""}`);
+} else {
+  server.listen(PORT, () =>
+    console.log(`HTTPS + Socket.IO With Sec on https://localhost:${PORT}`)
+  );
+}
 
 // const REDIRECT_PORT = 80;
 // http
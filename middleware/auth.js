@@ -1,47 +1,195 @@
 // middleware/auth.js
-const jwt = require("jsonwebtoken");
-const SECRET = process.env.JWT_SECRET || "supersecret";
+const { verifyToken } = require("../utils/tokens");
+const { isSessionActive } = require("../utils/authSessions");
+const { verifyApiKey, takeRequest, touchApiKey } = require("../utils/apiKeys");
+const {
+  isGrantActive,
+  isReadRequest,
+  logImpersonatedRequest,
+} = require("../utils/impersonation");
 
 function extractBearer(req) {
   const h = req.headers.authorization || req.headers.Authorization || "";
   return h;
 }
 
-module.exports = function auth(req, res, next) {
-  try {
-    const rawAuth = extractBearer(req);
-    console.log("[AUTH] header:", rawAuth || "(none)");
+// Errors returned when a limited token hits an endpoint outside its purpose
+const LIMITED_ERRORS = {
+  password_change: "Password change required",
+  mfa: "Two-factor verification required",
+  mfa_enroll: "Two-factor enrollment required",
+};
 
-    if (!rawAuth) {
-      console.log("[AUTH] no Authorization header");
-      return res
-        .status(401)
-        .json({ status: false, error: "No token provided" });
-    }
+// `Authorization: ApiKey <key>` or `X-API-Key: <key>`
+function extractApiKey(req) {
+  const h = extractBearer(req).trim();
+  const m = /^ApiKey\s+(\S+)$/i.exec(h);
+  if (m) return m[1];
+  return req.headers["x-api-key"] || null;
+}
+
+/**
+ * API key requests: req.user is { id: null, role: "api_key", api_key_id,
+ * scopes } so utils/authz decides by scope.
+ */
+async function apiKeyAuth(req, res, next, rawKey) {
+  const key = await verifyApiKey(rawKey);
+  if (!key) {
+    console.log("[AUTH] invalid api key");
+    return res.status(401).json({ status: false, error: "Invalid API key" });
+  }
+  const verdict = await takeRequest(key.id, key.rate_limit);
+  if (!verdict.allowed) {
+    res.set("Retry-After", String(verdict.retry_after));
+    return res.status(429).json({
+      status: false,
+      error: "Rate limit exceeded for this API key",
+      retry_after: verdict.retry_after,
+    });
+  }
+  touchApiKey(key.id, req.ip);
+
+  req.auth = {
+    id: null,
+    role: "api_key",
+    sid: null,
+    limited: null,
+    apiKey: key,
+  };
+  req.user = {
+    id: null,
+    role: "api_key",
+    api_key_id: key.id,
+    scopes: key.scopes,
+  };
+  console.log("[AUTH] api key ok ->", key.id, key.name);
+  return next();
+}
+
+/**
+ * Builds the auth middleware. By default access tokens, API keys and
+ * impersonation tokens pass; `allowPurposes` additionally admits limited
+ * tokens for those purposes. `delegated: false` refuses API keys and
+ * impersonation (routes about the caller's own account).
+ */
+function createAuth(allowPurposes = [], { delegated = true } = {}) {
+  return async function auth(req, res, next) {
+    try {
+      const rawKey = extractApiKey(req);
+      if (rawKey) {
+        if (!delegated) {
+          return res.status(403).json({
+            status: false,
+            error: "API keys cannot use this endpoint",
+          });
+        }
+        return await apiKeyAuth(req, res, next, rawKey);
+      }
+
+      const rawAuth = extractBearer(req);
+      console.log("[AUTH] header:", rawAuth || "(none)");
 
-    const parts = rawAuth.trim().split(/\s+/);
-    if (!(parts.length === 2 && /^Bearer$/i.test(parts[0]))) {
-      console.log("[AUTH] malformed header (expect 'Bearer <token>')");
+      if (!rawAuth) {
+        console.log("[AUTH] no Authorization header");
+        return res
+          .status(401)
+          .json({ status: false, error: "No token provided" });
+      }
+
+      const parts = rawAuth.trim().split(/\s+/);
+      if (!(parts.length === 2 && /^Bearer$/i.test(parts[0]))) {
+        console.log("[AUTH] malformed header (expect 'Bearer <token>')");
+        return res
+          .status(401)
+          .json({ status: false, error: "No token provided" });
+      }
+
+      const token = parts[1];
+      const decoded = verifyToken(token);
+
+      if (decoded.typ === "limited") {
+        if (!allowPurposes.includes(decoded.purpose)) {
+          console.log("[AUTH] limited token rejected:", decoded.purpose);
+          return res.status(403).json({
+            status: false,
+            error: LIMITED_ERRORS[decoded.purpose] || "Forbidden",
+            [`${decoded.purpose}_required`]: true,
+          });
+        }
+      } else if (decoded.typ === "impersonation") {
+        if (!delegated) {
+          return res.status(403).json({
+            status: false,
+            error: "Not available while impersonating",
+          });
+        }
+        if (!(await isGrantActive(decoded.gid))) {
+          console.log("[AUTH] impersonation ended:", decoded.gid);
+          return res
+            .status(401)
+            .json({ status: false, error: "Impersonation ended" });
+        }
+        if (decoded.ro && !isReadRequest(req)) {
+          return res.status(403).json({
+            status: false,
+            error: "Impersonation is read-only",
+            impersonation: true,
+          });
+        }
+      } else if (!(await isSessionActive(decoded.sid))) {
+        // Logout / admin revocation kills the session before the token expires
+        console.log("[AUTH] session revoked:", decoded.sid);
+        return res
+          .status(401)
+          .json({ status: false, error: "Session revoked" });
+      }
+
+      const id =
+        typeof decoded.id === "string" ? Number(decoded.id) : decoded.id;
+      const role = (decoded.role || "").toString().toLowerCase();
+
+      req.auth = {
+        id,
+        role,
+        sid: decoded.sid,
+        limited: decoded.typ === "limited" ? decoded.purpose : null,
+        raw: decoded,
+      };
+      req.user = { id, role };
+
+      if (decoded.typ === "impersonation") {
+        // authorized as the target user, logged as the admin
+        req.auth.impersonator = Number(decoded.act.id);
+        req.auth.grantId = decoded.gid;
+        req.user.impersonated_by = req.auth.impersonator;
+        res.set("X-Impersonated-By", String(req.auth.impersonator));
+        logImpersonatedRequest(req, res);
+      }
+
+      console.log("[AUTH] ok ->", req.user);
+      return next();
+    } catch (err) {
+      console.error("[AUTH] error:", err?.name, err?.message);
+      if (!/Token|NotBefore/.test(err?.name || "")) {
+        return res.status(500).json({ status: false, error: "Auth failed" });
+      }
       return res
-        .status(401)
-        .json({ status: false, error: "No token provided" });
+        .status(err?.name === "TokenExpiredError" ? 401 : 403)
+        .json({ status: false, error: "Invalid or expired token" });
     }
+  };
+}
 
-    const token = parts[1];
-    const decoded = jwt.verify(token, SECRET, { clockTolerance: 30 });
+const auth = createAuth();
 
-    const id = typeof decoded.id === "string" ? Number(decoded.id) : decoded.id;
-    const role = (decoded.role || "").toString().toLowerCase();
+/**
+ * Usage:
+ *   router.post("/change-password", auth.allowing("password_change"), handler);
+ * handler sees req.auth.limited === "password_change" for limited tokens.
+ */
+auth.allowing = (...purposes) => createAuth(purposes, { delegated: false });
 
-    req.auth = { id, role, raw: decoded };
-    req.user = { id, role };
+// Signed-in people only (logout, own sessions, 2FA, ...)
+auth.accountOnly = createAuth([], { delegated: false });
 
-    console.log("[AUTH] ok ->", req.user);
-    return next();
-  } catch (err) {
-    console.error("[AUTH] error:", err?.name, err?.message);
-    return res
-      .status(err?.name === "TokenExpiredError" ? 401 : 403)
-      .json({ status: false, error: "Invalid or expired token" });
-  }
-};
+module.exports = auth;
@@ -2,12 +2,8 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
-
-// helper to read user/role from either req.auth or req.user
-function getReqUser(req) {
-  const src = req.auth || req.user || {};
-  return { id: src.id, role: (src.role || "").toLowerCase(), email: src.email };
-}
+const { can } = require("../utils/authz");
+const { unbindDevices } = require("../utils/devices");
 
 /**
  * POST /admin/reset-udid
@@ -17,8 +13,6 @@ function getReqUser(req) {
  */
 router.post("/reset-udid", auth, async (req, res) => {
   try {
-    const { id: requesterId, role: requesterRole } = getReqUser(req);
-
     let { email } = req.body || {};
     if (typeof email !== "string" || !email.trim()) {
       return res
@@ -38,23 +32,20 @@ router.post("/reset-udid", auth, async (req, res) => {
     const target = u.recordset[0];
 
     // 2) permission: admin OR same user
-    const isAdmin = requesterRole === "admin";
-    const isSelf = requesterId === target.id;
-    if (!isAdmin && !isSelf) {
+    if (!(await can(req.user, "device:reset", { user_id: target.id }))) {
       return res.status(403).json({ status: false, error: "Forbidden" });
     }
 
-    // 3) remove device bindings for this user
-    const del = await query(
-      "DELETE FROM dbo.devices WHERE user_id=@p0; SELECT @@ROWCOUNT AS removed;",
-      [target.id]
-    );
-    // Alternative (without SELECT): const removed = del.rowsAffected?.[0] || 0;
+    // 3) remove device bindings for this user (kept in dbo.device_history)
+    const removed = await unbindDevices(target.id, {
+      reason: "reset_udid",
+      actorId: req.user.id,
+    });
 
     return res.json({
       status: true,
       message: "UDID reset successfully",
-      removed: del.recordset[0].removed,
+      removed: removed.length,
       user_id: target.id,
       email: target.email,
     });
@@ -73,8 +64,6 @@ router.post("/reset-udid", auth, async (req, res) => {
  */
 router.post("/set-modulation", auth, async (req, res) => {
   try {
-    const { id: requesterId, role: requesterRole } = getReqUser(req);
-
     const { lecture_id, modulation_string } = req.body || {};
     if (
       !Number.isInteger(lecture_id) ||
@@ -108,19 +97,11 @@ router.post("/set-modulation", auth, async (req, res) => {
     }
 
     // 2) permissions: admin OR assigned teacher
-    if (requesterRole !== "admin") {
-      const a = await query(
-        `SELECT TOP 1 1
-           FROM dbo.lecture_assignments
-          WHERE lecture_id=@p0 AND user_id=@p1 AND LOWER(role)='teacher'`,
-        [lecture_id, requesterId]
-      );
-      if (!a.recordset.length) {
-        return res.status(403).json({
-          status: false,
-          error: "Only assigned teacher or admin can change modulation_string",
-        });
-      }
+    if (!(await can(req.user, "lecture:set-modulation", { lecture_id }))) {
+      return res.status(403).json({
+        status: false,
+        error: "Only assigned teacher or admin can change modulation_string",
+      });
     }
 
     // 3) update
@@ -3,15 +3,43 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
+const { can } = require("../utils/authz");
+const { emitAttendanceUpdate } = require("../utils/roster");
+const { checkSessionCode } = require("../utils/sessionCodes");
+const { applyCheckInStatus } = require("../utils/attendanceRules");
+const { audit } = require("../utils/audit");
+const {
+  OVERRIDE_STATUSES,
+  MAX_REASON,
+  overrideAttendance,
+  listOverrides,
+} = require("../utils/attendanceOverrides");
+const {
+  MAX_ITEMS,
+  boundDevice,
+  issueSyncKey,
+  deviceKey,
+  verifySignature,
+  checkItem,
+  previousResult,
+  logItem,
+  sessionAt,
+  syncTooLate,
+  codeValidAt,
+  applyItem,
+} = require("../utils/offlineSync");
 
 router.post("/check", auth, async (req, res) => {
   try {
-    const { offering_id, action, modulation_string, udid, now_ts } = req.body;
+    const { offering_id, action, modulation_string, code, udid, now_ts } =
+      req.body;
+    // the rotating code may also arrive in modulation_string (older apps)
+    const seen = code || modulation_string;
 
-    if (!offering_id || !action || !modulation_string) {
+    if (!offering_id || !action || !seen) {
       return res.status(400).json({
         status: false,
-        error: "offering_id, action, modulation_string required",
+        error: "offering_id, action, code (or modulation_string) required",
       });
     }
     if (!["checkin", "checkout"].includes(action)) {
@@ -21,7 +49,7 @@ router.post("/check", auth, async (req, res) => {
       });
     }
 
-    // 1) Offering exists? (and optional modulation_string check if column exists)
+    // 1) Offering exists? (static modulation_string loaded if the column exists)
     let hasModulationCol = false;
     try {
       const col = await query(
@@ -44,21 +72,9 @@ router.post("/check", auth, async (req, res) => {
         .status(404)
         .json({ status: false, error: "Offering not found" });
     }
-    if (hasModulationCol) {
-      const expected = off.recordset[0].modulation_string;
-      if (expected && expected !== modulation_string) {
-        return res
-          .status(400)
-          .json({ status: false, error: "Modulation mismatch" });
-      }
-    }
 
     // 2) User assigned? (unless admin)
-    const asg = await query(
-      `SELECT role FROM dbo.offering_assignments WHERE offering_id=@p0 AND user_id=@p1`,
-      [offering_id, req.user.id]
-    );
-    if (!asg.recordset.length && req.user.role !== "admin") {
+    if (!(await can(req.user, "attendance:check", { offering_id }))) {
       return res
         .status(403)
         .json({ status: false, error: "User not assigned to this offering" });
@@ -171,6 +187,24 @@ router.post("/check", auth, async (req, res) => {
 
     const session_id = sess.recordset[0].id;
 
+    // 3b) Rotating code while the session runs (checking out after it
+    //     ended needs none); the static modulation_string only for
+    //     sessions without one
+    const codeOk = await checkSessionCode(session_id, seen);
+    if (codeOk === false && sess.recordset[0].status === "started") {
+      return res
+        .status(400)
+        .json({ status: false, error: "Invalid or expired attendance code" });
+    }
+    if (codeOk === null && hasModulationCol) {
+      const expected = off.recordset[0].modulation_string;
+      if (expected && expected !== seen) {
+        return res
+          .status(400)
+          .json({ status: false, error: "Modulation mismatch" });
+      }
+    }
+
     // 4) Write attendance (first-in, last-out)
     const upsertSql =
       action === "checkin"
@@ -203,30 +237,329 @@ router.post("/check", auth, async (req, res) => {
           END
         `;
 
-    await query(upsertSql, [
-      session_id,
-      req.user.id,
-      modulation_string,
-      udid || null,
-    ]);
+    await query(upsertSql, [session_id, req.user.id, seen, udid || null]);
+    // present / late / absent from the offering's thresholds
+    const attendance_status =
+      action === "checkin"
+        ? await applyCheckInStatus(session_id, req.user.id)
+        : null;
 
-    // 5) Notify teachers (offering room)
-    const io = req.app.get("io");
-    if (io) {
-      io.to(`off:${offering_id}:teachers`).emit("attendance_updated", {
+    // 5) Notify the roster watchers (teachers, assistants with view_roster)
+    try {
+      await emitAttendanceUpdate(
+        req.app.get("io"),
         offering_id,
         session_id,
-        user_id: req.user.id,
-        action,
-        at: new Date().toISOString(),
-      });
+        req.user.id,
+        { action }
+      );
+    } catch (e) {
+      console.warn("attendance_updated emit failed:", e?.message || e);
     }
 
-    return res.json({ status: true, offering_id, session_id, action });
+    return res.json({
+      status: true,
+      offering_id,
+      session_id,
+      action,
+      attendance_status,
+    });
   } catch (e) {
     console.error("attendance check error:", e);
     return res.status(500).json({ status: false, error: "Attendance failed" });
   }
 });
 
+// Session + offering of a course_sessions row (null when missing)
+async function loadSession(sessionId) {
+  const r = await query(
+    `SELECT cs.id, cs.offering_id, cs.status, o.primary_room_id
+       FROM dbo.course_sessions cs
+       JOIN dbo.course_offerings o ON o.id = cs.offering_id
+      WHERE cs.id=@p0`,
+    [sessionId]
+  );
+  return r.recordset[0] || null;
+}
+
+/**
+ * POST /attendance/override
+ * Body: { session_id, user_id, status: present|late|absent|excused, reason }
+ * Teachers, assistants with manual_attendance, admins.
+ */
+router.post("/override", auth, async (req, res) => {
+  try {
+    const b = req.body || {};
+    const session_id = Number(b.session_id);
+    const user_id = Number(b.user_id);
+    const status = String(b.status || "").toLowerCase();
+    const reason = String(b.reason || "").trim();
+    if (!session_id || !user_id) {
+      return res
+        .status(400)
+        .json({ status: false, error: "session_id and user_id required" });
+    }
+    if (!OVERRIDE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: false,
+        error: `status must be one of ${OVERRIDE_STATUSES.join(", ")}`,
+      });
+    }
+    if (!reason || reason.length > MAX_REASON) {
+      return res.status(400).json({
+        status: false,
+        error: `reason is required (max ${MAX_REASON} chars)`,
+      });
+    }
+
+    const S = await loadSession(session_id);
+    if (!S) {
+      return res
+        .status(404)
+        .json({ status: false, error: "Session not found" });
+    }
+    const target = { offering_id: S.offering_id, room_id: S.primary_room_id };
+    if (!(await can(req.user, "attendance:mark", target))) {
+      return res
+        .status(403)
+        .json({ status: false, error: "Not allowed to mark attendance here" });
+    }
+    const student = await query(
+      `SELECT 1 AS ok FROM dbo.offering_assignments
+        WHERE offering_id=@p0 AND user_id=@p1 AND role='student'`,
+      [S.offering_id, user_id]
+    );
+    if (!student.recordset.length) {
+      return res.status(400).json({
+        status: false,
+        error: "User is not a student of this offering",
+      });
+    }
+
+    const change = await overrideAttendance({
+      sessionId: session_id,
+      userId: user_id,
+      status,
+      reason,
+      changedBy: req.user.id ?? null,
+    });
+    await audit(req.user.id, "attendance_override", {
+      override_id: change.id,
+      session_id,
+      user_id,
+      from: change.previous_status,
+      to: status,
+      api_key_id: req.user.api_key_id,
+    });
+
+    try {
+      await emitAttendanceUpdate(
+        req.app.get("io"),
+        S.offering_id,
+        session_id,
+        user_id,
+        { action: "override", reason, changed_by: req.user.id ?? null }
+      );
+    } catch (e) {
+      console.warn("attendance_updated emit failed:", e?.message || e);
+    }
+
+    return res.json({ status: true, override: change });
+  } catch (e) {
+    console.error("attendance override error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to update attendance" });
+  }
+});
+
+/**
+ * GET /attendance/overrides?session_id=&user_id=
+ * Manual changes of a session (optionally one student), newest first.
+ */
+router.get("/overrides", auth, async (req, res) => {
+  try {
+    const session_id = Number(req.query.session_id);
+    const user_id = Number(req.query.user_id) || null;
+    if (!session_id) {
+      return res
+        .status(400)
+        .json({ status: false, error: "session_id is required" });
+    }
+    const S = await loadSession(session_id);
+    if (!S) {
+      return res
+        .status(404)
+        .json({ status: false, error: "Session not found" });
+    }
+    const target = { offering_id: S.offering_id, room_id: S.primary_room_id };
+    if (
+      !(await can(req.user, "attendance:mark", target)) &&
+      !(await can(req.user, "roster:view", target))
+    ) {
+      return res.status(403).json({ status: false, error: "Forbidden" });
+    }
+    const overrides = await listOverrides({
+      sessionId: session_id,
+      userId: user_id,
+    });
+    return res.json({ status: true, session_id, overrides });
+  } catch (e) {
+    console.error("attendance overrides error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to load overrides" });
+  }
+});
+
+/**
+ * POST /attendance/sync-key
+ * Body: { udid }  (the caller's bound device)
+ * Issues the key the app signs offline check-ins with; a new call replaces
+ * the old key, so items signed with it are rejected afterwards.
+ */
+router.post("/sync-key", auth, async (req, res) => {
+  try {
+    const udid = String(req.body?.udid || "").trim();
+    if (!udid) {
+      return res.status(400).json({ status: false, error: "udid is required" });
+    }
+    const key = await issueSyncKey(req.user.id, udid);
+    if (!key) {
+      return res
+        .status(403)
+        .json({ status: false, error: "Device is not bound to this account" });
+    }
+    await audit(req.user.id, "sync_key_issued", { udid });
+    return res.json({ status: true, key });
+  } catch (e) {
+    console.error("sync key error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to issue sync key" });
+  }
+});
+
+// One queued item -> { accepted, reason, session_id }
+async function syncItem(user, udid, key, item) {
+  const reason = checkItem(item);
+  if (reason) return { accepted: false, reason };
+  if (!verifySignature(key, udid, item)) {
+    return { accepted: false, reason: "bad_signature" };
+  }
+  const offering_id = Number(item.offering_id);
+  if (!(await can(user, "attendance:check", { offering_id }))) {
+    return { accepted: false, reason: "not_assigned" };
+  }
+  const ts = new Date(item.ts);
+  const S = await sessionAt(offering_id, ts, item.action);
+  if (!S) return { accepted: false, reason: "no_session_at_ts" };
+  if (syncTooLate(S)) {
+    return { accepted: false, reason: "synced_too_late", session_id: S.id };
+  }
+  if (!(await codeValidAt(offering_id, S.id, item.code, ts))) {
+    return { accepted: false, reason: "invalid_code", session_id: S.id };
+  }
+  await applyItem(S.id, user.id, udid, item, ts);
+  if (item.action === "checkin") await applyCheckInStatus(S.id, user.id);
+  return { accepted: true, reason: null, session_id: S.id };
+}
+
+/**
+ * POST /attendance/sync
+ * Body: { udid, items: [{ id, offering_id, action, ts, code, signature }] }
+ * Replays check-ins queued while offline (see utils/offlineSync). Items are
+ * accepted or rejected one by one; an item id seen before gets its earlier
+ * answer back.
+ */
+router.post("/sync", auth, async (req, res) => {
+  try {
+    const udid = String(req.body?.udid || "").trim();
+    const items = req.body?.items;
+    if (!udid || !Array.isArray(items)) {
+      return res
+        .status(400)
+        .json({ status: false, error: "udid and items[] required" });
+    }
+    if (items.length > MAX_ITEMS) {
+      return res.status(400).json({
+        status: false,
+        error: `At most ${MAX_ITEMS} items per batch`,
+      });
+    }
+    const device = await boundDevice(req.user.id, udid);
+    if (!device) {
+      return res
+        .status(403)
+        .json({ status: false, error: "Device is not bound to this account" });
+    }
+    const key = deviceKey(device);
+    if (!key) {
+      return res
+        .status(409)
+        .json({ status: false, error: "No sync key issued for this device" });
+    }
+
+    const io = req.app.get("io");
+    const results = [];
+    for (const item of items) {
+      const id = item?.id ?? null;
+      try {
+        const prev = id ? await previousResult(req.user.id, id) : null;
+        if (prev) {
+          results.push({
+            id,
+            accepted: prev.result === "accepted",
+            reason: prev.reason,
+            session_id: prev.session_id,
+            duplicate: true,
+          });
+          continue;
+        }
+        const outcome = await syncItem(req.user, udid, key, item);
+        // items without a usable id cannot be deduplicated, so not logged
+        if (
+          outcome.reason !== "invalid_item" &&
+          outcome.reason !== "invalid_id"
+        ) {
+          await logItem(req.user.id, device.id, item, outcome);
+        }
+        results.push({
+          id,
+          ...outcome,
+          session_id: outcome.session_id ?? null,
+        });
+        if (outcome.accepted) {
+          emitAttendanceUpdate(
+            io,
+            Number(item.offering_id),
+            outcome.session_id,
+            req.user.id,
+            { action: item.action, offline: true }
+          ).catch((e) =>
+            console.warn("attendance_updated emit failed:", e?.message || e)
+          );
+        }
+      } catch (e) {
+        // not logged: the app keeps the item and retries it later
+        console.error("attendance sync item error:", e);
+        results.push({ id, accepted: false, reason: "server_error" });
+      }
+    }
+
+    const accepted = results.filter((r) => r.accepted).length;
+    return res.json({
+      status: true,
+      accepted,
+      rejected: results.length - accepted,
+      results,
+    });
+  } catch (e) {
+    console.error("attendance sync error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Attendance sync failed" });
+  }
+});
+
 module.exports = router;
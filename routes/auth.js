@@ -2,58 +2,319 @@ const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcryptjs");
 const { query } = require("../DB/dbConnection");
-const jwt = require("jsonwebtoken");
 const auth = require("../middleware/auth");
+// account endpoints: refuse API keys and impersonation tokens
+const accountAuth = auth.accountOnly;
 const { buildAssignedSchedule } = require("../utils/buildSchedule");
-const JWT_SECRET = process.env.JWT_SECRET || "supersecret";
-// POST /auth/register
+const {
+  checkThrottle,
+  recordAttempt,
+  sendThrottled,
+} = require("../utils/loginThrottle");
+const {
+  issueResetCode,
+  resetTokenUser,
+  checkResetCode,
+  consumeResetCode,
+} = require("../utils/passwordReset");
+const { signAccessToken, signLimitedToken } = require("../utils/tokens");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllForUser,
+  listActiveSessions,
+  kickSockets,
+} = require("../utils/authSessions");
+const mfa = require("../utils/mfa");
+const passwordPolicy = require("../utils/passwordPolicy");
+const devices = require("../utils/devices");
+const oidc = require("../utils/oidc");
+const { audit } = require("../utils/audit");
+const {
+  EMAIL_RE,
+  cleanEmail,
+  checkLevelDepartment,
+  autoAssignSectionGroup,
+  AUTO_ASSIGN_FAILED,
+} = require("../utils/userProvisioning");
+const {
+  findActiveInvitation,
+  redeemInvitation,
+} = require("../utils/invitations");
+function publicUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    department: user.department,
+    level: user.level,
+    section: user.section,
+    group_name: user.group_name,
+    role: user.role,
+  };
+}
+
+// Opens an auth session for a fully authenticated user and builds the
+// standard login payload (tokens + user + assigned schedule).
+async function loginPayload(req, user, udid) {
+  const session = await createSession({
+    userId: user.id,
+    udid: udid || null,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+  });
+  const { token, expires_in } = signAccessToken(user, session.sessionId);
+
+  // Build assigned schedule (works with legacy or new schema)
+  const assigned_schedule = await buildAssignedSchedule(user.id);
+
+  return {
+    status: true,
+    token,
+    expires_in,
+    refresh_token: session.refreshToken,
+    refresh_expires_at: session.refreshExpiresAt,
+    user: publicUser(user),
+    assigned_schedule,
+  };
+}
+
+// Device binding policy (utils/devices). Returns null when the login may
+// continue, otherwise { code, body } for the response.
+async function bindDevice(req, user, udid) {
+  const meta = { ip: req.ip, userAgent: req.headers["user-agent"] };
+  if (String(user.role).toLowerCase() === "admin") {
+    // Admin: UDID optional; bind it while under the limit (non-fatal)
+    if (udid) {
+      try {
+        await devices.checkLoginDevice(user, udid, {
+          ...meta,
+          openRequest: false,
+        });
+      } catch (e) {
+        console.warn("admin device bind warning:", e?.message || e);
+      }
+    }
+    return null;
+  }
+
+  // Non-admins must provide UDID
+  if (!udid) {
+    return {
+      code: 400,
+      body: { status: false, error: "Missing udid for this account" },
+    };
+  }
+  const bound = await devices.checkLoginDevice(user, udid, meta);
+  if (bound.ok) return null;
+  return {
+    code: 403,
+    body: {
+      status: false,
+      error: "New device is waiting for admin approval",
+      device_change_pending: true,
+      request: bound.request,
+      max_devices: devices.MAX_DEVICES_PER_USER,
+    },
+  };
+}
+
+/**
+ * Admin second factor. Resolves to { body } with a limited "mfa" /
+ * "mfa_enroll" token when that step must come first, otherwise to
+ * { recommended } (true when the admin has not enrolled yet).
+ */
+async function secondFactor(user, udid) {
+  if (!mfa.appliesTo(user)) return { recommended: false };
+  const enrolled = mfa.isEnabled(await mfa.getMfa(user.id));
+  if (!enrolled && !mfa.isEnforced()) return { recommended: true };
+
+  const purpose = enrolled ? "mfa" : "mfa_enroll";
+  const limited = signLimitedToken(user, purpose, { udid: udid || null });
+  return {
+    body: {
+      status: true,
+      [`${purpose}_required`]: true,
+      token: limited.token,
+      expires_in: limited.expires_in,
+      user: publicUser(user),
+    },
+  };
+}
+
+/**
+ * Last part of a login once the credentials (and, for admins, the second
+ * factor) are verified. Shared by /login, /oidc/callback, /2fa/verify
+ * and /2fa/enable.
+ * Resolves to { code, body } for the response.
+ */
+async function completeLogin(req, user, udid) {
+  const denied = await bindDevice(req, user, udid);
+  if (denied) return denied;
+
+  // Default/admin-set password: only a limited token until it is changed
+  if (user.force_password_change) {
+    const limited = signLimitedToken(user, "password_change", {
+      udid: udid || null,
+    });
+    return {
+      code: 200,
+      body: {
+        status: true,
+        password_change_required: true,
+        token: limited.token,
+        expires_in: limited.expires_in,
+        user: publicUser(user),
+      },
+    };
+  }
+
+  // Open an auth session: short-lived access token + rotating refresh token
+  return { code: 200, body: await loginPayload(req, user, udid) };
+}
+
+/**
+ * GET /auth/password-policy
+ * Rules new passwords must meet, so clients can validate before submitting.
+ */
+router.get("/password-policy", (req, res) => {
+  const { min_length, max_length, min_classes, history } =
+    passwordPolicy.POLICY;
+  return res.json({
+    status: true,
+    min_length,
+    max_length,
+    min_classes,
+    classes: ["lowercase", "uppercase", "digits", "symbols"],
+    history,
+  });
+});
+
+/**
+ * POST /auth/register
+ * Body: { invite_code, name, email, password }
+ *
+ * Self-registration needs an invitation code generated in the dashboard.
+ * The code decides department, level and role; section and group are
+ * picked by dbo.AutoAssignSectionGroup like for admin-created users.
+ */
 router.post("/register", async (req, res) => {
   try {
-    const { email, fullName, password, department } = req.body;
+    const { invite_code, email, password } = req.body || {};
+    const name = (req.body?.name ?? req.body?.fullName ?? "").trim();
+
+    if (!invite_code || !name || !email || !password) {
+      return res.status(400).json({
+        status: false,
+        error: "invite_code, name, email and password are required",
+      });
+    }
+    const userEmail = cleanEmail(email);
+    if (!EMAIL_RE.test(userEmail)) {
+      return res.status(400).json({ status: false, error: "Invalid email" });
+    }
+    const weak = passwordPolicy.checkPassword(password, {
+      email: userEmail,
+      name,
+    });
+    if (weak.length) {
+      return res.status(400).json(passwordPolicy.policyError(weak));
+    }
+
+    // Guessing invitation codes counts like guessing passwords
+    const attempt = {
+      kind: "register",
+      email: userEmail,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    const verdict = await checkThrottle(attempt);
+    if (!verdict.allowed) return sendThrottled(res, verdict);
 
-    if (!email || !fullName || !password) {
+    const invite = await findActiveInvitation(invite_code);
+    if (!invite) {
+      await recordAttempt({
+        ...attempt,
+        success: false,
+        reason: "bad_invite_code",
+      });
       return res
         .status(400)
-        .json({ error: "email, fullName, password are required" });
+        .json({ status: false, error: "Invalid or expired invitation code" });
     }
 
-    const passwordHash = await bcrypt.hash(password, 10);
+    const scope = await checkLevelDepartment(
+      invite.level_id,
+      invite.department_id
+    );
+    if (scope.error) {
+      return res.status(400).json({ status: false, error: scope.error });
+    }
+    const picked = await autoAssignSectionGroup(
+      invite.level_id,
+      invite.department_id
+    );
+    if (!picked) {
+      return res.status(400).json({ status: false, error: AUTO_ASSIGN_FAILED });
+    }
 
-    // proc outputs @NewUserId
-    const result = await db.execProc(
-      "dbo.User_CreateIfNotExists",
+    const passwordHash = await passwordPolicy.hashPassword(password);
+    const userId = await redeemInvitation(
+      invite.id,
       {
-        Email: email,
-        FullName: fullName,
-        PasswordHash: passwordHash,
-        Department: department ?? null,
-        RoleName: "student",
-        ForcePwChange: false,
-        NewUserId: 0, // output placeholder
+        name,
+        email: userEmail,
+        password_hash: passwordHash,
+        role: invite.role,
+        department: scope.department_name,
+        section: picked.section_name,
+        group_name: picked.group_name,
+        department_id: invite.department_id,
+        level_id: invite.level_id,
+        section_id: picked.section_id,
+        group_id: picked.group_id,
       },
-      {
-        Email: db.TYPES.NVarChar,
-        FullName: db.TYPES.NVarChar,
-        PasswordHash: db.TYPES.NVarChar,
-        Department: db.TYPES.NVarChar,
-        RoleName: db.TYPES.NVarChar,
-        ForcePwChange: db.TYPES.Bit,
-        NewUserId: db.TYPES.Int,
-      }
+      req.ip
     );
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ status: false, error: "Invalid or expired invitation code" });
+    }
+
+    await passwordPolicy.recordPasswordHistory(userId, passwordHash);
+    await recordAttempt({ ...attempt, userId, success: true });
+    await audit(userId, "register", { invitation_id: invite.id, ip: req.ip });
 
-    const newId = result.output.NewUserId;
-    return res.status(201).json({ ok: true, userId: newId });
+    return res.status(201).json({
+      status: true,
+      id: userId,
+      role: invite.role,
+      assigned: {
+        department_id: invite.department_id,
+        department: scope.department_name,
+        level_id: invite.level_id,
+        section_id: picked.section_id,
+        section: picked.section_name,
+        group_id: picked.group_id,
+        group_name: picked.group_name,
+      },
+      message: "Account created, you can now log in",
+    });
   } catch (err) {
     // map known duplicate cases to 409
     const sqlNumber = err?.originalError?.info?.number || err?.number;
-    if (sqlNumber === 50001 || sqlNumber === 2627 || sqlNumber === 2601) {
-      return res.status(409).json({ error: "Email already exists" });
+    if (sqlNumber === 2627 || sqlNumber === 2601) {
+      return res
+        .status(409)
+        .json({ status: false, error: "Email already exists" });
     }
     console.error("Register error:", err);
-    return res.status(500).json({ error: "Server error" });
+    return res.status(500).json({ status: false, error: "Server error" });
   }
 });
+
 // POST /auth/login
 
 router.post("/login", async (req, res) => {
@@ -66,10 +327,25 @@ router.post("/login", async (req, res) => {
         .json({ status: false, error: "Missing email or password" });
     }
 
+    // 0) Brute-force guard (per account + per IP)
+    const attempt = {
+      kind: "login",
+      email,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    const verdict = await checkThrottle(attempt);
+    if (!verdict.allowed) return sendThrottled(res, verdict);
+
     // 1) Find user
     const userSql = `SELECT * FROM dbo.users WHERE email=@p0`;
     const ures = await query(userSql, [email]);
     if (!ures.recordset.length) {
+      await recordAttempt({
+        ...attempt,
+        success: false,
+        reason: "unknown_user",
+      });
       return res
         .status(401)
         .json({ status: false, error: "Invalid credentials" });
@@ -79,78 +355,350 @@ router.post("/login", async (req, res) => {
     // 2) Verify password (bcrypt hash stored in users.password_hash)
     const ok = await bcrypt.compare(password, user.password_hash || "");
     if (!ok) {
+      await recordAttempt({
+        ...attempt,
+        userId: user.id,
+        success: false,
+        reason: "bad_password",
+      });
       return res
         .status(401)
         .json({ status: false, error: "Invalid credentials" });
     }
+    await recordAttempt({ ...attempt, userId: user.id, success: true });
 
-    // 3) Device binding policy
-    if (String(user.role).toLowerCase() === "admin") {
-      // Admin: UDID optional; upsert if provided (non-fatal if fails)
-      if (udid) {
-        try {
-          await query(
-            `IF EXISTS (SELECT 1 FROM dbo.devices WHERE user_id=@p0)
-               UPDATE dbo.devices SET udid=@p1 WHERE user_id=@p0
-             ELSE
-               INSERT INTO dbo.devices (user_id, udid) VALUES (@p0, @p1);`,
-            [user.id, udid]
-          );
-        } catch (e) {
-          console.warn("admin device bind warning:", e?.message || e);
-        }
-      }
-    } else {
-      // Non-admins must provide UDID
-      if (!udid) {
-        return res
-          .status(400)
-          .json({ status: false, error: "Missing udid for this account" });
-      }
-      const dev = await query(
-        `SELECT udid FROM dbo.devices WHERE user_id=@p0`,
-        [user.id]
+    // 3) Admin second factor: no session until the TOTP step is passed
+    const step = await secondFactor(user, udid);
+    if (step.body) return res.json(step.body);
+
+    // 4) Device binding, forced password change, session
+    const out = await completeLogin(req, user, udid);
+    if (step.recommended && out.body.status) {
+      out.body.mfa_enrollment_recommended = true;
+    }
+    return res.status(out.code).json(out.body);
+  } catch (err) {
+    console.error("Login error:", err);
+    return res.status(500).json({ status: false, error: "Login failed" });
+  }
+});
+
+/**
+ * GET /auth/oidc/start?udid=...&redirect=1
+ * Single sign-on with the college identity provider (authorization code +
+ * PKCE). Returns { authorization_url, state } for the app to open, or
+ * redirects there with ?redirect=1. The provider sends the user back to
+ * OIDC_REDIRECT_URI with ?code&state, which go to /auth/oidc/callback.
+ */
+router.get("/oidc/start", async (req, res) => {
+  try {
+    if (!oidc.isConfigured()) {
+      return res
+        .status(503)
+        .json({ status: false, error: "Single sign-on is not configured" });
+    }
+    const udid = req.query.udid ? String(req.query.udid).slice(0, 128) : null;
+    const started = await oidc.startLogin({ udid, ip: req.ip });
+    if (String(req.query.redirect) === "1") {
+      return res.redirect(started.authorization_url);
+    }
+    return res.json({ status: true, ...started });
+  } catch (err) {
+    console.error("oidc start error:", err?.message || err);
+    return res
+      .status(502)
+      .json({ status: false, error: "Identity provider unavailable" });
+  }
+});
+
+/**
+ * GET  /auth/oidc/callback?code&state
+ * POST /auth/oidc/callback  Body: { code, state }
+ *
+ * Matches the verified email to an existing account (no sign-up here) and
+ * then answers like /auth/login: device binding, admin second factor,
+ * forced password change, session tokens + assigned_schedule.
+ */
+async function oidcCallback(req, res) {
+  const src = req.method === "GET" ? req.query : req.body || {};
+  const attempt = {
+    kind: "oidc",
+    email: "",
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+  };
+  try {
+    if (!oidc.isConfigured()) {
+      return res
+        .status(503)
+        .json({ status: false, error: "Single sign-on is not configured" });
+    }
+    if (src.error) {
+      return res.status(401).json({
+        status: false,
+        error: "Sign-in was cancelled or refused",
+        provider_error: String(src.error),
+      });
+    }
+
+    const result = await oidc.finishLogin({
+      code: src.code ? String(src.code) : null,
+      state: src.state ? String(src.state) : null,
+    });
+    if (result.error) {
+      return res.status(400).json({ status: false, error: result.error });
+    }
+    attempt.email = result.email;
+    const { claims, udid } = result;
+
+    const ures = await query(
+      `SELECT * FROM dbo.users WHERE LOWER(LTRIM(RTRIM(email)))=@p0`,
+      [result.email]
+    );
+    if (ures.recordset.length !== 1) {
+      await recordAttempt({
+        ...attempt,
+        success: false,
+        reason: ures.recordset.length ? "ambiguous_email" : "unknown_user",
+      });
+      return res.status(401).json({
+        status: false,
+        error: "No account is registered for this email",
+      });
+    }
+    const user = ures.recordset[0];
+
+    if (!(await oidc.linkIdentity(user.id, claims))) {
+      await recordAttempt({
+        ...attempt,
+        userId: user.id,
+        success: false,
+        reason: "subject_mismatch",
+      });
+      return res.status(401).json({
+        status: false,
+        error: "This account is linked to a different identity",
+      });
+    }
+    await recordAttempt({ ...attempt, userId: user.id, success: true });
+    await audit(user.id, "oidc_login", { issuer: claims.iss, ip: req.ip });
+
+    const step = await secondFactor(user, udid);
+    if (step.body) return res.json(step.body);
+
+    const out = await completeLogin(req, user, udid);
+    if (step.recommended && out.body.status) {
+      out.body.mfa_enrollment_recommended = true;
+    }
+    return res.status(out.code).json(out.body);
+  } catch (err) {
+    // provider refused the code, or the ID token did not verify
+    if (err?.response || /Token/.test(err?.name || "")) {
+      console.warn(
+        "oidc callback rejected:",
+        err?.response?.data || err.message
       );
-      if (!dev.recordset.length) {
-        // first login → bind
-        await query(
-          `INSERT INTO dbo.devices (user_id, udid) VALUES (@p0, @p1)`,
-          [user.id, udid]
-        );
-      } else if (dev.recordset[0].udid !== udid) {
-        return res
-          .status(403)
-          .json({ status: false, error: "Device mismatch for this user" });
-      }
+      return res.status(401).json({
+        status: false,
+        error: "Sign-in with the identity provider failed",
+      });
     }
+    console.error("oidc callback error:", err);
+    return res.status(500).json({ status: false, error: "Login failed" });
+  }
+}
+router.get("/oidc/callback", oidcCallback);
+router.post("/oidc/callback", oidcCallback);
 
-    // 4) Issue JWT (1 year)
-    const token = jwt.sign({ id: user.id, role: user.role }, JWT_SECRET, {
-      expiresIn: "365d",
+/**
+ * POST /auth/refresh
+ * Body: { refresh_token, udid? }
+ *
+ * Rotates the refresh token and returns a fresh access token.
+ * A refresh token can be used once; replaying an old one revokes the session.
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refresh_token, udid } = req.body || {};
+    if (!refresh_token || typeof refresh_token !== "string") {
+      return res
+        .status(400)
+        .json({ status: false, error: "refresh_token is required" });
+    }
+
+    const rot = await rotateRefreshToken(refresh_token, {
+      udid: udid || null,
+      ip: req.ip,
     });
+    if (rot.error) {
+      return res.status(401).json({
+        status: false,
+        error:
+          rot.error === "expired"
+            ? "Refresh token expired"
+            : "Invalid refresh token",
+      });
+    }
 
-    // 5) Build assigned schedule (works with legacy or new schema)
-    const assigned_schedule = await buildAssignedSchedule(user.id);
+    const u = await query(
+      "SELECT id, role, force_password_change FROM dbo.users WHERE id=@p0",
+      [rot.userId]
+    );
+    if (!u.recordset.length) {
+      return res
+        .status(401)
+        .json({ status: false, error: "Invalid refresh token" });
+    }
+    if (u.recordset[0].force_password_change) {
+      // must log in again to receive the limited password-change token
+      return res.status(403).json({
+        status: false,
+        error: "Password change required",
+        password_change_required: true,
+      });
+    }
+
+    const { token, expires_in } = signAccessToken(
+      u.recordset[0],
+      rot.sessionId
+    );
 
-    // 6) Respond
     return res.json({
       status: true,
       token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        department: user.department,
-        level: user.level,
-        section: user.section,
-        group_name: user.group_name,
-        role: user.role,
-      },
-      assigned_schedule,
+      expires_in,
+      refresh_token: rot.refreshToken,
+      refresh_expires_at: rot.refreshExpiresAt,
     });
   } catch (err) {
-    console.error("Login error:", err);
-    return res.status(500).json({ status: false, error: "Login failed" });
+    console.error("refresh error:", err);
+    return res.status(500).json({ status: false, error: "Refresh failed" });
+  }
+});
+
+/**
+ * POST /auth/logout
+ * Body: { all?: boolean }
+ *
+ * Revokes the current session (or every session of the user when all=true)
+ * and disconnects the matching sockets.
+ */
+router.post("/logout", accountAuth, async (req, res) => {
+  try {
+    const io = req.app.get("io");
+    const { all } = req.body || {};
+
+    if (all === true) {
+      const revoked = await revokeAllForUser(req.user.id, "logout_all");
+      kickSockets(io, `user:${req.user.id}`, "logout");
+      return res.json({ status: true, message: "Logged out", revoked });
+    }
+
+    await revokeSession(req.auth.sid, "logout");
+    kickSockets(io, `session:${req.auth.sid}`, "logout");
+    return res.json({ status: true, message: "Logged out", revoked: 1 });
+  } catch (err) {
+    console.error("logout error:", err);
+    return res.status(500).json({ status: false, error: "Logout failed" });
+  }
+});
+
+/**
+ * GET /auth/sessions
+ * Lists the caller's active logins (device UDID, IP, last seen).
+ */
+router.get("/sessions", accountAuth, async (req, res) => {
+  try {
+    const rows = await listActiveSessions(req.user.id);
+    return res.json({
+      status: true,
+      count: rows.length,
+      sessions: rows.map((s) => ({
+        id: s.id,
+        udid: s.udid,
+        ip: s.ip,
+        user_agent: s.user_agent,
+        created_at: s.created_at,
+        last_seen_at: s.last_seen_at,
+        current:
+          String(s.id).toLowerCase() === String(req.auth.sid).toLowerCase(),
+      })),
+    });
+  } catch (err) {
+    console.error("list sessions error:", err);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to list sessions" });
+  }
+});
+
+/**
+ * DELETE /auth/sessions/:id
+ * Signs out one of the caller's own sessions (e.g. a lost phone).
+ */
+router.delete("/sessions/:id", accountAuth, async (req, res) => {
+  try {
+    const own = await query(
+      `SELECT id FROM dbo.auth_sessions
+        WHERE id = TRY_CONVERT(UNIQUEIDENTIFIER, @p0) AND user_id = @p1`,
+      [req.params.id, req.user.id]
+    );
+    if (!own.recordset.length) {
+      return res
+        .status(404)
+        .json({ status: false, error: "Session not found" });
+    }
+
+    const sid = own.recordset[0].id;
+    await revokeSession(sid, "logout");
+    kickSockets(req.app.get("io"), `session:${sid}`, "logout");
+    return res.json({ status: true, message: "Session revoked" });
+  } catch (err) {
+    console.error("revoke session error:", err);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to revoke session" });
+  }
+});
+
+/**
+ * GET /auth/devices
+ * The caller's bound devices and their device change requests.
+ */
+router.get("/devices", accountAuth, async (req, res) => {
+  try {
+    return res.json({
+      status: true,
+      max_devices: devices.MAX_DEVICES_PER_USER,
+      devices: await devices.listDevices(req.user.id),
+      requests: await devices.listRequests(req.user.id),
+    });
+  } catch (err) {
+    console.error("list devices error:", err);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to list devices" });
+  }
+});
+
+/**
+ * DELETE /auth/device-requests/:id
+ * Withdraws one of the caller's pending device change requests.
+ */
+router.delete("/device-requests/:id", accountAuth, async (req, res) => {
+  try {
+    const ok = await devices.cancelRequest(req.user.id, Number(req.params.id));
+    if (!ok) {
+      return res
+        .status(404)
+        .json({ status: false, error: "No pending request with this id" });
+    }
+    return res.json({ status: true, message: "Request cancelled" });
+  } catch (err) {
+    console.error("cancel device request error:", err);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to cancel request" });
   }
 });
 
@@ -165,11 +713,25 @@ router.post("/password/reset", async (req, res) => {
         .json({ status: false, error: "email and udid are required" });
     }
 
+    const attempt = {
+      kind: "password_reset",
+      email,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    const verdict = await checkThrottle(attempt);
+    if (!verdict.allowed) return sendThrottled(res, verdict);
+
     // 1) Find user by email
     const u = await query(`SELECT TOP 1 * FROM dbo.users WHERE email=@p0`, [
       email,
     ]);
     if (!u.recordset.length) {
+      await recordAttempt({
+        ...attempt,
+        success: false,
+        reason: "unknown_user",
+      });
       return res.status(404).json({ status: false, error: "User not found" });
     }
     const user = u.recordset[0];
@@ -180,89 +742,518 @@ router.post("/password/reset", async (req, res) => {
       [user.id, udid]
     );
     if (!d.recordset.length) {
+      await recordAttempt({
+        ...attempt,
+        userId: user.id,
+        success: false,
+        reason: "device_mismatch",
+      });
       return res.status(403).json({
         status: false,
         error: "Device mismatch or no device bound for this user",
       });
     }
+    await recordAttempt({ ...attempt, userId: user.id, success: true });
 
     if (!new_password) {
       return res.json({ status: true, message: "Email/UDID verified" });
     }
-    if (typeof new_password !== "string" || new_password.length < 6) {
-      return res.status(400).json({
-        status: false,
-        error: "new_password must be at least 6 characters",
-      });
+    const weak = await passwordPolicy.validateNewPassword(user, new_password);
+    if (weak.length) {
+      return res.status(400).json(passwordPolicy.policyError(weak));
+    }
+    await passwordPolicy.setPassword(user.id, new_password);
+
+    return res.json({ status: true, message: "Password updated" });
+  } catch (err) {
+    console.error("password reset error:", err);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to reset password" });
+  }
+});
+
+/**
+ * POST /auth/password/forgot
+ * Body: { email }
+ *
+ * Emails a one-time code (and a link when PASSWORD_RESET_URL is set).
+ * Always answers the same way so it cannot be used to probe accounts.
+ */
+router.post("/password/forgot", async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    if (!email || typeof email !== "string") {
+      return res
+        .status(400)
+        .json({ status: false, error: "email is required" });
+    }
+
+    const attempt = {
+      kind: "password_forgot",
+      email,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    const verdict = await checkThrottle(attempt);
+    if (!verdict.allowed) return sendThrottled(res, verdict);
+
+    const u = await query(
+      `SELECT TOP 1 id, name, email FROM dbo.users WHERE LOWER(email)=LOWER(@p0)`,
+      [email.trim()]
+    );
+    if (u.recordset.length) {
+      const issued = await issueResetCode(u.recordset[0], req.ip);
+      if (!issued.sent) {
+        console.warn("password forgot:", issued.reason, u.recordset[0].id);
+      }
+    }
+
+    return res.json({
+      status: true,
+      message: "If the account exists, a reset code has been sent",
+    });
+  } catch (err) {
+    console.error("password forgot error:", err);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to start password reset" });
+  }
+});
+
+// Shared check for /password/forgot/verify and /complete
+async function verifyForgotCode(req, res) {
+  const { email, code, token } = req.body || {};
+  if (!token && (!email || !code)) {
+    res
+      .status(400)
+      .json({ status: false, error: "email and code (or token) are required" });
+    return null;
+  }
+
+  // a link token counts against its own account; an unknown one only
+  // against the caller's IP (never a shared "" account key)
+  const owner = token ? await resetTokenUser(token) : null;
+  const attempt = {
+    kind: "password_forgot",
+    email: token ? owner?.email || "" : email,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+  };
+  const verdict = await checkThrottle(attempt);
+  if (!verdict.allowed) {
+    sendThrottled(res, verdict);
+    return null;
+  }
+
+  const check = await checkResetCode({ email, code, token });
+  if (!check.ok) {
+    await recordAttempt({
+      ...attempt,
+      userId: check.userId ?? owner?.id ?? null,
+      success: false,
+      reason: `reset_code_${check.reason}`,
+    });
+    res.status(400).json({
+      status: false,
+      error:
+        check.reason === "too_many_attempts"
+          ? "Too many wrong codes, request a new one"
+          : "Invalid or expired code",
+    });
+    return null;
+  }
+  return check;
+}
+
+/**
+ * POST /auth/password/forgot/verify
+ * Body: { email, code } | { token }
+ * Lets the client validate the code before asking for the new password.
+ */
+router.post("/password/forgot/verify", async (req, res) => {
+  try {
+    const check = await verifyForgotCode(req, res);
+    if (!check) return;
+    return res.json({ status: true, message: "Code verified" });
+  } catch (err) {
+    console.error("password forgot verify error:", err);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to verify code" });
+  }
+});
+
+/**
+ * POST /auth/password/forgot/complete
+ * Body: { email, code, new_password } | { token, new_password }
+ * Consumes the code, sets the password and signs out every session.
+ */
+router.post("/password/forgot/complete", async (req, res) => {
+  try {
+    const { new_password } = req.body || {};
+    const weak = passwordPolicy.checkPassword(new_password);
+    if (weak.length) {
+      return res.status(400).json(passwordPolicy.policyError(weak));
     }
 
-    const hash = await bcrypt.hash(new_password, 10);
-    await query(
-      `UPDATE dbo.users
-         SET password_hash=@p0,
-             force_password_change=0,
-             updated_at=SYSUTCDATETIME()
-       WHERE id=@p1`,
-      [hash, user.id]
+    const check = await verifyForgotCode(req, res);
+    if (!check) return;
+
+    // history / name checks need the account; the code stays usable on failure
+    const u = await query(
+      "SELECT id, name, email, password_hash FROM dbo.users WHERE id=@p0",
+      [check.userId]
     );
+    const reused = await passwordPolicy.validateNewPassword(
+      u.recordset[0],
+      new_password
+    );
+    if (reused.length) {
+      return res.status(400).json(passwordPolicy.policyError(reused));
+    }
+
+    if (!(await consumeResetCode(check.resetId))) {
+      return res
+        .status(400)
+        .json({ status: false, error: "Invalid or expired code" });
+    }
+
+    await passwordPolicy.setPassword(check.userId, new_password);
+
+    await revokeAllForUser(check.userId, "password_reset");
+    kickSockets(req.app.get("io"), `user:${check.userId}`, "password_reset");
 
     return res.json({ status: true, message: "Password updated" });
   } catch (err) {
-    console.error("password reset error:", err);
+    console.error("password forgot complete error:", err);
     return res
       .status(500)
       .json({ status: false, error: "Failed to reset password" });
   }
 });
 
-// POST /auth/change-password
-router.post("/change-password", auth, async (req, res) => {
+/**
+ * POST /auth/change-password
+ * Body: { old_password, new_password }
+ *
+ * Accepts a normal access token or the limited "password_change" token
+ * issued by /auth/login. In the limited case a full login payload is
+ * returned so the client can continue without logging in again.
+ */
+router.post(
+  "/change-password",
+  auth.allowing("password_change"),
+  async (req, res) => {
+    try {
+      if (!req.user || !req.user.id) {
+        return res.status(401).json({ status: false, error: "Unauthorized" });
+      }
+      const { old_password, new_password } = req.body || {};
+      if (!old_password || !new_password) {
+        return res.status(400).json({
+          status: false,
+          error: "old_password and new_password are required",
+        });
+      }
+      const u = await query("SELECT * FROM dbo.users WHERE id=@p0", [
+        req.user.id,
+      ]);
+      if (!u.recordset.length)
+        return res.status(404).json({ status: false, error: "User not found" });
+      const user = u.recordset[0];
+
+      const ok = await bcrypt.compare(old_password, user.password_hash);
+      if (!ok)
+        return res
+          .status(401)
+          .json({ status: false, error: "Old password is incorrect" });
+
+      const weak = await passwordPolicy.validateNewPassword(user, new_password);
+      if (weak.length) {
+        return res.status(400).json(passwordPolicy.policyError(weak));
+      }
+      await passwordPolicy.setPassword(req.user.id, new_password);
+
+      if (req.auth.limited === "password_change") {
+        return res.json({
+          ...(await loginPayload(req, user, req.auth.raw.udid)),
+          message: "Password updated successfully",
+        });
+      }
+
+      return res.json({
+        status: true,
+        message: "Password updated successfully",
+      });
+    } catch (err) {
+      console.error("change-password error:", err);
+      return res
+        .status(500)
+        .json({ status: false, error: "Failed to change password" });
+    }
+  }
+);
+
+// ---------------------------------------------------------------------------
+// Two-factor authentication (TOTP) for admin accounts
+// ---------------------------------------------------------------------------
+
+function adminOnly(req, res) {
+  if (mfa.appliesTo(req.user)) return true;
+  res.status(403).json({
+    status: false,
+    error: "Two-factor authentication is only available for admin accounts",
+  });
+  return false;
+}
+
+/**
+ * POST /auth/2fa/verify
+ * Body: { code } | { recovery_code }
+ *
+ * Second login step. Needs the limited "mfa" token returned by /auth/login
+ * and answers like /auth/login does (session tokens, or the next step).
+ */
+router.post("/2fa/verify", auth.allowing("mfa"), async (req, res) => {
   try {
-    console.log("change-password body:", req.body); // <— TEMP
-    console.log("change-password user:", req.user); // <— TEMP
+    if (req.auth.limited !== "mfa") {
+      return res
+        .status(400)
+        .json({ status: false, error: "No two-factor login in progress" });
+    }
+    const { code, recovery_code } = req.body || {};
+    if (!code && !recovery_code) {
+      return res
+        .status(400)
+        .json({ status: false, error: "code or recovery_code is required" });
+    }
 
-    if (!req.user || !req.user.id) {
+    const u = await query("SELECT * FROM dbo.users WHERE id=@p0", [
+      req.user.id,
+    ]);
+    if (!u.recordset.length) {
       return res.status(401).json({ status: false, error: "Unauthorized" });
     }
-    const { old_password, new_password } = req.body || {};
-    if (!old_password || !new_password) {
-      return res.status(400).json({
-        status: false,
-        error: "old_password and new_password are required",
+    const user = u.recordset[0];
+
+    const attempt = {
+      kind: "mfa",
+      email: user.email,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    const verdict = await checkThrottle(attempt);
+    if (!verdict.allowed) return sendThrottled(res, verdict);
+
+    const check = await mfa.verifySecondFactor(user.id, {
+      code,
+      recovery_code,
+    });
+    if (!check.ok) {
+      await recordAttempt({
+        ...attempt,
+        userId: user.id,
+        success: false,
+        reason: recovery_code ? "bad_recovery_code" : "bad_totp_code",
       });
+      return res
+        .status(401)
+        .json({ status: false, error: "Invalid two-factor code" });
     }
-    if (new_password.length < 6) {
-      return res.status(400).json({
-        status: false,
-        error: "new_password must be at least 6 characters",
+    await recordAttempt({ ...attempt, userId: user.id, success: true });
+
+    if (check.method === "recovery") {
+      await audit(user.id, "mfa_recovery_code_used", {
+        remaining: await mfa.remainingRecoveryCodes(user.id),
+        ip: req.ip,
       });
     }
 
-    const u = await query(
-      "SELECT id, password_hash FROM dbo.users WHERE id=@p0",
-      [req.user.id]
-    );
-    if (!u.recordset.length)
+    const out = await completeLogin(req, user, req.auth.raw.udid);
+    return res.status(out.code).json(out.body);
+  } catch (err) {
+    console.error("2fa verify error:", err);
+    return res
+      .status(500)
+      .json({ status: false, error: "Two-factor verification failed" });
+  }
+});
+
+/**
+ * GET /auth/2fa/status
+ */
+router.get("/2fa/status", accountAuth, async (req, res) => {
+  try {
+    if (!adminOnly(req, res)) return;
+    const row = await mfa.getMfa(req.user.id);
+    return res.json({
+      status: true,
+      enabled: mfa.isEnabled(row),
+      enabled_at: row?.enabled_at || null,
+      enforced: mfa.isEnforced(),
+      recovery_codes_remaining: mfa.isEnabled(row)
+        ? await mfa.remainingRecoveryCodes(req.user.id)
+        : 0,
+    });
+  } catch (err) {
+    console.error("2fa status error:", err);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to load two-factor status" });
+  }
+});
+
+/**
+ * POST /auth/2fa/setup
+ * Starts enrollment: returns the secret, the otpauth:// URL and a QR code
+ * (data URL) for the authenticator app. Accepts a normal access token or
+ * the limited "mfa_enroll" token issued once 2FA is mandatory.
+ */
+router.post("/2fa/setup", auth.allowing("mfa_enroll"), async (req, res) => {
+  try {
+    if (!adminOnly(req, res)) return;
+    if (mfa.isEnabled(await mfa.getMfa(req.user.id))) {
+      return res
+        .status(409)
+        .json({ status: false, error: "Two-factor is already enabled" });
+    }
+
+    const u = await query("SELECT id, email FROM dbo.users WHERE id=@p0", [
+      req.user.id,
+    ]);
+    if (!u.recordset.length) {
       return res.status(404).json({ status: false, error: "User not found" });
+    }
+
+    const setup = await mfa.startEnrollment(u.recordset[0]);
+    return res.json({ status: true, ...setup });
+  } catch (err) {
+    console.error("2fa setup error:", err);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to start two-factor setup" });
+  }
+});
+
+/**
+ * POST /auth/2fa/enable
+ * Body: { code }
+ *
+ * Confirms enrollment with a code from the app and returns the recovery
+ * codes (shown once). With the limited "mfa_enroll" token the login is
+ * completed in the same response.
+ */
+router.post("/2fa/enable", auth.allowing("mfa_enroll"), async (req, res) => {
+  try {
+    if (!adminOnly(req, res)) return;
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ status: false, error: "code is required" });
+    }
 
-    const ok = await bcrypt.compare(old_password, u.recordset[0].password_hash);
-    if (!ok)
+    const result = await mfa.confirmEnrollment(req.user.id, code);
+    if (!result.ok) {
+      const errors = {
+        not_started: [400, "Call /auth/2fa/setup first"],
+        already_enabled: [409, "Two-factor is already enabled"],
+        invalid_code: [400, "Invalid two-factor code"],
+      };
+      const [httpCode, error] = errors[result.reason];
+      return res.status(httpCode).json({ status: false, error });
+    }
+    await audit(req.user.id, "mfa_enabled", { ip: req.ip });
+
+    if (req.auth.limited === "mfa_enroll") {
+      const u = await query("SELECT * FROM dbo.users WHERE id=@p0", [
+        req.user.id,
+      ]);
+      const out = await completeLogin(req, u.recordset[0], req.auth.raw.udid);
+      return res
+        .status(out.code)
+        .json({ ...out.body, recovery_codes: result.recovery_codes });
+    }
+
+    return res.json({
+      status: true,
+      message: "Two-factor authentication enabled",
+      recovery_codes: result.recovery_codes,
+    });
+  } catch (err) {
+    console.error("2fa enable error:", err);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to enable two-factor" });
+  }
+});
+
+/**
+ * POST /auth/2fa/recovery-codes
+ * Body: { code }
+ * Replaces all recovery codes; the old ones stop working.
+ */
+router.post("/2fa/recovery-codes", accountAuth, async (req, res) => {
+  try {
+    if (!adminOnly(req, res)) return;
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ status: false, error: "code is required" });
+    }
+
+    const check = await mfa.verifySecondFactor(req.user.id, { code });
+    if (!check.ok) {
       return res
         .status(401)
-        .json({ status: false, error: "Old password is incorrect" });
+        .json({ status: false, error: "Invalid two-factor code" });
+    }
 
-    const newHash = await bcrypt.hash(new_password, 10);
-    await query(
-      `UPDATE dbo.users SET password_hash=@p1, updated_at = SYSUTCDATETIME() WHERE id=@p0`,
-      [req.user.id, newHash]
-    );
+    const recovery_codes = await mfa.replaceRecoveryCodes(req.user.id);
+    await audit(req.user.id, "mfa_recovery_codes_regenerated", { ip: req.ip });
+    return res.json({ status: true, recovery_codes });
+  } catch (err) {
+    console.error("2fa recovery codes error:", err);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to regenerate recovery codes" });
+  }
+});
 
-    return res.json({ status: true, message: "Password updated successfully" });
+/**
+ * POST /auth/2fa/disable
+ * Body: { code } | { recovery_code }
+ * Only while 2FA is optional (before ADMIN_2FA_ENFORCE_FROM).
+ */
+router.post("/2fa/disable", accountAuth, async (req, res) => {
+  try {
+    if (!adminOnly(req, res)) return;
+    if (mfa.isEnforced()) {
+      return res.status(403).json({
+        status: false,
+        error: "Two-factor authentication is mandatory for admins",
+      });
+    }
+    const { code, recovery_code } = req.body || {};
+    const check = await mfa.verifySecondFactor(req.user.id, {
+      code,
+      recovery_code,
+    });
+    if (!check.ok) {
+      return res
+        .status(401)
+        .json({ status: false, error: "Invalid two-factor code" });
+    }
+
+    await mfa.disableMfa(req.user.id);
+    await audit(req.user.id, "mfa_disabled", { ip: req.ip });
+    return res.json({
+      status: true,
+      message: "Two-factor authentication disabled",
+    });
   } catch (err) {
-    console.error("change-password error:", err);
+    console.error("2fa disable error:", err);
     return res
       .status(500)
-      .json({ status: false, error: "Failed to change password" });
+      .json({ status: false, error: "Failed to disable two-factor" });
   }
 });
 
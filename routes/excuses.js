@@ -0,0 +1,307 @@
+// routes/excuses.js
+const express = require("express");
+const router = express.Router();
+const path = require("path");
+const fs = require("fs");
+const auth = require("../middleware/auth");
+const { can, hasRole } = require("../utils/authz");
+const { audit } = require("../utils/audit");
+const { emitAttendanceUpdate } = require("../utils/roster");
+const {
+  PRIVATE_UPLOAD_DIR,
+  createUpload,
+  discardUploads,
+  uploadErrors,
+} = require("../utils/uploads");
+const {
+  MAX_REASON,
+  MAX_FILES,
+  MAX_SESSIONS,
+  parseSessionIds,
+  sessionsOfOffering,
+  unexcusableSessions,
+  createExcuse,
+  getExcuse,
+  listExcuses,
+  getExcuseFile,
+  setExcuseStatus,
+  reviewExcuse,
+} = require("../utils/excuses");
+
+/**
+ * Excused absence requests (see utils/excuses). Documents are kept out of
+ * the public /uploads folder and only streamed to the student and the
+ * reviewers.
+ */
+const EXCUSE_DIR = path.join(PRIVATE_UPLOAD_DIR, "excuses");
+const upload = createUpload(EXCUSE_DIR, { maxFileSize: 10 * 1024 * 1024 });
+
+// Loads :id; the author or a reviewer of its offering may see it
+async function loadExcuse(req, res) {
+  const excuse = await getExcuse(req.params.id);
+  if (!excuse) {
+    res.status(404).json({ status: false, error: "Excuse not found" });
+    return null;
+  }
+  const own = Number(excuse.user_id) === Number(req.user.id);
+  const reviewer = await can(req.user, "excuses:review", {
+    offering_id: excuse.offering_id,
+  });
+  if (!own && !reviewer) {
+    res.status(403).json({ status: false, error: "Forbidden" });
+    return null;
+  }
+  return { excuse, own, reviewer };
+}
+
+/**
+ * POST /excuses   (multipart/form-data)
+ * Fields: offering_id, session_ids ("12,13" or repeated), reason,
+ *         files (up to MAX_FILES)
+ */
+router.post("/", auth, upload.array("files", MAX_FILES), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const offering_id = Number(b.offering_id);
+    const reason = String(b.reason || "").trim();
+    const session_ids = parseSessionIds(b.session_ids);
+    if (!offering_id) {
+      discardUploads(req);
+      return res
+        .status(400)
+        .json({ status: false, error: "offering_id is required" });
+    }
+    if (!reason || reason.length > MAX_REASON) {
+      discardUploads(req);
+      return res.status(400).json({
+        status: false,
+        error: `reason is required (max ${MAX_REASON} chars)`,
+      });
+    }
+    if (!session_ids.length || session_ids.length > MAX_SESSIONS) {
+      discardUploads(req);
+      return res.status(400).json({
+        status: false,
+        error: `session_ids must list 1..${MAX_SESSIONS} sessions`,
+      });
+    }
+    if (!(await can(req.user, "excuses:submit", { offering_id }))) {
+      discardUploads(req);
+      return res
+        .status(403)
+        .json({ status: false, error: "Only students of this offering" });
+    }
+    const found = await sessionsOfOffering(offering_id, session_ids);
+    if (found.length !== session_ids.length) {
+      discardUploads(req);
+      return res.status(400).json({
+        status: false,
+        error: "Every session must belong to this offering",
+      });
+    }
+    const blocked = await unexcusableSessions(req.user.id, session_ids);
+    if (blocked.length) {
+      discardUploads(req);
+      return res.status(400).json({
+        status: false,
+        error:
+          "Only sessions that were held and that you did not attend can be excused",
+        sessions: blocked,
+      });
+    }
+
+    const excuse = await createExcuse({
+      offeringId: offering_id,
+      userId: req.user.id,
+      reason,
+      sessionIds: session_ids,
+      files: req.files || [],
+    });
+    const io = req.app.get("io");
+    if (io) {
+      io.to(`off:${offering_id}:teachers`).emit("excuse_submitted", {
+        excuse_id: excuse.id,
+        offering_id,
+        user_id: excuse.user_id,
+        student_name: excuse.student_name,
+        sessions: excuse.sessions.length,
+      });
+    }
+    return res.status(201).json({ status: true, excuse });
+  } catch (e) {
+    console.error("submit excuse error:", e);
+    discardUploads(req);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to submit excuse" });
+  }
+});
+
+/**
+ * GET /excuses?offering_id=&status=&mine=1
+ * Reviewers get every excuse of the offering; otherwise the caller's own.
+ */
+router.get("/", auth, async (req, res) => {
+  try {
+    const offering_id = Number(req.query.offering_id) || null;
+    const status = req.query.status ? String(req.query.status) : null;
+    const mine = String(req.query.mine || "") === "1";
+
+    let everyone = false;
+    if (!mine && offering_id) {
+      everyone = await can(req.user, "excuses:review", { offering_id });
+    } else if (!mine) {
+      everyone = hasRole(req.user, "admin");
+    }
+    // API keys have no excuses of their own
+    if (!everyone && req.user.id == null) {
+      return res
+        .status(403)
+        .json({ status: false, error: "Not allowed to list excuses" });
+    }
+    const excuses = await listExcuses({
+      offeringId: offering_id,
+      userId: everyone ? null : req.user.id,
+      everyone,
+      status,
+    });
+    return res.json({ status: true, count: excuses.length, excuses });
+  } catch (e) {
+    console.error("list excuses error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to load excuses" });
+  }
+});
+
+// GET /excuses/:id
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const found = await loadExcuse(req, res);
+    if (!found) return;
+    return res.json({ status: true, excuse: found.excuse });
+  } catch (e) {
+    console.error("get excuse error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to load excuse" });
+  }
+});
+
+// GET /excuses/:id/files/:fileId   (download)
+router.get("/:id/files/:fileId", auth, async (req, res) => {
+  try {
+    const found = await loadExcuse(req, res);
+    if (!found) return;
+    const file = await getExcuseFile(found.excuse.id, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ status: false, error: "File not found" });
+    }
+    const filePath = path.join(EXCUSE_DIR, path.basename(file.stored_name));
+    if (!fs.existsSync(filePath)) {
+      return res
+        .status(410)
+        .json({ status: false, error: "File missing from server" });
+    }
+    return res.download(filePath, file.original_name);
+  } catch (e) {
+    console.error("excuse file error:", e);
+    return res.status(500).json({ status: false, error: "Download failed" });
+  }
+});
+
+/**
+ * POST /excuses/:id/review
+ * Body: { decision: "approve"|"reject", note? }  (teacher of the offering / admin)
+ * Approving marks the listed sessions excused, except those the student
+ * attended after all.
+ */
+router.post("/:id/review", auth, async (req, res) => {
+  try {
+    const { decision, note } = req.body || {};
+    if (!["approve", "reject"].includes(decision)) {
+      return res
+        .status(400)
+        .json({ status: false, error: "decision must be approve or reject" });
+    }
+    const found = await loadExcuse(req, res);
+    if (!found) return;
+    const { excuse } = found;
+    if (!found.reviewer) {
+      return res
+        .status(403)
+        .json({ status: false, error: "Not allowed to review this excuse" });
+    }
+    const cleanNote = note ? String(note).trim().slice(0, 500) : null;
+    const status = decision === "approve" ? "approved" : "rejected";
+    const { ok, excused } = await reviewExcuse(excuse, status, {
+      reviewedBy: req.user.id,
+      note: cleanNote,
+    });
+    if (!ok) {
+      return res
+        .status(409)
+        .json({ status: false, error: "Excuse is no longer pending" });
+    }
+
+    const io = req.app.get("io");
+    for (const session_id of excused) {
+      emitAttendanceUpdate(io, excuse.offering_id, session_id, excuse.user_id, {
+        action: "excused",
+        excuse_id: excuse.id,
+      }).catch((e) =>
+        console.warn("attendance_updated emit failed:", e?.message || e)
+      );
+    }
+    await audit(req.user.id, "excuse_reviewed", {
+      excuse_id: excuse.id,
+      offering_id: excuse.offering_id,
+      user_id: excuse.user_id,
+      status,
+    });
+    if (io) {
+      io.to(`user:${excuse.user_id}`).emit("excuse_reviewed", {
+        excuse_id: excuse.id,
+        offering_id: excuse.offering_id,
+        status,
+        note: cleanNote,
+      });
+    }
+    return res.json({
+      status: true,
+      excuse: await getExcuse(excuse.id),
+      excused_sessions: excused,
+    });
+  } catch (e) {
+    console.error("review excuse error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to review excuse" });
+  }
+});
+
+// POST /excuses/:id/withdraw   (the student, while pending)
+router.post("/:id/withdraw", auth, async (req, res) => {
+  try {
+    const found = await loadExcuse(req, res);
+    if (!found) return;
+    if (!found.own) {
+      return res.status(403).json({ status: false, error: "Not your excuse" });
+    }
+    if (!(await setExcuseStatus(found.excuse.id, "withdrawn"))) {
+      return res
+        .status(409)
+        .json({ status: false, error: "Excuse is no longer pending" });
+    }
+    return res.json({ status: true, excuse: await getExcuse(found.excuse.id) });
+  } catch (e) {
+    console.error("withdraw excuse error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to withdraw excuse" });
+  }
+});
+
+router.use(uploadErrors);
+
+module.exports = router;
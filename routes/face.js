@@ -9,6 +9,8 @@ const axios = require("axios");
 const FormData = require("form-data");
 const http = require("http");
 const { query } = require("../DB/dbConnection"); // CJS import
+const auth = require("../middleware/auth");
+const { can } = require("../utils/authz");
 
 const router = express.Router();
 // Resolve user by either numeric user_id or email; returns { id, email } or null
@@ -83,7 +85,7 @@ function pickIncomingImage(req) {
      - user_id: number (required)
      - EITHER multipart file field name "file" OR JSON `image_base64`
    ========================================================= */
-router.post("/photo", upload.single("file"), async (req, res) => {
+router.post("/photo", auth, upload.single("file"), async (req, res) => {
   try {
     const { user_id: user_id_raw, email: email_raw } = req.body || {};
     const resolved = await resolveUserId(user_id_raw, email_raw);
@@ -92,6 +94,9 @@ router.post("/photo", upload.single("file"), async (req, res) => {
         .status(404)
         .json({ status: false, error: "User not found (by id or email)" });
     }
+    if (!(await can(req.user, "face:enroll", { user_id: resolved.id }))) {
+      return res.status(403).json({ status: false, error: "Forbidden" });
+    }
     const user_id = resolved.id;
 
     const img = pickIncomingImage(req);
@@ -161,7 +166,7 @@ router.post("/photo", upload.single("file"), async (req, res) => {
      - EITHER multipart file field "file" OR `image_base64`
    Calls Python /verify with (file1=stored, file2=probe)
    ========================================================= */
-// router.post("/verify-user", upload.single("file"), async (req, res) => {
+// router.post("/verify-user", auth, upload.single("file"), async (req, res) => {
 //   try {
 //     const { user_id: user_id_raw, email: email_raw } = req.body || {};
 //     const resolved = await resolveUserId(user_id_raw, email_raw);
@@ -258,7 +263,7 @@ router.post("/photo", upload.single("file"), async (req, res) => {
 //     );
 //   }
 // });
-router.post("/verify-user", upload.single("file"), async (req, res) => {
+router.post("/verify-user", auth, upload.single("file"), async (req, res) => {
   try {
     const { user_id: user_id_raw, email: email_raw } = req.body || {};
     const resolved = await resolveUserId(user_id_raw, email_raw);
@@ -267,6 +272,9 @@ router.post("/verify-user", upload.single("file"), async (req, res) => {
         .status(404)
         .json({ status: false, error: "User not found (by id or email)" });
     }
+    if (!(await can(req.user, "face:verify", { user_id: resolved.id }))) {
+      return res.status(403).json({ status: false, error: "Forbidden" });
+    }
 
     // You can keep or remove these validations while testing:
     const probe = pickIncomingImage(req);
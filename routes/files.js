@@ -3,48 +3,19 @@ const express = require("express");
 const router = express.Router();
 const path = require("path");
 const fs = require("fs");
-const crypto = require("crypto");
-const multer = require("multer");
-// const mime = require("mime-types"); // not used
 
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
+const { can } = require("../utils/authz");
+const {
+  UPLOAD_DIR,
+  createUpload,
+  discardUploads,
+  uploadErrors,
+} = require("../utils/uploads");
 
-/* ---------- Multer (local disk) ---------- */
-const UPLOAD_DIR = path.join(process.cwd(), "uploads");
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, UPLOAD_DIR),
-  filename: (req, file, cb) => {
-    const safeName = (file.originalname || "file").replace(/[^\w.\-]+/g, "_");
-    const rand = crypto.randomBytes(8).toString("hex");
-    cb(null, `${Date.now()}_${rand}_${safeName}`);
-  },
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 25 * 1024 * 1024 }, // 25MB
-  fileFilter: (req, file, cb) => {
-    const allowed = new Set([
-      "application/pdf",
-      "application/zip",
-      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-      "application/msword",
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-      "application/vnd.ms-excel",
-      "application/vnd.openxmlformats-officedocument.presentationml.presentation",
-      "application/vnd.ms-powerpoint",
-      "image/png",
-      "image/jpeg",
-      "text/plain",
-      "application/octet-stream", // Postman sometimes uses this
-    ]);
-    if (allowed.has(file.mimetype)) return cb(null, true);
-    return cb(new Error("Unsupported file type"));
-  },
-});
+/* ---------- Multer (local disk, served under /uploads) ---------- */
+const upload = createUpload(UPLOAD_DIR);
 
 /* ---------- Helpers (new schema) ---------- */
 function getReqUser(req) {
@@ -63,16 +34,6 @@ async function getSession(sessionId) {
   return r.recordset[0] || null;
 }
 
-async function getOfferingRole(offeringId, userId) {
-  const r = await query(
-    `SELECT role
-       FROM dbo.offering_assignments
-      WHERE offering_id=@p0 AND user_id=@p1`,
-    [offeringId, userId]
-  );
-  return r.recordset[0]?.role || null;
-}
-
 /* =========================================================
    1) Upload a file to a session (teacher/admin)
    POST /files/upload
@@ -80,15 +41,11 @@ async function getOfferingRole(offeringId, userId) {
    ========================================================= */
 router.post("/upload", auth, upload.single("file"), async (req, res) => {
   try {
-    const { id: userId, role: userRole } = getReqUser(req);
+    const { id: userId } = getReqUser(req);
     const { session_id, title } = req.body || {};
 
     if (!session_id) {
-      if (req.file) {
-        try {
-          fs.unlinkSync(req.file.path);
-        } catch {}
-      }
+      discardUploads(req);
       return res
         .status(400)
         .json({ status: false, error: "session_id is required" });
@@ -96,29 +53,21 @@ router.post("/upload", auth, upload.single("file"), async (req, res) => {
 
     const session = await getSession(Number(session_id));
     if (!session) {
-      if (req.file) {
-        try {
-          fs.unlinkSync(req.file.path);
-        } catch {}
-      }
+      discardUploads(req);
       return res
         .status(404)
         .json({ status: false, error: "Session not found" });
     }
 
     // Only assigned teacher or admin can upload
-    const assignRole = await getOfferingRole(session.offering_id, userId);
-    const ar = (assignRole || "").toLowerCase();
-    const isTeacher = ar === "teacher" || userRole === "admin";
-    if (!isTeacher) {
-      if (req.file) {
-        try {
-          fs.unlinkSync(req.file.path);
-        } catch {}
-      }
+    const allowed = await can(req.user, "files:upload", {
+      offering_id: session.offering_id,
+    });
+    if (!allowed) {
+      discardUploads(req);
       return res.status(403).json({
         status: false,
-        error: "Only assigned teacher/admin can upload",
+        error: "Not allowed to upload to this course",
       });
     }
 
@@ -167,7 +116,6 @@ router.post("/upload", auth, upload.single("file"), async (req, res) => {
    ========================================================= */
 router.get("/list", auth, async (req, res) => {
   try {
-    const { id: userId, role: userRole } = getReqUser(req);
     const session_id = Number(req.query.session_id);
     if (!session_id) {
       return res
@@ -182,8 +130,10 @@ router.get("/list", auth, async (req, res) => {
         .json({ status: false, error: "Session not found" });
     }
 
-    const assignRole = await getOfferingRole(session.offering_id, userId);
-    if (!assignRole && userRole !== "admin") {
+    const allowed = await can(req.user, "files:view", {
+      offering_id: session.offering_id,
+    });
+    if (!allowed) {
       return res
         .status(403)
         .json({ status: false, error: "Not assigned to this course" });
@@ -217,7 +167,6 @@ router.get("/list", auth, async (req, res) => {
    ========================================================= */
 router.get("/download/1", auth, async (req, res) => {
   try {
-    const { id: userId, role: userRole } = getReqUser(req);
     const postId = Number(req.query.postId);
     if (!postId) {
       return res
@@ -238,8 +187,10 @@ router.get("/download/1", auth, async (req, res) => {
     }
 
     const P = r.recordset[0];
-    const assignRole = await getOfferingRole(P.offering_id, userId);
-    if (!assignRole && userRole !== "admin") {
+    const allowed = await can(req.user, "files:view", {
+      offering_id: P.offering_id,
+    });
+    if (!allowed) {
       return res
         .status(403)
         .json({ status: false, error: "Not assigned to this course" });
@@ -265,12 +216,7 @@ router.get("/download/1", auth, async (req, res) => {
   }
 });
 
-/* ---------- Optional: clearer error for bad file type ---------- */
-router.use((err, req, res, next) => {
-  if (err && err.message === "Unsupported file type") {
-    return res.status(400).json({ status: false, error: err.message });
-  }
-  next(err);
-});
+/* ---------- Clearer errors for rejected uploads ---------- */
+router.use(uploadErrors);
 
 module.exports = router;
@@ -3,6 +3,7 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
+const { can, hasRole } = require("../utils/authz");
 
 // Read user from either req.auth (new) or req.user (old)
 function getReqUser(req) {
@@ -25,7 +26,6 @@ function getReqUser(req) {
  */
 router.post("/list", auth, async (req, res) => {
   try {
-    const { id: userId, role } = getReqUser(req);
     const { offering_id } = req.body || {};
 
     if (!offering_id) {
@@ -35,35 +35,10 @@ router.post("/list", auth, async (req, res) => {
     }
 
     // --- Permission check ---
-    if (role !== "admin") {
-      // Prefer new table offering_assignments; fallback to legacy mapping if needed
-      let hasNew = await query(
-        "SELECT 1 AS ok FROM sys.objects WHERE name='offering_assignments' AND type='U'"
-      );
-
-      let perm;
-      if (hasNew.recordset.length) {
-        perm = await query(
-          `SELECT TOP 1 1
-             FROM dbo.offering_assignments
-            WHERE offering_id=@p0 AND user_id=@p1`,
-          [offering_id, userId]
-        );
-      } else {
-        perm = await query(
-          `SELECT TOP 1 1
-             FROM dbo.map_lecture_offering M
-             JOIN dbo.lecture_assignments A ON A.lecture_id = M.lecture_id
-            WHERE M.offering_id=@p0 AND A.user_id=@p1`,
-          [offering_id, userId]
-        );
-      }
-
-      if (!perm.recordset.length) {
-        return res
-          .status(403)
-          .json({ status: false, error: "Not assigned to this offering" });
-      }
+    if (!(await can(req.user, "offering:view", { offering_id }))) {
+      return res
+        .status(403)
+        .json({ status: false, error: "Not assigned to this offering" });
     }
 
     // --- Sessions for this offering (NEW: dbo.course_sessions) ---
@@ -118,7 +93,7 @@ router.post("/list", auth, async (req, res) => {
 // POST /sessions/by-course-id
 router.post("/by-course-id", auth, async (req, res) => {
   try {
-    const { id: userId, role } = getReqUser(req);
+    const { id: userId } = getReqUser(req);
     const { course_id } = req.body || {};
 
     if (!course_id) {
@@ -138,7 +113,7 @@ router.post("/by-course-id", auth, async (req, res) => {
     const offFilters = ["o.course_id = @p0"];
     const offParams = [course_id];
 
-    if (role !== "admin") {
+    if (!hasRole(req.user, "admin")) {
       if (useNewAssign) {
         offFilters.push(
           `EXISTS (
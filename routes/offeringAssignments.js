@@ -2,6 +2,8 @@
 const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
+const auth = require("../middleware/auth");
+const { can, authorize } = require("../utils/authz");
 
 /**
  * POST /offering-assignments
@@ -10,7 +12,7 @@ const { query } = require("../DB/dbConnection");
  * - Derives role from users.role (must be 'student' or 'teacher')
  * - Inserts into dbo.offering_assignments (unique on (offering_id, user_id))
  */
-router.post("/", async (req, res) => {
+router.post("/", auth, authorize("assignments:manage"), async (req, res) => {
   try {
     const { offering_id, user_id } = req.body;
 
@@ -83,7 +85,7 @@ router.post("/", async (req, res) => {
  * Body: { user_id }
  * Returns all assigned offerings for this user grouped by day_of_week
  */
-router.post("/my-week", async (req, res) => {
+router.post("/my-week", auth, async (req, res) => {
   try {
     const { user_id, department_id = null, level_id = null } = req.body || {};
     if (!user_id) {
@@ -91,6 +93,9 @@ router.post("/my-week", async (req, res) => {
         .status(400)
         .json({ status: false, error: "user_id is required" });
     }
+    if (!(await can(req.user, "schedule:view", { user_id }))) {
+      return res.status(403).json({ status: false, error: "Forbidden" });
+    }
 
     // dynamic WHERE for optional dept/level filters
     const whereExtra = [];
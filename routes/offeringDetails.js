@@ -3,6 +3,8 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
+const { can } = require("../utils/authz");
+const { getRosterSnapshot } = require("../utils/roster");
 
 /**
  * GET /offering-details?offering_id=123
@@ -38,16 +40,10 @@ router.get("/offering-details", auth, async (req, res) => {
     const O = off.recordset[0];
 
     // 2) Security: must be assigned OR admin
-    if (req.user.role !== "admin") {
-      const a = await query(
-        `SELECT 1 FROM dbo.offering_assignments WHERE offering_id=@p0 AND user_id=@p1`,
-        [offering_id, req.user.id]
-      );
-      if (!a.recordset.length) {
-        return res
-          .status(403)
-          .json({ status: false, error: "Not assigned to this offering" });
-      }
+    if (!(await can(req.user, "offering:view", { offering_id }))) {
+      return res
+        .status(403)
+        .json({ status: false, error: "Not assigned to this offering" });
     }
 
     // 3) Teachers list
@@ -93,4 +89,33 @@ router.get("/offering-details", auth, async (req, res) => {
   }
 });
 
+/**
+ * GET /offering-details/roster?offering_id=123
+ * Students of the offering with their attendance in the active session
+ * (same shape as the `roster_snapshot` socket event).
+ * Teachers, admins and assistants with the view_roster capability.
+ */
+router.get("/offering-details/roster", auth, async (req, res) => {
+  try {
+    const offering_id = Number(req.query.offering_id);
+    if (!offering_id) {
+      return res
+        .status(400)
+        .json({ status: false, error: "offering_id is required in query" });
+    }
+
+    if (!(await can(req.user, "roster:view", { offering_id }))) {
+      return res
+        .status(403)
+        .json({ status: false, error: "Not allowed to view the roster" });
+    }
+
+    const snapshot = await getRosterSnapshot(offering_id);
+    return res.json({ status: true, ...snapshot });
+  } catch (e) {
+    console.error("offering roster error:", e);
+    return res.status(500).json({ status: false, error: "Server error" });
+  }
+});
+
 module.exports = router;
@@ -2,6 +2,8 @@
 const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
+const auth = require("../middleware/auth");
+const { authorize } = require("../utils/authz");
 
 /**
  * POST /offerings
@@ -15,7 +17,7 @@ const { query } = require("../DB/dbConnection");
  *   created_by
  * }
  */
-router.post("/", async (req, res) => {
+router.post("/", auth, authorize("offerings:manage"), async (req, res) => {
   try {
     const {
       course_id,
@@ -139,7 +141,7 @@ router.post("/", async (req, res) => {
  * GET /offerings
  * Returns all offerings with their course name and sessions
  */
-router.get("/", async (req, res) => {
+router.get("/", auth, authorize("offerings:browse"), async (req, res) => {
   try {
     const sql = `
       SELECT
@@ -0,0 +1,357 @@
+// routes/polls.js
+const express = require("express");
+const router = express.Router();
+const { query } = require("../DB/dbConnection");
+const auth = require("../middleware/auth");
+const { can } = require("../utils/authz");
+const { activeSession } = require("../utils/roster");
+const { audit } = require("../utils/audit");
+const { sendExcel } = require("../utils/excel");
+const {
+  MAX_DURATION_SECONDS,
+  readPoll,
+  readAnswer,
+  publicPoll,
+  getPoll,
+  listPolls,
+  createPoll,
+  pollResults,
+  scheduleResults,
+  openPoll,
+  closePoll,
+  saveResponse,
+  sessionResponses,
+} = require("../utils/polls");
+
+/**
+ * Live polls / quick quizzes during a started lecture.
+ * Teachers (and assistants with run_polls) create and open them; the
+ * students of the offering get `poll_opened`, answer until the deadline,
+ * and get `poll_closed` with the results. Staff rooms receive
+ * `poll_results` while answers come in.
+ */
+const DEFAULT_DURATION_SECONDS = 60;
+
+function readDuration(value) {
+  if (value == null || value === "") return DEFAULT_DURATION_SECONDS;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 5 || n > MAX_DURATION_SECONDS) return null;
+  return n;
+}
+
+// Loads :id and checks `action` on its offering; sends the error itself
+async function loadPoll(req, res, action) {
+  const id = Number(req.params.id);
+  const poll = id ? await getPoll(id) : null;
+  if (!poll) {
+    res.status(404).json({ status: false, error: "Poll not found" });
+    return null;
+  }
+  if (!(await can(req.user, action, { offering_id: poll.offering_id }))) {
+    res.status(403).json({ status: false, error: "Forbidden" });
+    return null;
+  }
+  return poll;
+}
+
+/**
+ * POST /polls
+ * Body: { offering_id, kind?: "poll"|"quiz", question_type, question,
+ *         options?, correct?, duration_seconds?, publish? }
+ * Attached to the offering's started session; publish opens it right away.
+ */
+router.post("/", auth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const offering_id = Number(body.offering_id);
+    if (!offering_id) {
+      return res
+        .status(400)
+        .json({ status: false, error: "offering_id is required" });
+    }
+    if (!(await can(req.user, "poll:manage", { offering_id }))) {
+      return res
+        .status(403)
+        .json({ status: false, error: "Not allowed to run polls here" });
+    }
+
+    const { poll, error } = readPoll(body);
+    if (error) return res.status(400).json({ status: false, error });
+    const seconds = readDuration(body.duration_seconds);
+    if (seconds == null) {
+      return res.status(400).json({
+        status: false,
+        error: `duration_seconds must be 5..${MAX_DURATION_SECONDS}`,
+      });
+    }
+
+    const session = await activeSession(offering_id);
+    if (!session || session.status !== "started") {
+      return res
+        .status(409)
+        .json({ status: false, error: "No started session for this offering" });
+    }
+
+    let created = await createPoll({
+      offeringId: offering_id,
+      sessionId: session.id,
+      poll,
+      createdBy: req.user.id,
+    });
+    if (body.publish) {
+      created = await openPoll(req.app.get("io"), created, seconds);
+    }
+    await audit(req.user.id, "poll_created", {
+      poll_id: created.id,
+      offering_id,
+      session_id: session.id,
+      kind: created.kind,
+    });
+    return res.status(201).json({ status: true, poll: created });
+  } catch (e) {
+    console.error("create poll error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to create poll" });
+  }
+});
+
+/**
+ * GET /polls?session_id= | ?offering_id= (its active session)
+ * Staff get answers and results; students get the questions, their own
+ * answer, and the results of closed polls.
+ */
+router.get("/", auth, async (req, res) => {
+  try {
+    let session_id = Number(req.query.session_id) || null;
+    let offering_id = Number(req.query.offering_id) || null;
+    if (session_id) {
+      const s = await query(
+        "SELECT offering_id FROM dbo.course_sessions WHERE id=@p0",
+        [session_id]
+      );
+      if (!s.recordset.length) {
+        return res
+          .status(404)
+          .json({ status: false, error: "Session not found" });
+      }
+      offering_id = s.recordset[0].offering_id;
+    } else if (offering_id) {
+      session_id = (await activeSession(offering_id))?.id ?? null;
+    } else {
+      return res
+        .status(400)
+        .json({ status: false, error: "session_id or offering_id required" });
+    }
+
+    if (!(await can(req.user, "offering:view", { offering_id }))) {
+      return res
+        .status(403)
+        .json({ status: false, error: "Not assigned to this offering" });
+    }
+    if (!session_id) {
+      return res.json({ status: true, offering_id, session_id, polls: [] });
+    }
+
+    const polls = await listPolls(session_id);
+    const staff = await can(req.user, "poll:manage", { offering_id });
+    let out;
+    if (staff) {
+      out = await Promise.all(
+        polls.map(async (p) => ({ ...p, results: await pollResults(p) }))
+      );
+    } else {
+      const mine = await query(
+        `SELECT pr.poll_id, pr.answer, pr.is_correct
+           FROM dbo.poll_responses pr
+           JOIN dbo.polls p ON p.id = pr.poll_id
+          WHERE p.session_id=@p0 AND pr.user_id=@p1`,
+        [session_id, req.user.id]
+      );
+      const byPoll = new Map(mine.recordset.map((r) => [r.poll_id, r]));
+      out = await Promise.all(
+        polls
+          .filter((p) => p.status !== "draft")
+          .map(async (p) => {
+            const r = byPoll.get(p.id);
+            const closed = p.status === "closed";
+            return {
+              ...publicPoll(p),
+              my_answer: r ? JSON.parse(r.answer) : null,
+              my_correct:
+                closed && r && r.is_correct != null ? !!r.is_correct : null,
+              results: closed ? await pollResults(p) : null,
+            };
+          })
+      );
+    }
+    return res.json({ status: true, offering_id, session_id, polls: out });
+  } catch (e) {
+    console.error("list polls error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to load polls" });
+  }
+});
+
+/**
+ * GET /polls/export?session_id=&format=xlsx|json
+ * Every response of the session's polls.
+ */
+router.get("/export", auth, async (req, res) => {
+  try {
+    const session_id = Number(req.query.session_id);
+    if (!session_id) {
+      return res
+        .status(400)
+        .json({ status: false, error: "session_id is required" });
+    }
+    const s = await query(
+      `SELECT cs.offering_id, cs.planned_start_utc, c.name AS course_name
+         FROM dbo.course_sessions cs
+         JOIN dbo.course_offerings o ON o.id = cs.offering_id
+         JOIN dbo.courses c ON c.id = o.course_id
+        WHERE cs.id=@p0`,
+      [session_id]
+    );
+    const S = s.recordset[0];
+    if (!S) {
+      return res
+        .status(404)
+        .json({ status: false, error: "Session not found" });
+    }
+    if (!(await can(req.user, "poll:manage", { offering_id: S.offering_id }))) {
+      return res.status(403).json({ status: false, error: "Forbidden" });
+    }
+
+    const rows = await sessionResponses(session_id);
+    if (String(req.query.format || "xlsx").toLowerCase() === "json") {
+      return res.json({ status: true, session_id, responses: rows });
+    }
+    const day = new Date(S.planned_start_utc).toISOString().slice(0, 10);
+    return sendExcel(
+      res,
+      `polls_session_${session_id}`,
+      [
+        { header: "Poll ID", key: "poll_id", width: 10 },
+        { header: "Kind", key: "kind", width: 8 },
+        { header: "Question", key: "question", width: 40 },
+        { header: "User ID", key: "user_id", width: 10 },
+        { header: "Name", key: "name", width: 25 },
+        { header: "Email", key: "email", width: 28 },
+        { header: "Answer", key: "answer", width: 30 },
+        { header: "Correct", key: "is_correct", width: 10 },
+        { header: "Answered (UTC)", key: "answered_at", width: 22 },
+      ],
+      rows,
+      `Polls for ${S.course_name} (${day})`,
+      "Polls"
+    );
+  } catch (e) {
+    console.error("export polls error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to export polls" });
+  }
+});
+
+// GET /polls/:id/results  (students: once the poll is closed)
+router.get("/:id/results", auth, async (req, res) => {
+  try {
+    const poll = await loadPoll(req, res, "offering:view");
+    if (!poll) return;
+    const staff = await can(req.user, "poll:manage", {
+      offering_id: poll.offering_id,
+    });
+    if (!staff && poll.status !== "closed") {
+      return res.status(403).json({
+        status: false,
+        error: "Results are shown when the poll closes",
+      });
+    }
+    return res.json({
+      status: true,
+      poll: staff ? poll : publicPoll(poll),
+      results: await pollResults(poll),
+    });
+  } catch (e) {
+    console.error("poll results error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to load results" });
+  }
+});
+
+// POST /polls/:id/open  Body: { duration_seconds? }
+router.post("/:id/open", auth, async (req, res) => {
+  try {
+    const poll = await loadPoll(req, res, "poll:manage");
+    if (!poll) return;
+    const seconds = readDuration((req.body || {}).duration_seconds);
+    if (seconds == null) {
+      return res.status(400).json({
+        status: false,
+        error: `duration_seconds must be 5..${MAX_DURATION_SECONDS}`,
+      });
+    }
+    const opened = await openPoll(req.app.get("io"), poll, seconds);
+    if (!opened) {
+      return res
+        .status(409)
+        .json({ status: false, error: "Only draft polls can be opened" });
+    }
+    return res.json({ status: true, poll: opened });
+  } catch (e) {
+    console.error("open poll error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to open poll" });
+  }
+});
+
+// POST /polls/:id/close  (before the deadline)
+router.post("/:id/close", auth, async (req, res) => {
+  try {
+    const poll = await loadPoll(req, res, "poll:manage");
+    if (!poll) return;
+    const closed = await closePoll(req.app.get("io"), poll);
+    if (!closed) {
+      return res.status(409).json({ status: false, error: "Poll is not open" });
+    }
+    return res.json({ status: true, ...closed });
+  } catch (e) {
+    console.error("close poll error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to close poll" });
+  }
+});
+
+/**
+ * POST /polls/:id/answer
+ * Body: { answer }  option index (single), [indexes] (multiple) or a number
+ * Answering again before the deadline replaces the previous answer.
+ */
+router.post("/:id/answer", auth, async (req, res) => {
+  try {
+    const poll = await loadPoll(req, res, "poll:answer");
+    if (!poll) return;
+    const { answer, error } = readAnswer(poll, (req.body || {}).answer);
+    if (error) return res.status(400).json({ status: false, error });
+
+    if (!(await saveResponse(poll, req.user.id, answer))) {
+      return res
+        .status(409)
+        .json({ status: false, error: "Poll is not open for answers" });
+    }
+    scheduleResults(req.app.get("io"), poll);
+    return res.json({ status: true, poll_id: poll.id, answer });
+  } catch (e) {
+    console.error("answer poll error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to save answer" });
+  }
+});
+
+module.exports = router;
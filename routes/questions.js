@@ -0,0 +1,257 @@
+// routes/questions.js
+const express = require("express");
+const router = express.Router();
+const { query } = require("../DB/dbConnection");
+const auth = require("../middleware/auth");
+const { can } = require("../utils/authz");
+const { activeSession } = require("../utils/roster");
+const { audit } = require("../utils/audit");
+const {
+  KINDS,
+  MODERATION_STATUSES,
+  MAX_LENGTH,
+  present,
+  getQuestion,
+  listQuestions,
+  openHand,
+  addQuestion,
+  setVote,
+  setStatus,
+  emitQuestionAdded,
+  emitQuestionUpdated,
+} = require("../utils/questions");
+
+/**
+ * Moderated Q&A queue of the running lecture (see utils/questions).
+ * Sockets in the offering rooms get `question_added` / `question_updated`.
+ */
+
+// Loads :id and checks `action` on its offering; sends the error itself
+async function loadQuestion(req, res, action) {
+  const id = Number(req.params.id);
+  const row = id ? await getQuestion(id) : null;
+  if (!row) {
+    res.status(404).json({ status: false, error: "Question not found" });
+    return null;
+  }
+  if (!(await can(req.user, action, { offering_id: row.offering_id }))) {
+    res.status(403).json({ status: false, error: "Forbidden" });
+    return null;
+  }
+  return row;
+}
+
+/**
+ * GET /questions?session_id= | ?offering_id= (its active session)
+ * Open entries first, most upvoted on top.
+ */
+router.get("/", auth, async (req, res) => {
+  try {
+    let session_id = Number(req.query.session_id) || null;
+    let offering_id = Number(req.query.offering_id) || null;
+    if (session_id) {
+      const s = await query(
+        "SELECT offering_id FROM dbo.course_sessions WHERE id=@p0",
+        [session_id]
+      );
+      if (!s.recordset.length) {
+        return res
+          .status(404)
+          .json({ status: false, error: "Session not found" });
+      }
+      offering_id = s.recordset[0].offering_id;
+    } else if (offering_id) {
+      session_id = (await activeSession(offering_id))?.id ?? null;
+    } else {
+      return res
+        .status(400)
+        .json({ status: false, error: "session_id or offering_id required" });
+    }
+
+    if (!(await can(req.user, "offering:view", { offering_id }))) {
+      return res
+        .status(403)
+        .json({ status: false, error: "Not assigned to this offering" });
+    }
+    if (!session_id) {
+      return res.json({ status: true, offering_id, session_id, questions: [] });
+    }
+    const staff = await can(req.user, "questions:moderate", { offering_id });
+    const questions = await listQuestions(session_id, {
+      staff,
+      userId: req.user.id,
+    });
+    return res.json({ status: true, offering_id, session_id, questions });
+  } catch (e) {
+    console.error("list questions error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to load questions" });
+  }
+});
+
+/**
+ * POST /questions
+ * Body: { offering_id, kind?: "question"|"hand", body?, anonymous? }
+ * A raised hand has no text; a student has at most one open hand.
+ */
+router.post("/", auth, async (req, res) => {
+  try {
+    const b = req.body || {};
+    const offering_id = Number(b.offering_id);
+    const kind = b.kind || "question";
+    if (!offering_id) {
+      return res
+        .status(400)
+        .json({ status: false, error: "offering_id is required" });
+    }
+    if (!KINDS.includes(kind)) {
+      return res
+        .status(400)
+        .json({ status: false, error: "kind must be question or hand" });
+    }
+    const text = String(b.body || "").trim();
+    if (kind === "question" && (!text || text.length > MAX_LENGTH)) {
+      return res.status(400).json({
+        status: false,
+        error: `body is required (max ${MAX_LENGTH} chars)`,
+      });
+    }
+    if (!(await can(req.user, "questions:ask", { offering_id }))) {
+      return res
+        .status(403)
+        .json({ status: false, error: "Only students of this offering" });
+    }
+
+    const session = await activeSession(offering_id);
+    if (!session || session.status !== "started") {
+      return res
+        .status(409)
+        .json({ status: false, error: "No started session for this offering" });
+    }
+    if (kind === "hand" && (await openHand(session.id, req.user.id))) {
+      return res
+        .status(409)
+        .json({ status: false, error: "Your hand is already raised" });
+    }
+
+    const row = await addQuestion({
+      offeringId: offering_id,
+      sessionId: session.id,
+      userId: req.user.id,
+      kind,
+      body: kind === "hand" ? text || null : text,
+      anonymous: !!b.anonymous,
+    });
+    await emitQuestionAdded(req.app.get("io"), row);
+    return res
+      .status(201)
+      .json({ status: true, question: present(row, { userId: req.user.id }) });
+  } catch (e) {
+    console.error("add question error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to submit question" });
+  }
+});
+
+// POST /questions/:id/upvote  and  DELETE /questions/:id/upvote
+for (const [method, on] of [
+  ["post", true],
+  ["delete", false],
+]) {
+  router[method]("/:id/upvote", auth, async (req, res) => {
+    try {
+      const row = await loadQuestion(req, res, "questions:ask");
+      if (!row) return;
+      if (Number(row.user_id) === Number(req.user.id)) {
+        return res
+          .status(400)
+          .json({ status: false, error: "Cannot vote on your own question" });
+      }
+      const upvotes = await setVote(row.id, req.user.id, on);
+      if (upvotes == null) {
+        return res
+          .status(409)
+          .json({ status: false, error: "Question is not open" });
+      }
+      await emitQuestionUpdated(req.app.get("io"), { ...row, upvotes });
+      return res.json({ status: true, id: row.id, upvotes, voted: on });
+    } catch (e) {
+      console.error("question vote error:", e);
+      return res
+        .status(500)
+        .json({ status: false, error: "Failed to save vote" });
+    }
+  });
+}
+
+/**
+ * POST /questions/:id/status
+ * Body: { status: "answered"|"dismissed"|"open" }  (teachers / assistants)
+ */
+router.post("/:id/status", auth, async (req, res) => {
+  try {
+    const status = String((req.body || {}).status || "");
+    if (!MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: false,
+        error: `status must be one of ${MODERATION_STATUSES.join(", ")}`,
+      });
+    }
+    const row = await loadQuestion(req, res, "questions:moderate");
+    if (!row) return;
+    if (row.status === "withdrawn") {
+      return res
+        .status(409)
+        .json({ status: false, error: "Question was withdrawn" });
+    }
+    const updated = await setStatus(row.id, status, req.user.id);
+    await emitQuestionUpdated(req.app.get("io"), updated);
+    await audit(req.user.id, "question_moderated", {
+      question_id: row.id,
+      session_id: row.session_id,
+      status,
+    });
+    return res.json({
+      status: true,
+      question: present(updated, { staff: true }),
+    });
+  } catch (e) {
+    console.error("moderate question error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to update question" });
+  }
+});
+
+// POST /questions/:id/withdraw  (author, while open; lowers a raised hand)
+router.post("/:id/withdraw", auth, async (req, res) => {
+  try {
+    const row = await loadQuestion(req, res, "questions:ask");
+    if (!row) return;
+    if (Number(row.user_id) !== Number(req.user.id)) {
+      return res
+        .status(403)
+        .json({ status: false, error: "Not your question" });
+    }
+    if (row.status !== "open") {
+      return res
+        .status(409)
+        .json({ status: false, error: "Question is not open" });
+    }
+    const updated = await setStatus(row.id, "withdrawn", req.user.id);
+    await emitQuestionUpdated(req.app.get("io"), updated);
+    return res.json({
+      status: true,
+      question: present(updated, { userId: req.user.id }),
+    });
+  } catch (e) {
+    console.error("withdraw question error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to withdraw question" });
+  }
+});
+
+module.exports = router;
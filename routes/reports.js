@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
+const { can } = require("../utils/authz");
 
 // normalize user from auth middleware
 function getReqUser(req) {
@@ -46,13 +47,20 @@ async function findAnchorDate(offeringId) {
   return new Date().toISOString().slice(0, 10);
 }
 
+// attended (on time or late) share of the held sessions, in percent;
+// excused sessions count neither way
+function attendanceRate({ attend, late, absence }) {
+  const counted = attend + late + absence;
+  return counted ? Math.round(((attend + late) / counted) * 1000) / 10 : null;
+}
+
 /* ==============================
    STUDENT REPORT
    POST /reports/student
    ============================== */
 router.get("/student", auth, async (req, res) => {
   try {
-    const { id: userId, role } = getReqUser(req);
+    const { id: userId } = getReqUser(req);
     const { offering_id } = req.body || {};
 
     if (!offering_id)
@@ -61,17 +69,10 @@ router.get("/student", auth, async (req, res) => {
         .json({ status: false, error: "offering_id required" });
 
     // permission: admin OR assigned student
-    if (role !== "admin") {
-      const assigned = await query(
-        `SELECT 1 FROM dbo.offering_assignments 
-          WHERE offering_id=@p0 AND user_id=@p1 AND role='student'`,
-        [offering_id, userId]
-      );
-      if (!assigned.recordset.length)
-        return res
-          .status(403)
-          .json({ status: false, error: "Not assigned to this course" });
-    }
+    if (!(await can(req.user, "report:student", { offering_id })))
+      return res
+        .status(403)
+        .json({ status: false, error: "Not assigned to this course" });
 
     // validate offering
     const off = await query(
@@ -101,7 +102,7 @@ router.get("/student", auth, async (req, res) => {
 
     // attendance for this student
     const att = await query(
-      `SELECT session_id, check_in_at, check_out_at
+      `SELECT session_id, check_in_at, check_out_at, status
          FROM dbo.attendance_records
         WHERE user_id=@p0
           AND session_id IN (SELECT id FROM dbo.course_sessions WHERE offering_id=@p1)`,
@@ -116,8 +117,23 @@ router.get("/student", auth, async (req, res) => {
           new Date(s.planned_start_utc).toISOString().slice(0, 10) === ymd
       );
 
+    // stored check-in classification (utils/attendanceRules) -> week status
+    const WEEK_STATUS = {
+      present: "attend",
+      late: "late",
+      absent: "absence",
+      excused: "excused",
+    };
+
     const weekReports = [];
-    const summary = { attend: 0, absence: 0, cancelled: 0, upcoming: 0 };
+    const summary = {
+      attend: 0,
+      late: 0,
+      absence: 0,
+      excused: 0,
+      cancelled: 0,
+      upcoming: 0,
+    };
 
     for (const w of weeks) {
       const session = findByDate(w.planned_date);
@@ -132,8 +148,12 @@ router.get("/student", auth, async (req, res) => {
       } else {
         const recs = attRows.filter((r) => r.session_id === session.id);
         const hasIn = recs.some((r) => r.check_in_at);
+        // an excuse (manual override) counts with or without a check-in
+        if (recs.some((r) => r.status === "excused")) status = "excused";
         if (hasIn) {
-          status = "attend";
+          // checked in after the absent threshold still counts as absence
+          const rec = recs.find((r) => r.check_in_at);
+          status = WEEK_STATUS[rec.status] || "attend";
           const minIn = Math.min(
             ...recs
               .filter((r) => r.check_in_at)
@@ -148,7 +168,7 @@ router.get("/student", auth, async (req, res) => {
             );
             check_out_time = new Date(maxOut).toISOString().slice(11, 19);
           }
-        } else {
+        } else if (status !== "excused") {
           status = "absence";
         }
       }
@@ -171,6 +191,7 @@ router.get("/student", auth, async (req, res) => {
       weeks_total: 16,
       weeks: weekReports,
       summary,
+      attendance_rate: attendanceRate(summary),
     });
   } catch (e) {
     console.error("student report error:", e);
@@ -184,7 +205,6 @@ router.get("/student", auth, async (req, res) => {
    ============================== */
 router.get("/teacher", auth, async (req, res) => {
   try {
-    const { id: userId, role } = getReqUser(req);
     const { offering_id } = req.body || {};
 
     if (!offering_id)
@@ -193,17 +213,10 @@ router.get("/teacher", auth, async (req, res) => {
         .json({ status: false, error: "offering_id required" });
 
     // permission: admin OR teacher on this course
-    if (role !== "admin") {
-      const assigned = await query(
-        `SELECT 1 FROM dbo.offering_assignments 
-          WHERE offering_id=@p0 AND user_id=@p1 AND role='teacher'`,
-        [offering_id, userId]
-      );
-      if (!assigned.recordset.length)
-        return res
-          .status(403)
-          .json({ status: false, error: "Not assigned as teacher" });
-    }
+    if (!(await can(req.user, "report:teacher", { offering_id })))
+      return res
+        .status(403)
+        .json({ status: false, error: "Not allowed to view this report" });
 
     // offering info
     const off = await query(
@@ -237,6 +250,43 @@ router.get("/teacher", auth, async (req, res) => {
           new Date(s.planned_start_utc).toISOString().slice(0, 10) === ymd
       );
 
+    // present / late / excused per session; everybody else counts as absent
+    const students = await query(
+      `SELECT COUNT(*) AS total FROM dbo.offering_assignments
+        WHERE offering_id=@p0 AND role='student'`,
+      [offering_id]
+    );
+    const students_total = Number(students.recordset[0].total) || 0;
+    const counts = await query(
+      `SELECT ar.session_id,
+              SUM(CASE WHEN ar.status='present' THEN 1 ELSE 0 END) AS present,
+              SUM(CASE WHEN ar.status='late'    THEN 1 ELSE 0 END) AS late,
+              SUM(CASE WHEN ar.status='excused' THEN 1 ELSE 0 END) AS excused
+         FROM dbo.attendance_records ar
+         JOIN dbo.course_sessions cs ON cs.id = ar.session_id
+         JOIN dbo.offering_assignments oa
+           ON oa.offering_id = cs.offering_id AND oa.user_id = ar.user_id
+          AND oa.role = 'student'
+        WHERE cs.offering_id=@p0
+        GROUP BY ar.session_id`,
+      [offering_id]
+    );
+    const countsBySession = new Map(
+      counts.recordset.map((r) => [r.session_id, r])
+    );
+    const attendanceOf = (sessionId) => {
+      const c = countsBySession.get(sessionId) || {};
+      const present = Number(c.present) || 0;
+      const late = Number(c.late) || 0;
+      const excused = Number(c.excused) || 0;
+      return {
+        present,
+        late,
+        excused,
+        absent: Math.max(students_total - present - late - excused, 0),
+      };
+    };
+
     const weekReports = [];
     const summary = { ended: 0, started: 0, cancelled: 0, upcoming: 0 };
 
@@ -245,6 +295,7 @@ router.get("/teacher", auth, async (req, res) => {
       let status = "upcoming";
       let start_time = null;
       let end_time = null;
+      let attendance = null;
 
       if (w.planned_date > today) {
         status = "upcoming";
@@ -252,6 +303,7 @@ router.get("/teacher", auth, async (req, res) => {
         status = "cancelled";
       } else if (session.status === "ended") {
         status = "ended";
+        attendance = attendanceOf(session.id);
         start_time = session.started_at
           ? new Date(session.started_at).toISOString().slice(11, 19)
           : null;
@@ -260,6 +312,7 @@ router.get("/teacher", auth, async (req, res) => {
           : null;
       } else if (session.status === "started") {
         status = "started";
+        attendance = attendanceOf(session.id);
         start_time = session.started_at
           ? new Date(session.started_at).toISOString().slice(11, 19)
           : null;
@@ -274,6 +327,7 @@ router.get("/teacher", auth, async (req, res) => {
         status,
         start_time,
         end_time,
+        attendance,
       });
     }
 
@@ -282,6 +336,7 @@ router.get("/teacher", auth, async (req, res) => {
       offering_id,
       course_name: off.recordset[0].course_name,
       weeks_total: 16,
+      students_total,
       weeks: weekReports,
       summary,
     });
@@ -3,6 +3,10 @@ const express = require("express");
 const router = express.Router();
 const { query } = require("../DB/dbConnection");
 const auth = require("../middleware/auth");
+const { can, hasRole } = require("../utils/authz");
+const { emitRosterSnapshot, activeSession } = require("../utils/roster");
+const { emitOfferingEvent } = require("../utils/offeringEvents");
+const { createSessionCode, currentCode } = require("../utils/sessionCodes");
 
 /**
  * POST /lecture-sessions/start
@@ -21,7 +25,7 @@ router.post("/start", auth, async (req, res) => {
     console.log("[SESSIONS/START] body:", req.body);
     console.log("[SESSIONS/START] user:", user);
 
-    // 1) Load offering + primary room modulation + teacher flag (new + legacy)
+    // 1) Load offering + primary room modulation
     const offerSql = `
       SELECT 
         o.id,
@@ -29,19 +33,12 @@ router.post("/start", auth, async (req, res) => {
         o.start_time,
         o.end_time,
         o.primary_room_id,
-        r.modulation_string AS room_mod,
-        CASE WHEN EXISTS (
-          SELECT 1 FROM dbo.course_assignments ca
-          WHERE ca.offering_id=@p0 AND ca.user_id=@p1 AND LOWER(ca.role)='teacher'
-        ) OR EXISTS (
-          SELECT 1 FROM dbo.offering_assignments oa
-          WHERE oa.offering_id=@p0 AND oa.user_id=@p1 AND LOWER(oa.role)='teacher'
-        ) THEN 1 ELSE 0 END AS is_teacher
+        r.modulation_string AS room_mod
       FROM dbo.course_offerings o
       LEFT JOIN dbo.rooms r ON r.id = o.primary_room_id
       WHERE o.id=@p0;
     `;
-    const offerRes = await query(offerSql, [offering_id, user.id]);
+    const offerRes = await query(offerSql, [offering_id]);
     if (!offerRes.recordset.length) {
       return res
         .status(404)
@@ -49,13 +46,13 @@ router.post("/start", auth, async (req, res) => {
     }
     const O = offerRes.recordset[0];
 
-    // 2) Authorization: assigned teacher or admin
-    const isAdmin = String(user.role || "").toLowerCase() === "admin";
-    const isTeacher = !!O.is_teacher;
-    if (!isAdmin && !isTeacher) {
+    // 2) Authorization: assigned teacher, assistant with start_sessions, or admin
+    const isAdmin = hasRole(user, "admin");
+    const target = { offering_id, room_id: O.primary_room_id };
+    if (!(await can(user, "session:start", target))) {
       return res.status(403).json({
         status: false,
-        error: "Only assigned teacher/admin can start",
+        error: "Not allowed to start this session",
       });
     }
 
@@ -127,14 +124,19 @@ router.post("/start", auth, async (req, res) => {
     const row = ins.recordset[0];
     const session_id = row.id;
 
+    // fresh rotating attendance code secret for this session
+    await createSessionCode(session_id);
+
     // 5) Notify sockets
     const io = req.app.get("io");
     const payload = { offering_id, session_id, at: new Date().toISOString() };
 
-    io.to(`off:${offering_id}:students`).emit("lecture_started", payload);
-    io.to(`off:${offering_id}:teachers`).emit("lecture_started", payload);
-
-    io.to(`off:${offering_id}:all`).emit("lecture_started", payload);
+    // logged with a seq so reconnecting clients can replay it
+    await emitOfferingEvent(io, offering_id, "lecture_started", payload);
+    // new session: roster watchers start over from an empty roster
+    emitRosterSnapshot(io, offering_id).catch((e) =>
+      console.warn("roster_snapshot emit failed:", e?.message || e)
+    );
 
     return res.json({
       status: true,
@@ -156,6 +158,62 @@ router.post("/start", auth, async (req, res) => {
   }
 });
 
+/**
+ * GET /lecture-sessions/code?offering_id=123
+ * Current rotating attendance code of the started session, for the room
+ * display or the teacher's screen; fetch again after `expires_in` seconds.
+ */
+router.get("/code", auth, async (req, res) => {
+  try {
+    const offering_id = Number(req.query.offering_id);
+    if (!offering_id) {
+      return res
+        .status(400)
+        .json({ status: false, error: "offering_id is required" });
+    }
+    const off = await query(
+      "SELECT primary_room_id FROM dbo.course_offerings WHERE id=@p0",
+      [offering_id]
+    );
+    if (!off.recordset.length) {
+      return res
+        .status(404)
+        .json({ status: false, error: "Offering not found" });
+    }
+    const target = { offering_id, room_id: off.recordset[0].primary_room_id };
+    if (!(await can(req.user, "session:code", target))) {
+      return res
+        .status(403)
+        .json({ status: false, error: "Not allowed to show this code" });
+    }
+
+    const session = await activeSession(offering_id);
+    if (!session || session.status !== "started") {
+      return res
+        .status(409)
+        .json({ status: false, error: "No started session for this offering" });
+    }
+    const code = await currentCode(session.id);
+    if (!code) {
+      return res.status(404).json({
+        status: false,
+        error: "This session has no rotating attendance code",
+      });
+    }
+    return res.json({
+      status: true,
+      offering_id,
+      session_id: session.id,
+      ...code,
+    });
+  } catch (e) {
+    console.error("attendance code error:", e);
+    return res
+      .status(500)
+      .json({ status: false, error: "Failed to load attendance code" });
+  }
+});
+
 /**
  * POST /lecture-sessions/end
  * Body: { offering_id, now_ts?, modulation_string? }
@@ -170,6 +228,22 @@ router.post("/end", auth, async (req, res) => {
         .json({ status: false, error: "offering_id is required" });
     }
 
+    // room_id lets room-scoped API keys (kiosks) end the lecture
+    const off = await query(
+      "SELECT primary_room_id FROM dbo.course_offerings WHERE id=@p0",
+      [offering_id]
+    );
+    const target = {
+      offering_id,
+      room_id: off.recordset[0]?.primary_room_id ?? null,
+    };
+    if (!(await can(req.user, "session:end", target))) {
+      return res.status(403).json({
+        status: false,
+        error: "Not allowed to end this session",
+      });
+    }
+
     const now = now_ts ? new Date(now_ts) : new Date();
     const isoNow = now.toISOString();
     const providedMod = (modulation_string || "").trim();
@@ -228,12 +302,9 @@ router.post("/end", auth, async (req, res) => {
     const sRow = (await query(getSql, [offering_id])).recordset[0];
 
     const io = req.app.get("io");
-    const payload = { offering_id, at: isoNow };
-
-    io.to(`off:${offering_id}:students`).emit("lecture_ended", payload);
-    io.to(`off:${offering_id}:teachers`).emit("lecture_ended", payload);
+    const payload = { offering_id, session_id: sRow.id, at: isoNow };
 
-    io.to(`off:${offering_id}:all`).emit("lecture_ended", payload);
+    await emitOfferingEvent(io, offering_id, "lecture_ended", payload);
 
     return res.json({
       status: true,
@@ -55,31 +55,52 @@ router.get("/", auth, async (req, res) => {
     if (role === "student") {
       // 3a) Student: how many sessions did THIS student attend (check-in)
       // JOIN attendance_records -> course_sessions to get offering_id
+      // late check-ins count as attended; past the absent threshold they don't.
+      // Excused sessions (manual overrides) are neither attended nor absent.
       const presSql = `
-        SELECT cs.offering_id, COUNT(DISTINCT ar.session_id) AS present
+        SELECT cs.offering_id,
+               COUNT(DISTINCT CASE WHEN ar.check_in_at IS NOT NULL
+                                    AND ar.status IN ('present','late')
+                                   THEN ar.session_id END) AS present,
+               COUNT(DISTINCT CASE WHEN ar.check_in_at IS NOT NULL
+                                    AND ar.status = 'late'
+                                   THEN ar.session_id END) AS late,
+               COUNT(DISTINCT CASE WHEN ar.status = 'excused'
+                                   THEN ar.session_id END) AS excused
         FROM dbo.attendance_records ar
         JOIN dbo.course_sessions  cs ON cs.id = ar.session_id
         WHERE ar.user_id = @p0
-          AND ar.check_in_at IS NOT NULL
           AND cs.offering_id IN (${makeInList(offeringIds.length, 1)})
         GROUP BY cs.offering_id
       `;
       const presRes = await query(presSql, [userId, ...offeringIds]);
       const presentMap = new Map();
-      presRes.recordset.forEach((r) =>
-        presentMap.set(r.offering_id, Number(r.present) || 0)
-      );
+      const lateMap = new Map();
+      const excusedMap = new Map();
+      presRes.recordset.forEach((r) => {
+        presentMap.set(r.offering_id, Number(r.present) || 0);
+        lateMap.set(r.offering_id, Number(r.late) || 0);
+        excusedMap.set(r.offering_id, Number(r.excused) || 0);
+      });
 
       const summary = filtered.map((row) => {
         const offId = row.offering_id;
         const held = heldMap.get(offId) ?? 0;
         const attend = presentMap.get(offId) ?? 0;
-        const absence = Math.max(held - attend, 0);
+        const excused = excusedMap.get(offId) ?? 0;
+        const absence = Math.max(held - attend - excused, 0);
+        // excused sessions are left out of the percentage
+        const counted = attend + absence;
         return {
           offering_id: offId,
           course_name: row.course_name,
           attend,
+          late: lateMap.get(offId) ?? 0,
+          excused,
           absence,
+          attendance_rate: counted
+            ? Math.round((attend / counted) * 1000) / 10
+            : null,
         };
       });
 
@@ -0,0 +1,168 @@
+// scripts/mockOidcProvider.js
+const crypto = require("crypto");
+const http = require("http");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+/**
+ * Minimal OpenID provider for local testing of /auth/oidc/*:
+ * discovery, JWKS, an /authorize that signs in immediately (no login page)
+ * and a /token endpoint that checks PKCE and returns an RS256 ID token.
+ *
+ *   npm run mock-oidc      (MOCK_OIDC_PORT, default 4010)
+ *
+ * Then point the API at it:
+ *   OIDC_ISSUER=http://localhost:4010  OIDC_CLIENT_ID=smartclassroom
+ *   OIDC_REDIRECT_URI=<app callback>
+ *
+ * Who signs in: ?login_hint=<email> on the authorization URL, else
+ * MOCK_OIDC_EMAIL. ?email_verified=false marks the email unverified.
+ */
+function createMockProvider({
+  issuer,
+  clientId = "smartclassroom",
+  defaultEmail = "",
+} = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const kid = crypto.randomBytes(8).toString("hex");
+  const codes = new Map(); // code -> pending sign-in
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const subjectFor = (email) =>
+    crypto.createHash("sha256").update(email).digest("hex").slice(0, 24);
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer: app.locals.issuer,
+      authorization_endpoint: `${app.locals.issuer}/authorize`,
+      token_endpoint: `${app.locals.issuer}/token`,
+      jwks_uri: `${app.locals.issuer}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+      scopes_supported: ["openid", "email", "profile"],
+    });
+  });
+
+  app.get("/jwks", (req, res) => {
+    const jwk = publicKey.export({ format: "jwk" });
+    res.json({ keys: [{ ...jwk, kid, use: "sig", alg: "RS256" }] });
+  });
+
+  app.get("/authorize", (req, res) => {
+    const q = req.query;
+    if (q.response_type !== "code" || q.client_id !== clientId) {
+      return res.status(400).send("unsupported response_type or client_id");
+    }
+    if (!q.redirect_uri || !q.code_challenge) {
+      return res.status(400).send("redirect_uri and code_challenge required");
+    }
+    if (q.code_challenge_method !== "S256") {
+      return res.status(400).send("only S256 PKCE is supported");
+    }
+    const back = new URL(q.redirect_uri);
+    if (q.state) back.searchParams.set("state", q.state);
+
+    const email = String(q.login_hint || defaultEmail).trim();
+    if (!email) {
+      back.searchParams.set("error", "login_required");
+      return res.redirect(back.toString());
+    }
+    const code = crypto.randomBytes(24).toString("base64url");
+    codes.set(code, {
+      email,
+      emailVerified: q.email_verified !== "false",
+      nonce: q.nonce,
+      challenge: q.code_challenge,
+      redirectUri: q.redirect_uri,
+      expires: Date.now() + 60 * 1000,
+    });
+    back.searchParams.set("code", code);
+    return res.redirect(back.toString());
+  });
+
+  app.post("/token", (req, res) => {
+    const b = req.body || {};
+    const pending = codes.get(b.code);
+    codes.delete(b.code);
+    const challenge = crypto
+      .createHash("sha256")
+      .update(String(b.code_verifier || ""))
+      .digest("base64url");
+    if (
+      b.grant_type !== "authorization_code" ||
+      b.client_id !== clientId ||
+      !pending ||
+      pending.expires < Date.now() ||
+      pending.redirectUri !== b.redirect_uri ||
+      pending.challenge !== challenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const idToken = jwt.sign(
+      {
+        sub: subjectFor(pending.email),
+        email: pending.email,
+        email_verified: pending.emailVerified,
+        nonce: pending.nonce,
+      },
+      privateKey,
+      {
+        algorithm: "RS256",
+        keyid: kid,
+        issuer: app.locals.issuer,
+        audience: clientId,
+        expiresIn: "5m",
+      }
+    );
+    return res.json({
+      access_token: crypto.randomBytes(24).toString("base64url"),
+      token_type: "Bearer",
+      expires_in: 300,
+      id_token: idToken,
+    });
+  });
+
+  app.locals.issuer = issuer;
+  return app;
+}
+
+/**
+ * Starts the provider; resolves to { issuer, close() }.
+ * Port 0 picks a free port (used by the tests).
+ */
+function startMockProvider({ port = 0, ...options } = {}) {
+  const app = createMockProvider(options);
+  const server = http.createServer(app);
+  return new Promise((resolve) => {
+    server.listen(port, () => {
+      const issuer =
+        options.issuer || `http://127.0.0.1:${server.address().port}`;
+      app.locals.issuer = issuer;
+      resolve({
+        issuer,
+        close: () => {
+          server.closeAllConnections();
+          server.close();
+        },
+      });
+    });
+  });
+}
+
+module.exports = { createMockProvider, startMockProvider };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_OIDC_PORT || 4010);
+  startMockProvider({
+    port,
+    issuer: process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`,
+    clientId: process.env.OIDC_CLIENT_ID || "smartclassroom",
+    defaultEmail: process.env.MOCK_OIDC_EMAIL || "",
+  }).then(({ issuer }) => console.log(`Mock OIDC provider on ${issuer}`));
+}
@@ -0,0 +1,278 @@
+// test/authz.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  POLICIES,
+  can,
+  authorize,
+  hasRole,
+  isValidScope,
+} = require("../utils/authz");
+
+const users = {
+  admin: { id: 1, role: "admin" },
+  teacher: { id: 2, role: "teacher" },
+  assistant: { id: 3, role: "assistant" },
+  student: { id: 4, role: "student" },
+};
+
+// assignment_role / assistant_capabilities are passed in so no database
+// lookup happens
+const inOffering = (role, capabilities = []) => ({
+  offering_id: 10,
+  assignment_role: role,
+  assistant_capabilities: capabilities,
+});
+const notAssigned = { offering_id: 10, assignment_role: null };
+
+// action -> roles (inside the offering) that are allowed besides admin
+const OFFERING_ACTIONS = {
+  "offering:view": ["student", "teacher", "assistant"],
+  "session:start": ["teacher"],
+  "session:end": ["teacher"],
+  "session:code": ["teacher"],
+  "files:upload": ["teacher"],
+  "files:view": ["student", "teacher", "assistant"],
+  "attendance:check": ["student", "teacher", "assistant"],
+  "report:student": ["student"],
+  "report:teacher": ["teacher"],
+  "roster:view": ["teacher"],
+  "attendance:mark": ["teacher"],
+  "poll:manage": ["teacher"],
+  "questions:moderate": ["teacher", "assistant"],
+  "excuses:review": ["teacher"],
+};
+
+const ADMIN_ONLY = Object.keys(POLICIES).filter(
+  (a) =>
+    POLICIES[a].roles?.join() === "admin" &&
+    !POLICIES[a].assignment &&
+    !POLICIES[a].self
+);
+
+const SELF_ACTIONS = Object.keys(POLICIES).filter((a) => POLICIES[a].self);
+
+test("admin-only actions: only admins pass", async () => {
+  assert.ok(ADMIN_ONLY.includes("users:manage"));
+  for (const action of ADMIN_ONLY) {
+    for (const [name, user] of Object.entries(users)) {
+      assert.equal(
+        await can(user, action),
+        name === "admin",
+        `${name} on ${action}`
+      );
+    }
+  }
+});
+
+test("offering actions follow the role inside the offering", async () => {
+  for (const [action, allowed] of Object.entries(OFFERING_ACTIONS)) {
+    for (const [name, user] of Object.entries(users)) {
+      if (name === "admin") continue;
+      assert.equal(
+        await can(user, action, inOffering(name)),
+        allowed.includes(name),
+        `${name} assigned as ${name} on ${action}`
+      );
+      assert.equal(
+        await can(user, action, notAssigned),
+        false,
+        `${name} not assigned on ${action}`
+      );
+    }
+  }
+});
+
+test("the offering role counts, not the global role", async () => {
+  // a teacher account enrolled as student in someone else's course
+  assert.equal(
+    await can(users.teacher, "session:start", inOffering("student")),
+    false
+  );
+  assert.equal(
+    await can(users.student, "files:upload", inOffering("Teacher")),
+    true
+  );
+});
+
+test("assistants get what the offering grants them", async () => {
+  const granted = {
+    "session:start": "start_sessions",
+    "session:end": "start_sessions",
+    "session:code": "start_sessions",
+    "files:upload": "upload_files",
+    "roster:view": "view_roster",
+    "attendance:mark": "manual_attendance",
+    "report:teacher": "view_reports",
+    "poll:manage": "run_polls",
+  };
+  for (const [action, capability] of Object.entries(granted)) {
+    assert.equal(
+      await can(users.assistant, action, inOffering("assistant", [capability])),
+      true,
+      `${action} with ${capability}`
+    );
+  }
+  // a capability only unlocks its own actions
+  assert.equal(
+    await can(
+      users.assistant,
+      "files:upload",
+      inOffering("assistant", ["view_roster"])
+    ),
+    false
+  );
+  // and only for assistants
+  assert.equal(
+    await can(
+      users.student,
+      "session:start",
+      inOffering("student", ["start_sessions"])
+    ),
+    false
+  );
+  assert.equal(
+    await can(
+      users.assistant,
+      "report:student",
+      inOffering("assistant", ["view_reports"])
+    ),
+    false
+  );
+});
+
+test("admins pass every offering action without an assignment", async () => {
+  for (const action of Object.keys(OFFERING_ACTIONS)) {
+    assert.equal(await can(users.admin, action, notAssigned), true, action);
+  }
+});
+
+test("self actions: own account or admin", async () => {
+  for (const action of SELF_ACTIONS) {
+    for (const [name, user] of Object.entries(users)) {
+      assert.equal(await can(user, action, { user_id: user.id }), true);
+      assert.equal(
+        await can(user, action, { user_id: 999 }),
+        name === "admin",
+        `${name} on someone else (${action})`
+      );
+    }
+  }
+  // ids from JSON bodies may be strings
+  assert.equal(
+    await can(users.student, "device:reset", { user_id: "4" }),
+    true
+  );
+});
+
+test("everyone may browse offerings", async () => {
+  for (const user of Object.values(users)) {
+    assert.equal(await can(user, "offerings:browse"), true);
+  }
+});
+
+test("missing users and unknown roles are denied", async () => {
+  assert.equal(await can(null, "offering:view", inOffering("student")), false);
+  assert.equal(await can({ role: "admin" }, "users:manage"), false);
+  assert.equal(await can({ id: 5, role: "guest" }, "users:manage"), false);
+  assert.equal(await can({ id: 5 }, "offering:view", notAssigned), false);
+});
+
+test("role names are case-insensitive", async () => {
+  assert.equal(await can({ id: 1, role: "ADMIN" }, "rooms:manage"), true);
+  assert.equal(hasRole({ role: " Teacher " }, "teacher"), true);
+  assert.equal(hasRole(undefined, "admin"), false);
+});
+
+test("unknown actions throw", async () => {
+  await assert.rejects(() => can(users.admin, "users:nuke"), /Unknown/);
+  assert.throws(() => authorize("users:nuke"), /Unknown/);
+});
+
+test("API keys are limited to their scopes", async () => {
+  const key = (...scopes) => ({
+    id: null,
+    role: "api_key",
+    api_key_id: 7,
+    scopes,
+  });
+  const room12 = { offering_id: 10, room_id: 12 };
+
+  assert.equal(await can(key("rooms:read"), "rooms:read"), true);
+  assert.equal(await can(key("rooms:read"), "rooms:manage"), false);
+  assert.equal(await can(key("rooms:read"), "users:manage"), false);
+
+  // narrowed to one room
+  const kiosk = key("sessions:start:room:12");
+  assert.equal(await can(kiosk, "session:start", room12), true);
+  assert.equal(
+    await can(kiosk, "session:start", { offering_id: 10, room_id: 13 }),
+    false
+  );
+  assert.equal(await can(kiosk, "session:end", room12), false);
+  assert.equal(await can(key("sessions:start"), "session:start", room12), true);
+
+  // never by role or assignment
+  assert.equal(await can({ ...key(), role: "admin" }, "users:manage"), false);
+  assert.equal(await can(key(), "offering:view", inOffering("teacher")), false);
+});
+
+test("scope syntax", () => {
+  assert.equal(isValidScope("attendance:write"), true);
+  assert.equal(isValidScope("sessions:start:room:12"), true);
+  assert.equal(isValidScope("roster:read:offering:3"), true);
+  assert.equal(isValidScope("sessions:start:room:"), false);
+  assert.equal(isValidScope("sessions:start:lab:3"), false);
+  assert.equal(isValidScope("users:manage"), false);
+  assert.equal(isValidScope("rooms:read:room:1:extra"), false);
+});
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+test("authorize() middleware", async () => {
+  const mw = authorize("users:manage");
+
+  let res = fakeRes();
+  let called = false;
+  await mw({}, res, () => (called = true));
+  assert.equal(res.statusCode, 401);
+  assert.equal(called, false);
+
+  res = fakeRes();
+  await mw({ user: users.teacher }, res, () => (called = true));
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body, { status: false, error: "Admin only" });
+  assert.equal(called, false);
+
+  res = fakeRes();
+  await mw({ user: users.admin }, res, () => (called = true));
+  assert.equal(called, true);
+
+  const upload = authorize("files:upload", (req) => ({
+    offering_id: req.body.offering_id,
+    assignment_role: req.body.role,
+  }));
+  res = fakeRes();
+  called = false;
+  await upload(
+    { user: users.student, body: { offering_id: 3, role: "student" } },
+    res,
+    () => (called = true)
+  );
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body, { status: false, error: "Forbidden" });
+  assert.equal(called, false);
+});
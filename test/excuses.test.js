@@ -0,0 +1,48 @@
+// test/excuses.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { once } = require("events");
+
+// no database: an API key with an unrelated scope, and a listExcuses that
+// records what it was asked for
+Object.assign(require("../utils/apiKeys"), {
+  verifyApiKey: async () => ({
+    id: 7,
+    name: "kiosk",
+    scopes: ["offerings:read"],
+    rate_limit: 100,
+  }),
+  takeRequest: async () => ({ allowed: true }),
+  touchApiKey: () => {},
+});
+const excuses = require("../utils/excuses");
+const { listExcuses } = excuses;
+const listed = [];
+excuses.listExcuses = async (filters) => {
+  listed.push(filters);
+  return [{ id: 1, user_id: 4, reason: "sick" }];
+};
+
+const router = require("../routes/excuses");
+
+test("API keys without the review scope cannot list excuses", async () => {
+  const app = express();
+  app.use("/excuses", router);
+  const server = app.listen(0);
+  await once(server, "listening");
+  const base = `http://localhost:${server.address().port}/excuses`;
+  try {
+    for (const url of [base, `${base}?offering_id=5`]) {
+      const res = await fetch(url, { headers: { "X-API-Key": "k" } });
+      assert.equal(res.status, 403);
+    }
+    assert.deepEqual(listed, []);
+  } finally {
+    server.close();
+  }
+});
+
+test("listExcuses needs a user unless everyone was allowed", async () => {
+  assert.deepEqual(await listExcuses({ userId: null, offeringId: 5 }), []);
+});
@@ -0,0 +1,63 @@
+// test/offlineSync.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  signItem,
+  verifySignature,
+  checkItem,
+  syncTooLate,
+} = require("../utils/offlineSync");
+
+const key = "k3y";
+const now = Date.parse("2026-03-02T10:00:00Z");
+const item = {
+  id: "a1",
+  offering_id: 7,
+  action: "checkin",
+  ts: "2026-03-02T09:05:00Z",
+  code: "483920",
+};
+
+test("signatures bind the item to the device", () => {
+  const signed = { ...item, signature: signItem(key, "dev-1", item) };
+  assert.equal(verifySignature(key, "dev-1", signed), true);
+  assert.equal(verifySignature(key, "dev-2", signed), false);
+  assert.equal(verifySignature("other", "dev-1", signed), false);
+  assert.equal(
+    verifySignature(key, "dev-1", { ...signed, ts: "2026-03-02T09:00:00Z" }),
+    false
+  );
+  assert.equal(verifySignature(key, "dev-1", { ...signed, id: "a2" }), false);
+  assert.equal(
+    verifySignature(key, "dev-1", { ...item, signature: "" }),
+    false
+  );
+});
+
+test("malformed, future and stale items are rejected with a reason", () => {
+  const signed = { ...item, signature: "x" };
+  assert.equal(checkItem(signed, now), null);
+  assert.equal(checkItem(null, now), "invalid_item");
+  assert.equal(checkItem({ ...signed, id: "" }, now), "invalid_id");
+  assert.equal(
+    checkItem({ ...signed, action: "leave" }, now),
+    "invalid_action"
+  );
+  assert.equal(checkItem({ ...signed, ts: "yesterday" }, now), "invalid_ts");
+  assert.equal(
+    checkItem({ ...signed, ts: "2026-03-02T11:00:00Z" }, now),
+    "ts_in_future"
+  );
+  assert.equal(
+    checkItem({ ...signed, ts: "2026-03-02T04:00:00Z" }, now),
+    "too_old"
+  );
+  assert.equal(checkItem(item, now), "missing_signature");
+});
+
+test("a sync long after the session ended is too late", () => {
+  const ended = { ended_at: new Date("2026-03-02T09:50:00Z") };
+  assert.equal(syncTooLate(ended, Date.parse("2026-03-02T10:10:00Z")), false);
+  assert.equal(syncTooLate(ended, Date.parse("2026-03-02T10:30:00Z")), true);
+  assert.equal(syncTooLate({ ended_at: null }, now), false);
+});
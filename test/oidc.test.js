@@ -0,0 +1,98 @@
+// test/oidc.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const oidc = require("../utils/oidc");
+const { startMockProvider } = require("../scripts/mockOidcProvider");
+
+const REDIRECT_URI = "smartclassroom://oidc";
+
+// Walks the provider's /authorize like a browser would; returns the code
+async function authorize(issuer, { verifier, nonce, email, verified }) {
+  const params = {
+    response_type: "code",
+    client_id: "smartclassroom",
+    redirect_uri: REDIRECT_URI,
+    scope: "openid email",
+    state: "s1",
+    nonce,
+    code_challenge: oidc.pkceChallenge(verifier),
+    code_challenge_method: "S256",
+    login_hint: email,
+  };
+  if (verified === false) params.email_verified = "false";
+  const r = await axios.get(`${issuer}/authorize`, {
+    params,
+    maxRedirects: 0,
+    validateStatus: (s) => s === 302,
+  });
+  const back = new URL(r.headers.location);
+  assert.equal(back.searchParams.get("state"), "s1");
+  return back.searchParams.get("code");
+}
+
+test("oidc against the mock provider", async (t) => {
+  const provider = await startMockProvider({ clientId: "smartclassroom" });
+  process.env.OIDC_ISSUER = provider.issuer;
+  process.env.OIDC_CLIENT_ID = "smartclassroom";
+  process.env.OIDC_REDIRECT_URI = REDIRECT_URI;
+  t.after(() => provider.close());
+
+  await t.test("PKCE S256 challenge (RFC 7636 example)", () => {
+    assert.equal(
+      oidc.pkceChallenge("dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk"),
+      "E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM"
+    );
+  });
+
+  await t.test("discovery", async () => {
+    assert.equal(oidc.isConfigured(), true);
+    const meta = await oidc.discover();
+    assert.equal(meta.issuer, provider.issuer);
+    assert.ok(meta.code_challenge_methods_supported.includes("S256"));
+  });
+
+  await t.test("code exchange + ID token verification", async () => {
+    const verifier = "v".repeat(43);
+    const code = await authorize(provider.issuer, {
+      verifier,
+      nonce: "n1",
+      email: "Student@College.edu",
+    });
+    const tokens = await oidc.exchangeCode(code, verifier);
+    const claims = await oidc.verifyIdToken(tokens.id_token, "n1");
+    assert.equal(claims.email, "Student@College.edu");
+    assert.equal(claims.email_verified, true);
+    assert.equal(claims.aud, "smartclassroom");
+  });
+
+  await t.test("wrong PKCE verifier is refused by the provider", async () => {
+    const code = await authorize(provider.issuer, {
+      verifier: "a".repeat(43),
+      nonce: "n2",
+      email: "teacher@college.edu",
+    });
+    await assert.rejects(oidc.exchangeCode(code, "b".repeat(43)), (err) => {
+      assert.equal(err.response.status, 400);
+      return true;
+    });
+  });
+
+  await t.test("nonce and audience are checked", async () => {
+    const verifier = "c".repeat(43);
+    const code = await authorize(provider.issuer, {
+      verifier,
+      nonce: "n3",
+      email: "teacher@college.edu",
+    });
+    const { id_token } = await oidc.exchangeCode(code, verifier);
+    await assert.rejects(oidc.verifyIdToken(id_token, "other"), /nonce/);
+
+    process.env.OIDC_CLIENT_ID = "another-client";
+    try {
+      await assert.rejects(oidc.verifyIdToken(id_token, "n3"), /audience/);
+    } finally {
+      process.env.OIDC_CLIENT_ID = "smartclassroom";
+    }
+  });
+});
@@ -0,0 +1,98 @@
+// test/polls.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  readPoll,
+  readAnswer,
+  isCorrect,
+  aggregate,
+  publicPoll,
+} = require("../utils/polls");
+
+const single = {
+  kind: "quiz",
+  question_type: "single",
+  question: "2 + 2?",
+  options: ["3", "4", "5"],
+  correct: 1,
+};
+
+test("polls are validated and the right answer normalized", () => {
+  assert.deepEqual(readPoll(single).poll.correct, { index: 1 });
+  assert.deepEqual(
+    readPoll({ ...single, question_type: "multiple", correct: [2, 0, 2] }).poll
+      .correct,
+    { indexes: [0, 2] }
+  );
+  assert.deepEqual(
+    readPoll({ ...single, question_type: "numeric", correct: 3.14 }).poll,
+    {
+      kind: "quiz",
+      question_type: "numeric",
+      question: "2 + 2?",
+      options: [],
+      correct: { value: 3.14, tolerance: 0 },
+    }
+  );
+  // plain polls have no right answer
+  assert.equal(readPoll({ ...single, kind: "poll" }).poll.correct, null);
+
+  assert.ok(readPoll({ ...single, correct: 3 }).error);
+  assert.ok(readPoll({ ...single, options: ["only one"] }).error);
+  assert.ok(readPoll({ ...single, question: "  " }).error);
+  assert.ok(readPoll({ ...single, question_type: "essay" }).error);
+});
+
+test("answers are checked against the question type", () => {
+  const multiple = readPoll({
+    ...single,
+    question_type: "multiple",
+    correct: [0, 2],
+  }).poll;
+  assert.deepEqual(readAnswer(multiple, [2, 0]).answer, [0, 2]);
+  assert.equal(isCorrect(multiple, [0, 2]), true);
+  assert.equal(isCorrect(multiple, [0]), false);
+  assert.ok(readAnswer(multiple, 0).error);
+  assert.ok(readAnswer(multiple, [3]).error);
+
+  const numeric = readPoll({
+    ...single,
+    question_type: "numeric",
+    correct: { value: 10, tolerance: 0.5 },
+  }).poll;
+  assert.equal(readAnswer(numeric, "10.4").answer, 10.4);
+  assert.equal(isCorrect(numeric, 10.4), true);
+  assert.equal(isCorrect(numeric, 11), false);
+  assert.ok(readAnswer(numeric, "ten").error);
+});
+
+test("results aggregate per option or as numeric stats", () => {
+  const poll = readPoll(single).poll;
+  assert.deepEqual(aggregate(poll, [1, 1, 0]), {
+    responses: 3,
+    counts: [1, 2, 0],
+    correct: 2,
+  });
+
+  const numeric = readPoll({
+    ...single,
+    kind: "poll",
+    question_type: "numeric",
+  }).poll;
+  assert.deepEqual(aggregate(numeric, [4, 1, 3, 2]), {
+    responses: 4,
+    min: 1,
+    max: 4,
+    mean: 2.5,
+    median: 2.5,
+  });
+  assert.equal(aggregate(numeric, []).median, null);
+});
+
+test("students don't see the answer before the poll closes", () => {
+  const poll = { id: 1, status: "open", correct: { index: 1 }, created_by: 2 };
+  assert.equal("correct" in publicPoll(poll), false);
+  assert.deepEqual(publicPoll({ ...poll, status: "closed" }).correct, {
+    index: 1,
+  });
+});
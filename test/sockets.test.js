@@ -0,0 +1,99 @@
+// test/sockets.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { once } = require("events");
+const { Server } = require("socket.io");
+const { io: connect } = require("socket.io-client");
+const { signAccessToken } = require("../utils/tokens");
+
+// no database: stub the lookups utils/sockets picks up when it is required
+const revoked = new Set();
+require("../utils/authSessions").isSessionActive = async (sid) =>
+  !revoked.has(sid);
+require("../utils/authz").offeringRole = async () => "student";
+const replays = [];
+Object.assign(require("../utils/offeringEvents"), {
+  latestSeq: async () => 0,
+  replayEvents: async (socket, offeringId, afterSeq) => {
+    replays.push(afterSeq);
+    return { sent: 0, truncated: false };
+  },
+});
+require("../utils/roster").activeSession = async () => null;
+
+const { connectionStateRecovery, attachSockets } = require("../utils/sockets");
+
+async function startServer() {
+  const server = http.createServer();
+  const io = new Server(server, { connectionStateRecovery });
+  attachSockets(io);
+  server.listen(0);
+  await once(server, "listening");
+  return { io, url: `http://localhost:${server.address().port}` };
+}
+
+// connects, joins offering 10 and receives one broadcast (recovery needs
+// an offset), then drops the transport like a flaky Wi-Fi would
+async function joinedThenDropped(io, url, sid) {
+  const client = connect(url, {
+    auth: { token: signAccessToken({ id: 4, role: "student" }, sid).token },
+    reconnectionDelay: 50,
+    reconnectionDelayMax: 50,
+  });
+  await once(client, "connect");
+  client.emit("join-offering", 10);
+  const [ok] = await once(client, "join-ok");
+  assert.equal(ok.role, "student");
+  io.to("off:10:all").emit("tick");
+  await once(client, "tick");
+  client.io.engine.close();
+  return client;
+}
+
+test(
+  "a recovered socket keeps its identity and can join again",
+  { timeout: 5000 },
+  async () => {
+    const { io, url } = await startServer();
+    replays.length = 0;
+    const client = await joinedThenDropped(io, url, "sid-1");
+    try {
+      await once(client, "connect");
+      assert.equal(client.recovered, true);
+      client.emit("join-offering", { offering_id: 10, last_seq: 0 });
+      const [event, payload] = await Promise.race([
+        once(client, "join-ok").then((a) => ["join-ok", a[0]]),
+        once(client, "join-denied").then((a) => ["join-denied", a[0]]),
+      ]);
+      assert.equal(event, "join-ok", JSON.stringify(payload));
+      // the fresh join sent no last_seq: nothing replayed until the resume
+      assert.deepEqual(replays, [0]);
+      const [sock] = await io.fetchSockets();
+      assert.deepEqual(sock.data.user, {
+        id: 4,
+        role: "student",
+        sid: "sid-1",
+      });
+    } finally {
+      client.close();
+      io.close();
+    }
+  }
+);
+
+test("recovery re-checks the session", { timeout: 5000 }, async () => {
+  const { io, url } = await startServer();
+  const client = await joinedThenDropped(io, url, "sid-2");
+  revoked.add("sid-2");
+  try {
+    const outcome = await Promise.race([
+      once(client, "connect_error").then(([err]) => err.message),
+      once(client, "connect").then(() => "connected"),
+    ]);
+    assert.equal(outcome, "session revoked");
+  } finally {
+    client.close();
+    io.close();
+  }
+});
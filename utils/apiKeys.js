@@ -0,0 +1,174 @@
+// utils/apiKeys.js
+const crypto = require("crypto");
+const cluster = require("cluster");
+const { query } = require("../DB/dbConnection");
+const { hashToken } = require("./tokens");
+
+/**
+ * API keys for devices and integrations (dbo.api_keys).
+ *
+ * A key looks like `ak_<12 hex prefix>_<secret>`; only the prefix and the
+ * sha256 of the whole key are stored. Scopes are checked by utils/authz.
+ */
+const DEFAULT_RATE_LIMIT = Number(process.env.API_KEY_RATE_LIMIT) || 120; // per minute
+const KEY_RE = /^ak_([a-f0-9]{12})_([A-Za-z0-9_-]{32,})$/;
+
+function newKey() {
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const raw = `ak_${prefix}_${crypto.randomBytes(32).toString("base64url")}`;
+  return { raw, prefix, hash: hashToken(raw) };
+}
+
+const parseScopes = (v) =>
+  String(v || "")
+    .split(/\s+/)
+    .filter(Boolean);
+
+/**
+ * Stores a new key. Resolves to { id, key } — the raw key is only
+ * available here.
+ */
+async function createApiKey({
+  name,
+  scopes,
+  rateLimit = null,
+  expiresAt = null,
+  createdBy,
+  rotatedFrom = null,
+}) {
+  const k = newKey();
+  const r = await query(
+    `INSERT INTO dbo.api_keys
+       (name, prefix, key_hash, scopes, rate_limit_per_min, expires_at,
+        created_by, rotated_from)
+     OUTPUT INSERTED.id
+     VALUES (@p0, @p1, @p2, @p3, @p4, @p5, @p6, @p7)`,
+    [
+      name,
+      k.prefix,
+      k.hash,
+      scopes.join(" "),
+      rateLimit,
+      expiresAt,
+      createdBy,
+      rotatedFrom,
+    ]
+  );
+  return { id: r.recordset[0].id, key: k.raw, prefix: k.prefix };
+}
+
+/**
+ * Looks up a presented key. Resolves to { id, name, scopes, rate_limit,
+ * created_by } or null when the key is unknown, revoked or expired.
+ */
+async function verifyApiKey(raw) {
+  const m = KEY_RE.exec(String(raw || "").trim());
+  if (!m) return null;
+  const r = await query(
+    `SELECT TOP 1 id, name, key_hash, scopes, rate_limit_per_min, created_by
+       FROM dbo.api_keys
+      WHERE prefix=@p0 AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > SYSUTCDATETIME())`,
+    [m[1]]
+  );
+  const row = r.recordset[0];
+  if (!row) return null;
+  const a = Buffer.from(row.key_hash, "hex");
+  const b = Buffer.from(hashToken(m[0]), "hex");
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    scopes: parseScopes(row.scopes),
+    rate_limit: row.rate_limit_per_min || DEFAULT_RATE_LIMIT,
+    created_by: row.created_by,
+  };
+}
+
+// ---- per-key rate limit (fixed one-minute window) ----
+// In cluster mode (cluster.js) the primary process keeps the counters so a
+// key's limit holds across workers; workers ask it over IPC.
+const windows = new Map();
+
+function countRequest(keyId, limit) {
+  const now = Date.now();
+  const minute = Math.floor(now / 60000);
+  let w = windows.get(keyId);
+  if (!w || w.minute !== minute) {
+    w = { minute, count: 0 };
+    windows.set(keyId, w);
+  }
+  w.count += 1;
+  if (w.count <= limit) return { allowed: true };
+  return {
+    allowed: false,
+    retry_after: Math.ceil(((minute + 1) * 60000 - now) / 1000),
+  };
+}
+
+let lastAsk = 0;
+const pendingAsks = new Map(); // ask id -> resolve
+
+// Resolves to { allowed } or { allowed: false, retry_after }
+function takeRequest(keyId, limit) {
+  if (!cluster.isWorker) return Promise.resolve(countRequest(keyId, limit));
+  return new Promise((resolve) => {
+    const ask = ++lastAsk;
+    // primary not answering: count locally rather than block the request
+    const timer = setTimeout(() => {
+      pendingAsks.delete(ask);
+      resolve(countRequest(keyId, limit));
+    }, 1000);
+    pendingAsks.set(ask, (verdict) => {
+      clearTimeout(timer);
+      resolve(verdict);
+    });
+    process.send({ type: "api_key:take", ask, keyId, limit });
+  });
+}
+
+if (cluster.isWorker) {
+  process.on("message", (msg) => {
+    if (msg?.type !== "api_key:verdict") return;
+    const done = pendingAsks.get(msg.ask);
+    pendingAsks.delete(msg.ask);
+    if (done) done(msg.verdict);
+  });
+}
+
+// Primary side: answers the rate limit questions of one worker
+function serveRateLimits(worker) {
+  worker.on("message", (msg) => {
+    if (msg?.type !== "api_key:take") return;
+    worker.send({
+      type: "api_key:verdict",
+      ask: msg.ask,
+      verdict: countRequest(msg.keyId, msg.limit),
+    });
+  });
+}
+
+// ---- last-used tracking (written at most once a minute per key) ----
+const lastWrite = new Map();
+
+function touchApiKey(keyId, ip) {
+  const now = Date.now();
+  if (now - (lastWrite.get(keyId) || 0) < 60000) return;
+  lastWrite.set(keyId, now);
+  query(
+    `UPDATE dbo.api_keys
+        SET last_used_at = SYSUTCDATETIME(), last_used_ip = @p1
+      WHERE id=@p0`,
+    [keyId, ip || null]
+  ).catch((e) => console.warn("api key touch warning:", e?.message || e));
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMIT,
+  createApiKey,
+  verifyApiKey,
+  takeRequest,
+  serveRateLimits,
+  touchApiKey,
+  parseScopes,
+};
@@ -0,0 +1,65 @@
+// utils/assistantCapabilities.js
+const { query } = require("../DB/dbConnection");
+
+/**
+ * What assistants may do inside an offering (dbo.offering_assistant_capabilities,
+ * one row per offering). Offerings without a row use the defaults from
+ * ASSISTANT_DEFAULT_CAPABILITIES (comma separated, default "view_roster").
+ */
+const CAPABILITIES = [
+  "start_sessions", // start / end lectures
+  "upload_files",
+  "view_roster",
+  "manual_attendance",
+  "view_reports", // /reports/teacher
+  "run_polls", // create / open / close polls and quizzes
+];
+
+const DEFAULT_CAPABILITIES = (
+  process.env.ASSISTANT_DEFAULT_CAPABILITIES ?? "view_roster"
+)
+  .split(",")
+  .map((c) => c.trim())
+  .filter((c) => CAPABILITIES.includes(c));
+
+const columns = CAPABILITIES.join(", ");
+
+async function getAssistantCapabilities(offeringId) {
+  const r = await query(
+    `SELECT ${columns} FROM dbo.offering_assistant_capabilities
+      WHERE offering_id=@p0`,
+    [Number(offeringId)]
+  );
+  const row = r.recordset[0];
+  if (!row) return [...DEFAULT_CAPABILITIES];
+  return CAPABILITIES.filter((c) => row[c]);
+}
+
+/**
+ * Replaces the capability set of an offering.
+ * `capabilities` must only contain names from CAPABILITIES.
+ */
+async function setAssistantCapabilities(offeringId, capabilities, updatedBy) {
+  const flags = CAPABILITIES.map((c) => (capabilities.includes(c) ? 1 : 0));
+  const p = (i) => `@p${i + 2}`;
+  await query(
+    `MERGE dbo.offering_assistant_capabilities AS t
+     USING (SELECT @p0 AS offering_id) AS s
+        ON t.offering_id = s.offering_id
+     WHEN MATCHED THEN
+       UPDATE SET ${CAPABILITIES.map((c, i) => `${c} = ${p(i)}`).join(", ")},
+                  updated_by = @p1, updated_at = SYSUTCDATETIME()
+     WHEN NOT MATCHED THEN
+       INSERT (offering_id, ${columns}, updated_by)
+       VALUES (@p0, ${CAPABILITIES.map((_, i) => p(i)).join(", ")}, @p1);`,
+    [Number(offeringId), updatedBy, ...flags]
+  );
+  return CAPABILITIES.filter((c) => capabilities.includes(c));
+}
+
+module.exports = {
+  CAPABILITIES,
+  DEFAULT_CAPABILITIES,
+  getAssistantCapabilities,
+  setAssistantCapabilities,
+};
@@ -0,0 +1,100 @@
+// utils/attendanceOverrides.js
+const { query } = require("../DB/dbConnection");
+
+/**
+ * Manual attendance by teachers / assistants (attendance:mark). The
+ * student's attendance_records row gets the new status and source
+ * 'manual'; every change is appended to dbo.attendance_overrides with the
+ * values it replaced, so the original check-in is never lost.
+ *
+ * Marking present / late keeps the real check-in time, or uses the session
+ * start when there was none (reports count checked-in rows). A manual row
+ * is not reclassified by a later check-in of the student.
+ */
+const OVERRIDE_STATUSES = ["present", "late", "absent", "excused"];
+const MAX_REASON = 500;
+
+/**
+ * Applies the override in one transaction and resolves to the history row
+ * ({ id, previous_status, new_status, ... }). Pass `run` from
+ * transaction() to make it part of a larger one.
+ */
+async function overrideAttendance(
+  { sessionId, userId, status, reason, changedBy },
+  run = query
+) {
+  const r = await run(
+    `SET XACT_ABORT ON;
+     BEGIN TRAN;
+
+     DECLARE @prev TABLE (status NVARCHAR(10), source NVARCHAR(10),
+                          check_in_at DATETIME2(0), check_out_at DATETIME2(0));
+     INSERT INTO @prev
+     SELECT status, [source], check_in_at, check_out_at
+       FROM dbo.attendance_records WITH (UPDLOCK, HOLDLOCK)
+      WHERE session_id=@p0 AND user_id=@p1;
+
+     DECLARE @start DATETIME2(0) =
+       (SELECT COALESCE(started_at, planned_start_utc)
+          FROM dbo.course_sessions WHERE id=@p0);
+
+     IF EXISTS (SELECT 1 FROM @prev)
+       UPDATE dbo.attendance_records
+          SET status = @p2, [source] = 'manual',
+              check_in_at = CASE WHEN @p2 IN ('present','late')
+                                 THEN COALESCE(check_in_at, @start)
+                                 ELSE check_in_at END
+        WHERE session_id=@p0 AND user_id=@p1;
+     ELSE
+       INSERT INTO dbo.attendance_records
+         (session_id, user_id, check_in_at, status, [source])
+       VALUES (@p0, @p1,
+               CASE WHEN @p2 IN ('present','late') THEN @start END,
+               @p2, 'manual');
+
+     DECLARE @h TABLE (id INT);
+     INSERT INTO dbo.attendance_overrides
+       (session_id, user_id, previous_status, previous_source,
+        previous_check_in_at, previous_check_out_at, new_status, reason, changed_by)
+     OUTPUT INSERTED.id INTO @h(id)
+     SELECT @p0, @p1, p.status, p.source, p.check_in_at, p.check_out_at,
+            @p2, @p3, @p4
+       FROM (SELECT 1 AS one) x
+       LEFT JOIN @prev p ON 1 = 1;
+
+     COMMIT;
+     SELECT o.* FROM dbo.attendance_overrides o JOIN @h h ON h.id = o.id;`,
+    [sessionId, userId, status, reason, changedBy]
+  );
+  return r.recordset[0];
+}
+
+// Change history, newest first; filters: sessionId, userId
+async function listOverrides({ sessionId, userId }) {
+  const where = ["o.session_id=@p0"];
+  const params = [sessionId];
+  if (userId) {
+    where.push(`o.user_id=@p${params.length}`);
+    params.push(userId);
+  }
+  const r = await query(
+    `SELECT o.id, o.session_id, o.user_id, u.name AS student_name,
+            o.previous_status, o.previous_source, o.previous_check_in_at,
+            o.previous_check_out_at, o.new_status, o.reason,
+            o.changed_by, cb.name AS changed_by_name, o.changed_at
+       FROM dbo.attendance_overrides o
+       JOIN dbo.users u ON u.id = o.user_id
+       LEFT JOIN dbo.users cb ON cb.id = o.changed_by
+      WHERE ${where.join(" AND ")}
+      ORDER BY o.changed_at DESC, o.id DESC`,
+    params
+  );
+  return r.recordset;
+}
+
+module.exports = {
+  OVERRIDE_STATUSES,
+  MAX_REASON,
+  overrideAttendance,
+  listOverrides,
+};
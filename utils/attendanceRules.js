@@ -0,0 +1,94 @@
+// utils/attendanceRules.js
+const { query } = require("../DB/dbConnection");
+
+/**
+ * On-time / late / absent classification of a check-in, measured from the
+ * session start (started_at, else planned_start_utc):
+ *   <= on_time_minutes        -> present
+ *   <= absent_after_minutes   -> late
+ *   later                     -> absent (showed up too late to count)
+ *
+ * Per offering in dbo.offering_settings; NULL uses LATE_AFTER_MINUTES
+ * (default 10) / ABSENT_AFTER_MINUTES (default 30). The result is stored
+ * in attendance_records.status when the student checks in.
+ */
+const DEFAULT_ON_TIME_MINUTES = Number(process.env.LATE_AFTER_MINUTES || 10);
+const DEFAULT_ABSENT_AFTER_MINUTES = Number(
+  process.env.ABSENT_AFTER_MINUTES || 30
+);
+const MAX_MINUTES = 240;
+
+async function getAttendanceRules(offeringId) {
+  const r = await query(
+    `SELECT on_time_minutes, absent_after_minutes
+       FROM dbo.offering_settings WHERE offering_id=@p0`,
+    [Number(offeringId)]
+  );
+  const row = r.recordset[0] || {};
+  return {
+    on_time_minutes: row.on_time_minutes ?? DEFAULT_ON_TIME_MINUTES,
+    absent_after_minutes:
+      row.absent_after_minutes ?? DEFAULT_ABSENT_AFTER_MINUTES,
+    custom: {
+      on_time_minutes: row.on_time_minutes ?? null,
+      absent_after_minutes: row.absent_after_minutes ?? null,
+    },
+  };
+}
+
+// null resets a value to the default
+async function setAttendanceRules(
+  offeringId,
+  { onTimeMinutes, absentAfterMinutes },
+  updatedBy
+) {
+  await query(
+    `MERGE dbo.offering_settings AS t
+     USING (SELECT @p0 AS offering_id) AS s
+        ON t.offering_id = s.offering_id
+     WHEN MATCHED THEN
+       UPDATE SET on_time_minutes = @p1, absent_after_minutes = @p2,
+                  updated_by = @p3, updated_at = SYSUTCDATETIME()
+     WHEN NOT MATCHED THEN
+       INSERT (offering_id, on_time_minutes, absent_after_minutes, updated_by)
+       VALUES (@p0, @p1, @p2, @p3);`,
+    [Number(offeringId), onTimeMinutes, absentAfterMinutes, updatedBy]
+  );
+  return getAttendanceRules(offeringId);
+}
+
+/**
+ * Stores the classification of a student's check-in on their
+ * attendance_records row. Resolves to the status, or null when they have
+ * not checked in.
+ */
+async function applyCheckInStatus(sessionId, userId) {
+  const r = await query(
+    `DECLARE @s TABLE (status NVARCHAR(10));
+     UPDATE ar
+        SET status = CASE
+              WHEN ar.[source] = 'manual' THEN ar.status -- set by staff, keep
+              WHEN DATEDIFF(SECOND, COALESCE(cs.started_at, cs.planned_start_utc), ar.check_in_at)
+                   <= 60 * COALESCE(st.on_time_minutes, @p2) THEN 'present'
+              WHEN DATEDIFF(SECOND, COALESCE(cs.started_at, cs.planned_start_utc), ar.check_in_at)
+                   <= 60 * COALESCE(st.absent_after_minutes, @p3) THEN 'late'
+              ELSE 'absent' END
+     OUTPUT INSERTED.status INTO @s(status)
+       FROM dbo.attendance_records ar
+       JOIN dbo.course_sessions cs ON cs.id = ar.session_id
+       LEFT JOIN dbo.offering_settings st ON st.offering_id = cs.offering_id
+      WHERE ar.session_id=@p0 AND ar.user_id=@p1 AND ar.check_in_at IS NOT NULL;
+     SELECT status FROM @s;`,
+    [sessionId, userId, DEFAULT_ON_TIME_MINUTES, DEFAULT_ABSENT_AFTER_MINUTES]
+  );
+  return r.recordset[0]?.status ?? null;
+}
+
+module.exports = {
+  DEFAULT_ON_TIME_MINUTES,
+  DEFAULT_ABSENT_AFTER_MINUTES,
+  MAX_MINUTES,
+  getAttendanceRules,
+  setAttendanceRules,
+  applyCheckInStatus,
+};
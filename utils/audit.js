@@ -0,0 +1,19 @@
+// utils/audit.js
+const { query } = require("../DB/dbConnection");
+
+/**
+ * Appends a row to dbo.audit_logs. Never throws: auditing must not
+ * break the request that triggered it.
+ */
+async function audit(userId, action, meta = null) {
+  try {
+    await query(
+      `INSERT INTO dbo.audit_logs (user_id, action, meta) VALUES (@p0, @p1, @p2)`,
+      [userId ?? null, action, meta == null ? null : JSON.stringify(meta)]
+    );
+  } catch (e) {
+    console.warn("audit log warning:", action, e?.message || e);
+  }
+}
+
+module.exports = { audit };
@@ -0,0 +1,206 @@
+// utils/authSessions.js
+const { query } = require("../DB/dbConnection");
+const { newRefreshToken, hashToken, refreshExpiry } = require("./tokens");
+const { audit } = require("./audit");
+
+/**
+ * One auth session per login (user + device). Each session owns a chain of
+ * refresh tokens; only the newest token in the chain is usable.
+ */
+async function createSession({
+  userId,
+  udid = null,
+  ip = null,
+  userAgent = null,
+}) {
+  const s = await query(
+    `INSERT INTO dbo.auth_sessions (user_id, udid, ip, user_agent)
+     OUTPUT INSERTED.id
+     VALUES (@p0, @p1, @p2, @p3)`,
+    [userId, udid, ip, userAgent ? String(userAgent).slice(0, 300) : null]
+  );
+  const sessionId = s.recordset[0].id;
+
+  const refreshToken = newRefreshToken();
+  const expiresAt = refreshExpiry();
+  await query(
+    `INSERT INTO dbo.refresh_tokens (session_id, token_hash, expires_at)
+     VALUES (@p0, @p1, @p2)`,
+    [sessionId, hashToken(refreshToken), expiresAt]
+  );
+
+  return { sessionId, refreshToken, refreshExpiresAt: expiresAt };
+}
+
+async function revokeSession(sessionId, reason) {
+  const r = await query(
+    `UPDATE dbo.auth_sessions
+        SET revoked_at = SYSUTCDATETIME(), revoked_reason = @p1
+      WHERE id = @p0 AND revoked_at IS NULL;
+     UPDATE dbo.refresh_tokens
+        SET revoked_at = SYSUTCDATETIME(), revoked_reason = @p1
+      WHERE session_id = @p0 AND revoked_at IS NULL;`,
+    [sessionId, reason]
+  );
+  return r.rowsAffected?.[0] || 0;
+}
+
+async function revokeAllForUser(userId, reason) {
+  const r = await query(
+    `UPDATE dbo.auth_sessions
+        SET revoked_at = SYSUTCDATETIME(), revoked_reason = @p1
+      WHERE user_id = @p0 AND revoked_at IS NULL;
+     SELECT @@ROWCOUNT AS revoked;
+     UPDATE rt
+        SET revoked_at = SYSUTCDATETIME(), revoked_reason = @p1
+       FROM dbo.refresh_tokens rt
+       JOIN dbo.auth_sessions s ON s.id = rt.session_id
+      WHERE s.user_id = @p0 AND rt.revoked_at IS NULL;`,
+    [userId, reason]
+  );
+  return r.recordset[0]?.revoked || 0;
+}
+
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Returns true while the session behind an access token is still live.
+ * Also bumps last_seen_at (at most once a minute per session).
+ */
+async function isSessionActive(sessionId) {
+  const r = await query(
+    `SELECT revoked_at, last_seen_at FROM dbo.auth_sessions WHERE id=@p0`,
+    [sessionId]
+  );
+  const S = r.recordset[0];
+  if (!S || S.revoked_at) return false;
+
+  if (Date.now() - new Date(S.last_seen_at).getTime() > TOUCH_INTERVAL_MS) {
+    query(
+      `UPDATE dbo.auth_sessions SET last_seen_at = SYSUTCDATETIME() WHERE id=@p0`,
+      [sessionId]
+    ).catch((e) => console.warn("session touch warning:", e?.message || e));
+  }
+  return true;
+}
+
+// Active = not revoked and still holding an unexpired refresh token
+async function listActiveSessions(userId) {
+  const r = await query(
+    `SELECT s.id, s.udid, s.ip, s.user_agent, s.created_at, s.last_seen_at
+       FROM dbo.auth_sessions s
+      WHERE s.user_id = @p0
+        AND s.revoked_at IS NULL
+        AND EXISTS (
+          SELECT 1 FROM dbo.refresh_tokens rt
+           WHERE rt.session_id = s.id
+             AND rt.revoked_at IS NULL
+             AND rt.expires_at > SYSUTCDATETIME()
+        )
+      ORDER BY s.last_seen_at DESC`,
+    [userId]
+  );
+  return r.recordset;
+}
+
+/**
+ * Notifies and disconnects every live socket in a room
+ * ("session:<sid>" for one login, "user:<id>" for all of them).
+ * Disconnecting drops the socket from user:* and off:* rooms as well.
+ */
+function kickSockets(io, room, reason) {
+  if (!io) return;
+  io.to(room).emit("session_revoked", { reason });
+  io.in(room).disconnectSockets(true);
+}
+
+/**
+ * Exchanges a refresh token for a new one (rotation).
+ * Returns { userId, sessionId, refreshToken, refreshExpiresAt } or
+ * { error } where error is "invalid" | "expired" | "reused".
+ *
+ * Presenting a token that was already rotated means it leaked (or was
+ * replayed): the whole session is revoked.
+ */
+async function rotateRefreshToken(rawToken, { udid = null, ip = null } = {}) {
+  const r = await query(
+    `SELECT rt.id, rt.session_id, rt.expires_at, rt.revoked_at,
+            s.user_id, s.udid, s.revoked_at AS session_revoked_at
+       FROM dbo.refresh_tokens rt
+       JOIN dbo.auth_sessions s ON s.id = rt.session_id
+      WHERE rt.token_hash = @p0`,
+    [hashToken(rawToken)]
+  );
+  if (!r.recordset.length) return { error: "invalid" };
+  const T = r.recordset[0];
+
+  if (T.session_revoked_at) return { error: "invalid" };
+
+  if (T.revoked_at) {
+    await revokeSession(T.session_id, "refresh_token_reuse");
+    await audit(T.user_id, "refresh_token_reuse", {
+      session_id: T.session_id,
+      ip,
+    });
+    return { error: "reused" };
+  }
+
+  if (new Date(T.expires_at).getTime() <= Date.now()) {
+    return { error: "expired" };
+  }
+
+  if (udid && T.udid && udid !== T.udid) return { error: "invalid" };
+
+  const refreshToken = newRefreshToken();
+  const expiresAt = refreshExpiry();
+
+  // The conditional UPDATE makes rotation race-safe: of two concurrent
+  // requests with the same token only one wins, the other counts as reuse.
+  const rot = await query(
+    `UPDATE dbo.refresh_tokens
+        SET revoked_at = SYSUTCDATETIME(), revoked_reason = 'rotated'
+      WHERE id = @p0 AND revoked_at IS NULL;
+
+     IF @@ROWCOUNT = 0
+     BEGIN
+       SELECT CAST(0 AS BIT) AS rotated;
+       RETURN;
+     END
+
+     INSERT INTO dbo.refresh_tokens (session_id, token_hash, expires_at)
+     VALUES (@p1, @p2, @p3);
+
+     UPDATE dbo.auth_sessions
+        SET last_seen_at = SYSUTCDATETIME(), ip = COALESCE(@p4, ip)
+      WHERE id = @p1;
+
+     SELECT CAST(1 AS BIT) AS rotated;`,
+    [T.id, T.session_id, hashToken(refreshToken), expiresAt, ip]
+  );
+
+  if (!rot.recordset[0]?.rotated) {
+    await revokeSession(T.session_id, "refresh_token_reuse");
+    await audit(T.user_id, "refresh_token_reuse", {
+      session_id: T.session_id,
+      ip,
+    });
+    return { error: "reused" };
+  }
+
+  return {
+    userId: T.user_id,
+    sessionId: T.session_id,
+    refreshToken,
+    refreshExpiresAt: expiresAt,
+  };
+}
+
+module.exports = {
+  createSession,
+  revokeSession,
+  revokeAllForUser,
+  rotateRefreshToken,
+  isSessionActive,
+  listActiveSessions,
+  kickSockets,
+};
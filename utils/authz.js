@@ -0,0 +1,280 @@
+// utils/authz.js
+const { query } = require("../DB/dbConnection");
+const { getAssistantCapabilities } = require("./assistantCapabilities");
+
+/**
+ * Authorization policies, one entry per action:
+ *   roles      -> global roles (users.role) that are always allowed
+ *   assignment -> roles in dbo.offering_assignments (or dbo.lecture_assignments
+ *                 for lecture resources) that are allowed for that resource
+ *   capability -> assistants in the offering are allowed when the offering
+ *                 grants them this capability (utils/assistantCapabilities)
+ *   self       -> allowed when resource.user_id is the caller
+ *   scope      -> API key scope that grants the action (see scopeAllows)
+ *   error      -> message for the 403 sent by authorize()
+ *
+ * Routes ask `await can(req.user, "session:start", { offering_id })` or put
+ * `authorize("rooms:manage")` in front of the handler.
+ */
+const ADMIN = ["admin"];
+const EVERYONE = ["student", "teacher", "assistant", "admin"];
+const ASSIGNED = ["student", "teacher", "assistant"];
+
+const adminOnly = { roles: ADMIN, error: "Admin only" };
+
+const POLICIES = {
+  // ---- dashboard areas ----
+  "users:manage": adminOnly,
+  "users:impersonate": adminOnly,
+  "invitations:manage": adminOnly,
+  "api_keys:manage": adminOnly,
+  "devices:manage": adminOnly,
+  "departments:manage": adminOnly,
+  "sections:manage": adminOnly,
+  "courses:manage": adminOnly,
+  "rooms:manage": { ...adminOnly, scope: "rooms:write" },
+  "rooms:read": { ...adminOnly, scope: "rooms:read" },
+  "offerings:manage": adminOnly,
+  "assignments:manage": adminOnly,
+  "scheduler:manage": adminOnly,
+  "sessions:manage": adminOnly,
+  "attendance:report": { ...adminOnly, scope: "attendance:read" },
+  "summary:view": adminOnly,
+
+  // ---- catalogue ----
+  "offerings:browse": { roles: EVERYONE, scope: "offerings:read" },
+
+  // ---- per offering ----
+  "offering:view": {
+    roles: ADMIN,
+    assignment: ASSIGNED,
+    scope: "offerings:read",
+  },
+  "session:start": {
+    roles: ADMIN,
+    assignment: ["teacher"],
+    capability: "start_sessions",
+    scope: "sessions:start",
+  },
+  "session:end": {
+    roles: ADMIN,
+    assignment: ["teacher"],
+    capability: "start_sessions",
+    scope: "sessions:end",
+  },
+  // current rotating attendance code (room displays use a room-scoped key)
+  "session:code": {
+    roles: ADMIN,
+    assignment: ["teacher"],
+    capability: "start_sessions",
+    scope: "sessions:code",
+  },
+  "files:upload": {
+    roles: ADMIN,
+    assignment: ["teacher"],
+    capability: "upload_files",
+  },
+  "files:view": { roles: ADMIN, assignment: ASSIGNED },
+  "attendance:check": { roles: ADMIN, assignment: ASSIGNED },
+  "report:student": { roles: ADMIN, assignment: ["student"] },
+  "report:teacher": {
+    roles: ADMIN,
+    assignment: ["teacher"],
+    capability: "view_reports",
+  },
+  "roster:view": {
+    roles: ADMIN,
+    assignment: ["teacher"],
+    capability: "view_roster",
+    scope: "roster:read",
+  },
+  "attendance:mark": {
+    roles: ADMIN,
+    assignment: ["teacher"],
+    capability: "manual_attendance",
+    scope: "attendance:write",
+  },
+  "poll:manage": {
+    roles: ADMIN,
+    assignment: ["teacher"],
+    capability: "run_polls",
+  },
+  // answering is for the students of the offering only
+  "poll:answer": { assignment: ["student"] },
+  "questions:ask": { assignment: ["student"] },
+  "excuses:submit": { assignment: ["student"] },
+  "excuses:review": { roles: ADMIN, assignment: ["teacher"] },
+  "questions:moderate": {
+    roles: ADMIN,
+    assignment: ["teacher", "assistant"],
+  },
+
+  // ---- per lecture (legacy lecture_assignments) ----
+  "lecture:set-modulation": { roles: ADMIN, assignment: ["teacher"] },
+
+  // ---- per user ----
+  "device:reset": { roles: ADMIN, self: true },
+  "schedule:view": { roles: ADMIN, self: true },
+  "face:enroll": { roles: ADMIN, self: true },
+  "face:verify": { roles: ADMIN, self: true },
+};
+
+const norm = (v) =>
+  String(v || "")
+    .trim()
+    .toLowerCase();
+
+// Role of the user inside an offering (offering_assignments.role) or null
+async function offeringRole(userId, offeringId) {
+  const r = await query(
+    `SELECT TOP 1 role FROM dbo.offering_assignments
+      WHERE offering_id=@p0 AND user_id=@p1`,
+    [Number(offeringId), Number(userId)]
+  );
+  return r.recordset[0] ? norm(r.recordset[0].role) : null;
+}
+
+async function lectureRole(userId, lectureId) {
+  const r = await query(
+    `SELECT TOP 1 role FROM dbo.lecture_assignments
+      WHERE lecture_id=@p0 AND user_id=@p1`,
+    [Number(lectureId), Number(userId)]
+  );
+  return r.recordset[0] ? norm(r.recordset[0].role) : null;
+}
+
+// A route that already loaded the assignment can pass it as
+// resource.assignment_role (and resource.assistant_capabilities) to save
+// the lookups.
+async function assignmentRole(user, resource) {
+  if (resource.assignment_role !== undefined) {
+    return resource.assignment_role ? norm(resource.assignment_role) : null;
+  }
+  if (resource.offering_id != null) {
+    return offeringRole(user.id, resource.offering_id);
+  }
+  if (resource.lecture_id != null) {
+    return lectureRole(user.id, resource.lecture_id);
+  }
+  return null;
+}
+
+const hasRole = (user, ...roles) => !!user && roles.includes(norm(user.role));
+
+// Every scope an API key can be given
+const SCOPES = [
+  ...new Set(
+    Object.values(POLICIES)
+      .map((p) => p.scope)
+      .filter(Boolean)
+  ),
+];
+const SCOPE_TARGETS = ["room", "offering"];
+
+/**
+ * A scope is either plain (`sessions:start`) or narrowed to one room or
+ * offering (`sessions:start:room:12`, `roster:read:offering:7`).
+ */
+function isValidScope(scope) {
+  const base = SCOPES.find(
+    (s) => scope === s || String(scope).startsWith(`${s}:`)
+  );
+  if (!base) return false;
+  if (scope === base) return true;
+  const [target, id, ...rest] = scope.slice(base.length + 1).split(":");
+  return (
+    SCOPE_TARGETS.includes(target) &&
+    /^[1-9][0-9]*$/.test(id || "") &&
+    !rest.length
+  );
+}
+
+function scopeAllows(scopes = [], needed, resource = {}) {
+  if (!needed) return false;
+  return scopes.some((s) => {
+    if (s === needed) return true;
+    if (!s.startsWith(`${needed}:`)) return false;
+    const [target, id] = s.slice(needed.length + 1).split(":");
+    const value = resource[`${target}_id`];
+    return value != null && Number(value) === Number(id);
+  });
+}
+
+/**
+ * Resolves to true when `user` ({ id, role }) may perform `action` on
+ * `resource` ({ offering_id } | { lecture_id } | { user_id } | {}).
+ * Unknown actions throw: a typo must not silently deny (or allow).
+ */
+async function can(user, action, resource = {}) {
+  const policy = POLICIES[action];
+  if (!policy) throw new Error(`Unknown authorization action: ${action}`);
+  if (user && user.api_key_id != null) {
+    return scopeAllows(user.scopes, policy.scope, resource);
+  }
+  if (!user || user.id == null) return false;
+
+  if (policy.roles && hasRole(user, ...policy.roles)) return true;
+
+  if (
+    policy.self &&
+    resource.user_id != null &&
+    Number(resource.user_id) === Number(user.id)
+  ) {
+    return true;
+  }
+
+  if (policy.assignment) {
+    const role = await assignmentRole(user, resource);
+    if (role && policy.assignment.includes(role)) return true;
+    if (role === "assistant" && policy.capability) {
+      const caps =
+        resource.assistant_capabilities ??
+        (await getAssistantCapabilities(resource.offering_id));
+      return caps.includes(policy.capability);
+    }
+  }
+  return false;
+}
+
+/**
+ * Route middleware; use after `auth`.
+ *   router.post("/", auth, authorize("rooms:manage"), handler)
+ *   router.get("/:id", auth, authorize("offering:view", (req) => ({
+ *     offering_id: req.params.id,
+ *   })), handler)
+ */
+function authorize(action, getResource = () => ({})) {
+  if (!POLICIES[action]) {
+    throw new Error(`Unknown authorization action: ${action}`);
+  }
+  return async function authorizeMiddleware(req, res, next) {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ status: false, error: "Unauthorized" });
+      }
+      if (!(await can(req.user, action, getResource(req) || {}))) {
+        return res.status(403).json({
+          status: false,
+          error: POLICIES[action].error || "Forbidden",
+        });
+      }
+      return next();
+    } catch (e) {
+      console.error("authorize error:", action, e?.message || e);
+      return res
+        .status(500)
+        .json({ status: false, error: "Authorization failed" });
+    }
+  };
+}
+
+module.exports = {
+  POLICIES,
+  SCOPES,
+  isValidScope,
+  scopeAllows,
+  can,
+  authorize,
+  hasRole,
+  offeringRole,
+};
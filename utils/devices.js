@@ -0,0 +1,237 @@
+// utils/devices.js
+const { query } = require("../DB/dbConnection");
+
+/**
+ * Device binding (dbo.devices) for non-admin accounts.
+ *
+ * A user may have up to MAX_DEVICES_PER_USER bound devices (default 1).
+ * Logins from a further device open a pending dbo.device_change_requests
+ * row that an admin approves or rejects. Every bind and unbind is written
+ * to dbo.device_history.
+ */
+const MAX_DEVICES_PER_USER = Math.max(
+  1,
+  Number(process.env.MAX_DEVICES_PER_USER) || 1
+);
+
+async function listDevices(userId) {
+  const r = await query(
+    `SELECT id, udid, created_at, last_used_at
+       FROM dbo.devices
+      WHERE user_id=@p0 AND udid IS NOT NULL
+      ORDER BY created_at, id`,
+    [userId]
+  );
+  return r.recordset;
+}
+
+async function recordHistory({
+  userId,
+  udid,
+  action,
+  reason = null,
+  actorId = null,
+  requestId = null,
+}) {
+  await query(
+    `INSERT INTO dbo.device_history
+       (user_id, udid, action, reason, actor_id, request_id)
+     VALUES (@p0, @p1, @p2, @p3, @p4, @p5)`,
+    [userId, udid, action, reason, actorId, requestId]
+  );
+}
+
+async function bindDevice(userId, udid, { reason, actorId, requestId } = {}) {
+  const r = await query(
+    `INSERT INTO dbo.devices (user_id, udid, last_used_at)
+     OUTPUT INSERTED.id
+     VALUES (@p0, @p1, SYSUTCDATETIME())`,
+    [userId, udid]
+  );
+  await recordHistory({
+    userId,
+    udid,
+    action: "bind",
+    reason,
+    actorId,
+    requestId,
+  });
+  return r.recordset[0].id;
+}
+
+/**
+ * Removes one device (`deviceId`) or every device of the user.
+ * Resolves to the removed rows.
+ */
+async function unbindDevices(
+  userId,
+  { deviceId = null, reason, actorId, requestId } = {}
+) {
+  const r = await query(
+    `DECLARE @gone TABLE (id INT, udid NVARCHAR(128));
+     DELETE FROM dbo.devices
+     OUTPUT DELETED.id, DELETED.udid INTO @gone(id, udid)
+      WHERE user_id=@p0 ${deviceId != null ? "AND id=@p1" : ""};
+     SELECT id, udid FROM @gone;`,
+    deviceId != null ? [userId, Number(deviceId)] : [userId]
+  );
+  for (const d of r.recordset) {
+    if (!d.udid) continue;
+    await recordHistory({
+      userId,
+      udid: d.udid,
+      action: "unbind",
+      reason,
+      actorId,
+      requestId,
+    });
+  }
+  return r.recordset;
+}
+
+async function touchDevice(deviceId) {
+  await query(
+    `UPDATE dbo.devices SET last_used_at = SYSUTCDATETIME() WHERE id=@p0`,
+    [deviceId]
+  );
+}
+
+/**
+ * Opens (or returns the already open) request to bind `udid`.
+ */
+async function requestDeviceChange(userId, udid, { ip, userAgent } = {}) {
+  const open = await query(
+    `SELECT TOP 1 id, udid, status, requested_at
+       FROM dbo.device_change_requests
+      WHERE user_id=@p0 AND udid=@p1 AND status='pending'`,
+    [userId, udid]
+  );
+  if (open.recordset.length) return open.recordset[0];
+
+  const r = await query(
+    `INSERT INTO dbo.device_change_requests (user_id, udid, ip, user_agent)
+     OUTPUT INSERTED.id, INSERTED.udid, INSERTED.status, INSERTED.requested_at
+     VALUES (@p0, @p1, @p2, @p3)`,
+    [
+      userId,
+      udid,
+      ip || null,
+      userAgent ? String(userAgent).slice(0, 300) : null,
+    ]
+  );
+  return r.recordset[0];
+}
+
+async function listRequests(userId, { limit = 20 } = {}) {
+  const r = await query(
+    `SELECT TOP (@p1) id, udid, status, requested_at, decided_at, decision_note
+       FROM dbo.device_change_requests
+      WHERE user_id=@p0
+      ORDER BY requested_at DESC, id DESC`,
+    [userId, limit]
+  );
+  return r.recordset;
+}
+
+// The owner withdrawing a request; resolves to false if it is not pending.
+async function cancelRequest(userId, requestId) {
+  const r = await query(
+    `UPDATE dbo.device_change_requests
+        SET status='cancelled', decided_at=SYSUTCDATETIME()
+      WHERE id=@p0 AND user_id=@p1 AND status='pending';
+     SELECT @@ROWCOUNT AS cancelled;`,
+    [requestId, userId]
+  );
+  return r.recordset[0].cancelled > 0;
+}
+
+/**
+ * Result of a login attempt with `udid`:
+ *   { ok: true }                        device is (now) bound
+ *   { ok: false, request }              a device change is pending
+ * With openRequest=false a full device list just yields { ok: false }.
+ */
+async function checkLoginDevice(
+  user,
+  udid,
+  { ip, userAgent, openRequest = true } = {}
+) {
+  const devices = await listDevices(user.id);
+  const known = devices.find((d) => d.udid === udid);
+  if (known) {
+    await touchDevice(known.id);
+    return { ok: true };
+  }
+  if (devices.length < MAX_DEVICES_PER_USER) {
+    await bindDevice(user.id, udid, {
+      reason: devices.length ? "login_under_limit" : "first_login",
+    });
+    return { ok: true };
+  }
+  if (!openRequest) return { ok: false };
+  return {
+    ok: false,
+    request: await requestDeviceChange(user.id, udid, { ip, userAgent }),
+  };
+}
+
+/**
+ * Approves or rejects a pending request. On approval the new device is
+ * bound; when the user is at the limit, `replaceDeviceId` (or else the
+ * least recently used device) is unbound first.
+ * Resolves to null when the request is not pending any more.
+ */
+async function decideDeviceChange(
+  requestId,
+  { approve, adminId, note = null, replaceDeviceId = null }
+) {
+  const claim = await query(
+    `UPDATE dbo.device_change_requests
+        SET status=@p1, decided_by=@p2, decided_at=SYSUTCDATETIME(),
+            decision_note=@p3
+      OUTPUT INSERTED.id, INSERTED.user_id, INSERTED.udid, INSERTED.status
+      WHERE id=@p0 AND status='pending'`,
+    [requestId, approve ? "approved" : "rejected", adminId, note]
+  );
+  const reqRow = claim.recordset[0];
+  if (!reqRow) return null;
+  if (!approve) return { request: reqRow, unbound: [] };
+
+  const ctx = { actorId: adminId, requestId };
+  const devices = await listDevices(reqRow.user_id);
+  let unbound = [];
+  if (!devices.some((d) => d.udid === reqRow.udid)) {
+    if (devices.length >= MAX_DEVICES_PER_USER) {
+      const victim =
+        devices.find((d) => d.id === Number(replaceDeviceId)) ||
+        [...devices].sort(
+          (a, b) =>
+            new Date(a.last_used_at || a.created_at) -
+            new Date(b.last_used_at || b.created_at)
+        )[0];
+      unbound = await unbindDevices(reqRow.user_id, {
+        ...ctx,
+        deviceId: victim.id,
+        reason: "replaced",
+      });
+    }
+    await bindDevice(reqRow.user_id, reqRow.udid, {
+      ...ctx,
+      reason: "request_approved",
+    });
+  }
+
+  return { request: reqRow, unbound };
+}
+
+module.exports = {
+  MAX_DEVICES_PER_USER,
+  listDevices,
+  bindDevice,
+  unbindDevices,
+  checkLoginDevice,
+  requestDeviceChange,
+  listRequests,
+  cancelRequest,
+  decideDeviceChange,
+};
@@ -0,0 +1,63 @@
+// utils/excel.js
+
+/**
+ * Excel helper with optional title row.
+ * - columns: array of { header, key, width }
+ * - rows: array of plain objects from recordset
+ * - title: string shown above the header (merged across all columns)
+ * - sheetName: worksheet name
+ */
+async function sendExcel(
+  res,
+  filename,
+  columns,
+  rows,
+  title = null,
+  sheetName = "Report"
+) {
+  const Excel = require("exceljs");
+  const wb = new Excel.Workbook();
+  const ws = wb.addWorksheet(sheetName);
+
+  // set columns (this creates header row)
+  ws.columns = columns;
+
+  // Insert a title row above header if provided
+  if (title) {
+    ws.spliceRows(1, 0, [title]);
+    ws.mergeCells(1, 1, 1, columns.length);
+    const cell = ws.getCell(1, 1);
+    cell.font = { bold: true, size: 14 };
+    cell.alignment = { vertical: "middle", horizontal: "center" };
+    // spacer row after title
+    ws.spliceRows(2, 0, []);
+  }
+
+  // Add data rows
+  rows.forEach((r) => ws.addRow(r));
+
+  // Optional: Autofilter on header row (accounts for title + spacer)
+  const headerRowIndex = title ? 3 : 1;
+  ws.autoFilter = {
+    from: { row: headerRowIndex, column: 1 },
+    to: { row: headerRowIndex, column: columns.length },
+  };
+
+  // Optional: nice column widths fallback
+  ws.columns.forEach((c) => {
+    if (!c.width)
+      c.width = Math.min(Math.max((c.header || "").length + 5, 12), 40);
+  });
+
+  const safe = filename.replace(/[^a-zA-Z0-9._-]/g, "_") + ".xlsx";
+  res.attachment(safe);
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+
+  await wb.xlsx.write(res);
+  res.end();
+}
+
+module.exports = { sendExcel };
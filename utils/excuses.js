@@ -0,0 +1,253 @@
+// utils/excuses.js
+const { query, transaction } = require("../DB/dbConnection");
+const { overrideAttendance } = require("./attendanceOverrides");
+
+/**
+ * Excused absence requests (dbo.excuses). A student asks for one or more
+ * sessions of an offering (dbo.excuse_sessions) with supporting documents
+ * (dbo.excuse_files, stored under PRIVATE_UPLOAD_DIR/excuses). A teacher of
+ * the offering or an admin approves or rejects it; approving marks the
+ * sessions `excused` through the manual override path, so the change shows
+ * up in the override history and on the live roster.
+ *
+ *   pending -> approved | rejected   (reviewer)
+ *   pending -> withdrawn             (student)
+ *
+ * Only sessions that were held (started or ended) can be excused, and not
+ * the ones the student attended (present / late): approval must not
+ * overwrite real attendance.
+ */
+const MAX_REASON = 1000;
+const MAX_FILES = 5;
+const MAX_SESSIONS = 20;
+
+const EXCUSE_SQL = `
+  SELECT e.id, e.offering_id, e.user_id, u.name AS student_name, u.email,
+         c.name AS course_name, e.reason, e.status, e.submitted_at,
+         e.reviewed_by, rb.name AS reviewed_by_name, e.reviewed_at, e.review_note
+    FROM dbo.excuses e
+    JOIN dbo.users u ON u.id = e.user_id
+    JOIN dbo.course_offerings o ON o.id = e.offering_id
+    JOIN dbo.courses c ON c.id = o.course_id
+    LEFT JOIN dbo.users rb ON rb.id = e.reviewed_by`;
+
+// Parses "1,2,3" or [1, 2, 3] into distinct positive ids
+function parseSessionIds(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+  const ids = list
+    .map((v) => String(v).trim())
+    .filter((v) => v !== "")
+    .map(Number);
+  return ids.every((n) => Number.isInteger(n) && n > 0)
+    ? [...new Set(ids)]
+    : [];
+}
+
+// The ids among `sessionIds` that belong to the offering
+async function sessionsOfOffering(offeringId, sessionIds) {
+  if (!sessionIds.length) return [];
+  const list = sessionIds.map((_, i) => `@p${i + 1}`).join(",");
+  const r = await query(
+    `SELECT id FROM dbo.course_sessions
+      WHERE offering_id=@p0 AND id IN (${list})`,
+    [offeringId, ...sessionIds]
+  );
+  return r.recordset.map((row) => row.id);
+}
+
+/**
+ * Sessions among `sessionIds` that cannot be excused for the student:
+ * [{ session_id, reason: "not_held" | "attended" }]
+ */
+async function unexcusableSessions(userId, sessionIds, run = query) {
+  if (!sessionIds.length) return [];
+  const list = sessionIds.map((_, i) => `@p${i + 1}`).join(",");
+  const r = await run(
+    `SELECT cs.id AS session_id,
+            CASE WHEN cs.status NOT IN ('started','ended') THEN 'not_held'
+                 ELSE 'attended' END AS reason
+       FROM dbo.course_sessions cs
+       LEFT JOIN dbo.attendance_records ar
+              ON ar.session_id = cs.id AND ar.user_id = @p0
+      WHERE cs.id IN (${list})
+        AND (cs.status NOT IN ('started','ended')
+             OR ar.status IN ('present','late'))
+      ORDER BY cs.id`,
+    [userId, ...sessionIds]
+  );
+  return r.recordset;
+}
+
+// Excuse, sessions and files are inserted in one transaction
+async function createExcuse({ offeringId, userId, reason, sessionIds, files }) {
+  const params = [offeringId, userId, reason];
+  const param = (v) => `@p${params.push(v) - 1}`;
+  const sessionRows = sessionIds.map((id) => `(@id, ${param(id)})`);
+  const fileRows = files.map(
+    (f) =>
+      `(@id, ${param(f.originalname || "file")}, ${param(f.filename)},
+        ${param(f.mimetype)}, ${param(f.size)})`
+  );
+  const r = await query(
+    `SET XACT_ABORT ON;
+     BEGIN TRAN;
+
+     DECLARE @n TABLE (id INT);
+     INSERT INTO dbo.excuses (offering_id, user_id, reason)
+     OUTPUT INSERTED.id INTO @n(id)
+     VALUES (@p0, @p1, @p2);
+     DECLARE @id INT = (SELECT id FROM @n);
+
+     INSERT INTO dbo.excuse_sessions (excuse_id, session_id)
+     VALUES ${sessionRows.join(", ")};
+     ${
+       fileRows.length
+         ? `INSERT INTO dbo.excuse_files
+              (excuse_id, original_name, stored_name, mime_type, size_bytes)
+            VALUES ${fileRows.join(", ")};`
+         : ""
+     }
+
+     COMMIT;
+     SELECT @id AS id;`,
+    params
+  );
+  return getExcuse(r.recordset[0].id);
+}
+
+// Excuse with its sessions and files, or null
+async function getExcuse(id) {
+  const r = await query(`${EXCUSE_SQL} WHERE e.id=@p0`, [Number(id)]);
+  const excuse = r.recordset[0];
+  if (!excuse) return null;
+  const sessions = await query(
+    `SELECT cs.id AS session_id, cs.planned_start_utc, cs.status
+       FROM dbo.excuse_sessions es
+       JOIN dbo.course_sessions cs ON cs.id = es.session_id
+      WHERE es.excuse_id=@p0
+      ORDER BY cs.planned_start_utc`,
+    [excuse.id]
+  );
+  const files = await query(
+    `SELECT id, original_name, mime_type, size_bytes, uploaded_at
+       FROM dbo.excuse_files WHERE excuse_id=@p0 ORDER BY id`,
+    [excuse.id]
+  );
+  return { ...excuse, sessions: sessions.recordset, files: files.recordset };
+}
+
+/**
+ * Filters: offeringId, userId, status. Without userId only callers that
+ * passed a reviewer check may list, by setting `everyone`.
+ */
+async function listExcuses({ offeringId, userId, status, everyone = false }) {
+  if (userId == null && !everyone) return [];
+  const where = [];
+  const params = [];
+  for (const [col, value] of [
+    ["e.offering_id", offeringId],
+    ["e.user_id", userId],
+    ["e.status", status],
+  ]) {
+    if (value == null) continue;
+    where.push(`${col}=@p${params.length}`);
+    params.push(value);
+  }
+  const r = await query(
+    `${EXCUSE_SQL}
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY CASE WHEN e.status='pending' THEN 0 ELSE 1 END,
+               e.submitted_at DESC`,
+    params
+  );
+  return r.recordset;
+}
+
+async function getExcuseFile(excuseId, fileId) {
+  const r = await query(
+    `SELECT id, original_name, stored_name, mime_type
+       FROM dbo.excuse_files WHERE excuse_id=@p0 AND id=@p1`,
+    [Number(excuseId), Number(fileId)]
+  );
+  return r.recordset[0] || null;
+}
+
+/**
+ * Moves a pending excuse to `status`. Resolves to false when it was not
+ * pending any more (someone else reviewed it first).
+ */
+async function setExcuseStatus(
+  id,
+  status,
+  { reviewedBy = null, note = null } = {},
+  run = query
+) {
+  const r = await run(
+    `UPDATE dbo.excuses
+        SET status=@p1, reviewed_by=@p2, reviewed_at=SYSUTCDATETIME(),
+            review_note=@p3
+      WHERE id=@p0 AND status='pending';
+     SELECT @@ROWCOUNT AS affected;`,
+    [Number(id), status, reviewedBy, note]
+  );
+  return r.recordset[0].affected > 0;
+}
+
+/**
+ * Approves or rejects a pending excuse. Approving marks its sessions
+ * excused in the same transaction, so a failure leaves the excuse pending
+ * and a reviewer can retry. Sessions the student attended in the meantime
+ * keep their status. Resolves to { ok, excused: [session_id] }; ok is
+ * false when the excuse was not pending.
+ */
+async function reviewExcuse(excuse, status, { reviewedBy, note }) {
+  return transaction(async (run) => {
+    const ok = await setExcuseStatus(
+      excuse.id,
+      status,
+      { reviewedBy, note },
+      run
+    );
+    if (!ok || status !== "approved") return { ok, excused: [] };
+
+    const blocked = await unexcusableSessions(
+      excuse.user_id,
+      excuse.sessions.map((s) => s.session_id),
+      run
+    );
+    const attended = new Set(
+      blocked.filter((b) => b.reason === "attended").map((b) => b.session_id)
+    );
+    const excused = [];
+    for (const s of excuse.sessions) {
+      if (attended.has(s.session_id)) continue;
+      await overrideAttendance(
+        {
+          sessionId: s.session_id,
+          userId: excuse.user_id,
+          status: "excused",
+          reason: `Excuse #${excuse.id} approved`,
+          changedBy: reviewedBy,
+        },
+        run
+      );
+      excused.push(s.session_id);
+    }
+    return { ok, excused };
+  });
+}
+
+module.exports = {
+  MAX_REASON,
+  MAX_FILES,
+  MAX_SESSIONS,
+  parseSessionIds,
+  sessionsOfOffering,
+  unexcusableSessions,
+  createExcuse,
+  getExcuse,
+  listExcuses,
+  getExcuseFile,
+  setExcuseStatus,
+  reviewExcuse,
+};
@@ -0,0 +1,127 @@
+// utils/impersonation.js
+const { query } = require("../DB/dbConnection");
+const { signImpersonationToken } = require("./tokens");
+const { audit } = require("./audit");
+
+/**
+ * "View as user": an admin gets a short-lived token for another account
+ * (dbo.impersonation_grants). Requests made with it are authorized as the
+ * target user, logged to dbo.audit_logs under the admin's id and, unless
+ * the grant allows writes, limited to reads. The grant lives no longer
+ * than the admin's own login session (admin_sid).
+ */
+const DEFAULT_MINUTES = 15;
+const MAX_MINUTES = 60;
+
+// POST endpoints that only read; everything else non-GET is a write
+const READ_ONLY_POSTS = new Set([
+  "/offering-assignments/my-week",
+  "/lecture-assignments/my-week",
+  "/lecture-sessions/list",
+  "/lecture-sessions/by-course-id",
+]);
+
+function isReadRequest(req) {
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return true;
+  const path = (req.originalUrl || req.url || "").split("?")[0];
+  return req.method === "POST" && READ_ONLY_POSTS.has(path.replace(/\/$/, ""));
+}
+
+async function startImpersonation({
+  admin,
+  adminSid,
+  target,
+  reason,
+  minutes = DEFAULT_MINUTES,
+  readOnly = true,
+  ip = null,
+}) {
+  const r = await query(
+    `DECLARE @g TABLE (id UNIQUEIDENTIFIER, expires_at DATETIME2(0));
+     INSERT INTO dbo.impersonation_grants
+       (admin_id, admin_sid, target_user_id, reason, read_only, ip, expires_at)
+     OUTPUT INSERTED.id, INSERTED.expires_at INTO @g(id, expires_at)
+     VALUES (@p0, @p6, @p1, @p2, @p3, @p4, DATEADD(MINUTE, @p5, SYSUTCDATETIME()));
+     SELECT id, expires_at FROM @g;`,
+    [admin.id, target.id, reason, readOnly ? 1 : 0, ip, minutes, adminSid]
+  );
+  const grant = r.recordset[0];
+  const { token, expires_in } = signImpersonationToken(target, {
+    grantId: grant.id,
+    actorId: admin.id,
+    readOnly,
+    ttlSec: minutes * 60,
+  });
+  await audit(admin.id, "impersonation_started", {
+    grant_id: grant.id,
+    target_user_id: target.id,
+    reason,
+    minutes,
+    read_only: readOnly,
+  });
+  return {
+    grant_id: grant.id,
+    expires_at: grant.expires_at,
+    token,
+    expires_in,
+  };
+}
+
+// Also false once the admin's session is logged out or revoked
+async function isGrantActive(grantId) {
+  const r = await query(
+    `SELECT 1 AS ok
+       FROM dbo.impersonation_grants g
+       JOIN dbo.auth_sessions s ON s.id = g.admin_sid AND s.revoked_at IS NULL
+      WHERE g.id = TRY_CONVERT(UNIQUEIDENTIFIER, @p0)
+        AND g.revoked_at IS NULL AND g.expires_at > SYSUTCDATETIME()`,
+    [String(grantId)]
+  );
+  return r.recordset.length > 0;
+}
+
+// Resolves to the ended grant ({ admin_id, target_user_id }) or null
+async function endImpersonation(grantId, endedBy) {
+  const r = await query(
+    `DECLARE @g TABLE (admin_id INT, target_user_id INT);
+     UPDATE dbo.impersonation_grants
+        SET revoked_at = SYSUTCDATETIME(), revoked_by = @p1
+     OUTPUT INSERTED.admin_id, INSERTED.target_user_id INTO @g
+      WHERE id = TRY_CONVERT(UNIQUEIDENTIFIER, @p0) AND revoked_at IS NULL;
+     SELECT admin_id, target_user_id FROM @g;`,
+    [String(grantId), endedBy]
+  );
+  const row = r.recordset[0] || null;
+  if (row) {
+    await audit(endedBy, "impersonation_ended", {
+      grant_id: grantId,
+      admin_id: row.admin_id,
+      target_user_id: row.target_user_id,
+    });
+  }
+  return row;
+}
+
+// One audit row per impersonated request, written when the response is sent
+function logImpersonatedRequest(req, res) {
+  const { impersonator, grantId } = req.auth;
+  res.on("finish", () => {
+    audit(impersonator, "impersonated_request", {
+      grant_id: grantId,
+      target_user_id: req.auth.id,
+      method: req.method,
+      path: (req.originalUrl || "").split("?")[0],
+      status: res.statusCode,
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_MINUTES,
+  MAX_MINUTES,
+  isReadRequest,
+  startImpersonation,
+  isGrantActive,
+  endImpersonation,
+  logImpersonatedRequest,
+};
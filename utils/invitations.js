@@ -0,0 +1,153 @@
+// utils/invitations.js
+const crypto = require("crypto");
+const { query } = require("../DB/dbConnection");
+const { hashToken } = require("./tokens");
+
+/**
+ * Invitation codes for self-registration (dbo.invitation_codes).
+ * Each code is bound to a department + level (+ role) and may be used
+ * max_uses times until expires_at. Only a hash and the last 4 characters
+ * are stored; the full codes are shown once when they are generated.
+ */
+
+// No 0/O/1/I so codes survive being read aloud or copied from paper
+const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const normCode = (code) =>
+  String(code || "")
+    .toUpperCase()
+    .replace(/[\s-]/g, "");
+
+function newCode() {
+  let raw = "";
+  for (let i = 0; i < 10; i++) raw += ALPHABET[crypto.randomInt(32)];
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+}
+
+/**
+ * Generates `count` codes in one batch. Returns { batch_id, codes }.
+ */
+async function createInvitations({
+  departmentId,
+  levelId,
+  role = "student",
+  count = 1,
+  maxUses = 1,
+  expiresAt = null,
+  note = null,
+  createdBy,
+}) {
+  const codes = Array.from({ length: count }, newCode);
+
+  const base = [
+    departmentId,
+    levelId,
+    role,
+    maxUses,
+    expiresAt,
+    note,
+    createdBy,
+  ];
+  const rows = codes
+    .map((_, i) => {
+      const h = base.length + i * 2;
+      return `(@p${h}, @p${h + 1}, @p0, @p1, @p2, @p3, @p4, @p5, @p6, @batch)`;
+    })
+    .join(",\n       ");
+
+  const r = await query(
+    `DECLARE @batch UNIQUEIDENTIFIER = NEWID();
+     INSERT INTO dbo.invitation_codes
+       (code_hash, code_hint, department_id, level_id, role, max_uses,
+        expires_at, note, created_by, batch_id)
+     VALUES
+       ${rows};
+     SELECT @batch AS batch_id;`,
+    [
+      ...base,
+      ...codes.flatMap((c) => [hashToken(normCode(c)), normCode(c).slice(-4)]),
+    ]
+  );
+  return { batch_id: r.recordset[0].batch_id, codes };
+}
+
+// Active invitation for a code the user typed, or null
+async function findActiveInvitation(code) {
+  const r = await query(
+    `SELECT id, department_id, level_id, role, max_uses, uses, expires_at
+       FROM dbo.invitation_codes
+      WHERE code_hash=@p0 AND revoked_at IS NULL AND uses < max_uses
+        AND (expires_at IS NULL OR expires_at > SYSUTCDATETIME())`,
+    [hashToken(normCode(code))]
+  );
+  return r.recordset[0] || null;
+}
+
+/**
+ * Claims one use of the invitation and creates the user in a single
+ * transaction: if the code was used up in the meantime nothing is
+ * inserted, and a failed insert (e.g. duplicate email) gives the use back.
+ * Resolves to the new user id, or null when the invitation is no longer
+ * usable. Duplicate-email errors are rethrown (2627/2601).
+ */
+async function redeemInvitation(invitationId, user, ip) {
+  const r = await query(
+    `SET XACT_ABORT ON;
+     BEGIN TRAN;
+
+     IF NOT EXISTS (
+       SELECT 1 FROM dbo.invitation_codes WITH (UPDLOCK, ROWLOCK)
+        WHERE id=@p0 AND revoked_at IS NULL AND uses < max_uses
+          AND (expires_at IS NULL OR expires_at > SYSUTCDATETIME())
+     )
+     BEGIN
+       ROLLBACK;
+       SELECT CAST(NULL AS INT) AS user_id;
+       RETURN;
+     END
+
+     UPDATE dbo.invitation_codes SET uses = uses + 1 WHERE id=@p0;
+
+     DECLARE @now DATETIME2 = SYSUTCDATETIME();
+     DECLARE @new TABLE (id INT);
+     INSERT INTO dbo.users
+       (name, email, password_hash, role,
+        department, [section], group_name,
+        department_id, level_id, section_id, group_id,
+        force_password_change, created_at, updated_at)
+     OUTPUT INSERTED.id INTO @new
+     VALUES
+       (@p1, @p2, @p3, @p4,
+        @p5, @p6, @p7,
+        @p8, @p9, @p10, @p11,
+        0, @now, @now);
+
+     INSERT INTO dbo.invitation_redemptions (invitation_id, user_id, ip)
+     SELECT @p0, id, @p12 FROM @new;
+
+     COMMIT;
+     SELECT id AS user_id FROM @new;`,
+    [
+      invitationId,
+      user.name,
+      user.email,
+      user.password_hash,
+      user.role,
+      user.department,
+      user.section,
+      user.group_name,
+      user.department_id,
+      user.level_id,
+      user.section_id,
+      user.group_id,
+      ip || null,
+    ]
+  );
+  return r.recordset[0]?.user_id ?? null;
+}
+
+module.exports = {
+  createInvitations,
+  findActiveInvitation,
+  redeemInvitation,
+};
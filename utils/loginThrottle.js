@@ -0,0 +1,168 @@
+// utils/loginThrottle.js
+const { query } = require("../DB/dbConnection");
+
+// Tunables (minutes / counts / seconds)
+const WINDOW_MINUTES = Number(process.env.THROTTLE_WINDOW_MINUTES || 15);
+const FREE_ATTEMPTS = Number(process.env.THROTTLE_FREE_ATTEMPTS || 3);
+const MAX_DELAY_SECONDS = Number(process.env.THROTTLE_MAX_DELAY_SECONDS || 60);
+const ACCOUNT_LOCK_FAILURES = Number(process.env.ACCOUNT_LOCK_FAILURES || 10);
+const IP_LOCK_FAILURES = Number(process.env.IP_LOCK_FAILURES || 50);
+const LOCKOUT_MINUTES = Number(process.env.LOCKOUT_MINUTES || 15);
+
+const normEmail = (email) =>
+  String(email || "")
+    .trim()
+    .toLowerCase();
+
+// Failures for this account since its last success, inside the window
+async function accountFailures(kind, email) {
+  const r = await query(
+    `SELECT COUNT(*) AS failures, MAX(created_at) AS last_failure
+       FROM dbo.auth_attempts
+      WHERE kind=@p0 AND email=@p1 AND success=0
+        AND created_at > DATEADD(MINUTE, -@p2, SYSUTCDATETIME())
+        AND created_at > ISNULL((
+              SELECT MAX(created_at) FROM dbo.auth_attempts
+               WHERE kind=@p0 AND email=@p1 AND success=1
+            ), '1900-01-01')`,
+    [kind, email, WINDOW_MINUTES]
+  );
+  return r.recordset[0] || { failures: 0, last_failure: null };
+}
+
+async function ipFailures(ip) {
+  const r = await query(
+    `SELECT COUNT(*) AS failures
+       FROM dbo.auth_attempts
+      WHERE ip=@p0 AND success=0
+        AND created_at > DATEADD(MINUTE, -@p1, SYSUTCDATETIME())`,
+    [ip, WINDOW_MINUTES]
+  );
+  return r.recordset[0]?.failures || 0;
+}
+
+function delayFor(failures) {
+  if (failures < FREE_ATTEMPTS) return 0;
+  return Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Call before checking credentials.
+ * Returns { allowed: true } or { allowed: false, reason, retry_after }
+ * where reason is "locked" (temporary lockout) or "slow_down"
+ * (progressive delay after repeated failures).
+ */
+async function checkThrottle({ kind, email, ip }) {
+  // no email (e.g. reset link with an unknown token): by IP only
+  const key = normEmail(email);
+
+  const lock = await query(
+    `SELECT TOP 1 DATEDIFF(SECOND, SYSUTCDATETIME(), locked_until) AS remaining
+       FROM dbo.auth_lockouts
+      WHERE cleared_at IS NULL
+        AND locked_until > SYSUTCDATETIME()
+        AND ((scope='account' AND [key]=@p0 AND @p0 <> '')
+             OR (scope='ip' AND [key]=@p1))
+      ORDER BY locked_until DESC`,
+    [key, ip || ""]
+  );
+  if (lock.recordset.length) {
+    return {
+      allowed: false,
+      reason: "locked",
+      retry_after: Math.max(1, lock.recordset[0].remaining),
+    };
+  }
+
+  if (!key) return { allowed: true };
+  const { failures, last_failure } = await accountFailures(kind, key);
+  const delay = delayFor(failures);
+  if (delay && last_failure) {
+    const waitUntil = new Date(last_failure).getTime() + delay * 1000;
+    if (waitUntil > Date.now()) {
+      return {
+        allowed: false,
+        reason: "slow_down",
+        retry_after: Math.ceil((waitUntil - Date.now()) / 1000),
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+async function lock(scope, key, { kind, userId = null, failures }) {
+  await query(
+    `IF NOT EXISTS (
+       SELECT 1 FROM dbo.auth_lockouts
+        WHERE scope=@p0 AND [key]=@p1 AND cleared_at IS NULL
+          AND locked_until > SYSUTCDATETIME()
+     )
+       INSERT INTO dbo.auth_lockouts (scope, [key], user_id, kind, failures, locked_until)
+       VALUES (@p0, @p1, @p2, @p3, @p4, DATEADD(MINUTE, @p5, SYSUTCDATETIME()));`,
+    [scope, key, userId, kind, failures, LOCKOUT_MINUTES]
+  );
+}
+
+/**
+ * Records every attempt (success or failure). Failures may place the
+ * account and/or the source IP under a temporary lockout.
+ * Never throws: throttling bookkeeping must not break login.
+ */
+async function recordAttempt({
+  kind,
+  email,
+  ip,
+  userId = null,
+  userAgent = null,
+  success,
+  reason = null,
+}) {
+  try {
+    const key = normEmail(email);
+    await query(
+      `INSERT INTO dbo.auth_attempts (kind, email, user_id, ip, user_agent, success, reason)
+       VALUES (@p0, @p1, @p2, @p3, @p4, @p5, @p6)`,
+      [
+        kind,
+        key,
+        userId,
+        ip || null,
+        userAgent ? String(userAgent).slice(0, 300) : null,
+        success ? 1 : 0,
+        reason,
+      ]
+    );
+    if (success) return;
+
+    if (key) {
+      const { failures } = await accountFailures(kind, key);
+      if (failures >= ACCOUNT_LOCK_FAILURES) {
+        await lock("account", key, { kind, userId, failures });
+      }
+    }
+    if (ip) {
+      const fromIp = await ipFailures(ip);
+      if (fromIp >= IP_LOCK_FAILURES) {
+        await lock("ip", ip, { kind, failures: fromIp });
+      }
+    }
+  } catch (e) {
+    console.warn("auth attempt log warning:", e?.message || e);
+  }
+}
+
+// Shared 429 response for throttled requests
+function sendThrottled(res, verdict) {
+  res.set("Retry-After", String(verdict.retry_after));
+  return res.status(429).json({
+    status: false,
+    error:
+      verdict.reason === "locked"
+        ? "Too many failed attempts. Temporarily locked."
+        : "Too many failed attempts. Slow down.",
+    retry_after: verdict.retry_after,
+  });
+}
+
+module.exports = { checkThrottle, recordAttempt, sendThrottled, normEmail };
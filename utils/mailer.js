@@ -0,0 +1,132 @@
+// utils/mailer.js
+const nodemailer = require("nodemailer");
+const { query } = require("../DB/dbConnection");
+
+/**
+ * Mail goes through dbo.mail_outbox: every message is stored first, then
+ * handed to the configured transport. Failed deliveries stay in the outbox
+ * and are retried by flushOutbox().
+ *
+ * MAIL_TRANSPORT selects the transport:
+ *   smtp (default) -> MAIL_SMTP_HOST / MAIL_SMTP_PORT / MAIL_SMTP_USER / MAIL_SMTP_PASS
+ *                     (in development point it at a local catch-all such as
+ *                      MailHog/Mailpit on localhost:1025)
+ *   log            -> prints messages to the console, sends nothing
+ * Other transports can be added with registerTransport(name, factory).
+ *
+ * Messages queued with `sensitive: true` (reset codes, ...) keep only
+ * recipient and subject once delivered or given up on.
+ */
+const MAIL_FROM =
+  process.env.MAIL_FROM || "SmartClassroom <no-reply@localhost>";
+const MAX_ATTEMPTS = 5;
+const REDACTED = "[redacted after delivery]";
+
+const factories = {
+  smtp: () =>
+    nodemailer.createTransport({
+      host: process.env.MAIL_SMTP_HOST || "localhost",
+      port: Number(process.env.MAIL_SMTP_PORT || 1025),
+      secure: process.env.MAIL_SMTP_SECURE === "true",
+      auth: process.env.MAIL_SMTP_USER
+        ? {
+            user: process.env.MAIL_SMTP_USER,
+            pass: process.env.MAIL_SMTP_PASS,
+          }
+        : undefined,
+    }),
+  log: () => ({
+    sendMail: async (msg) => {
+      console.log("[MAIL]", msg.to, "|", msg.subject, "\n" + msg.text);
+      return { messageId: `log-${Date.now()}` };
+    },
+  }),
+};
+
+let transport = null;
+
+// factory() must return an object with sendMail(message) -> Promise
+function registerTransport(name, factory) {
+  factories[name] = factory;
+  transport = null;
+}
+
+function getTransport() {
+  if (!transport) {
+    const name = (process.env.MAIL_TRANSPORT || "smtp").toLowerCase();
+    const factory = factories[name];
+    if (!factory) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    transport = factory();
+  }
+  return transport;
+}
+
+async function deliver(row) {
+  try {
+    await getTransport().sendMail({
+      from: MAIL_FROM,
+      to: row.to_address,
+      subject: row.subject,
+      text: row.body_text,
+      html: row.body_html || undefined,
+    });
+    await query(
+      `UPDATE dbo.mail_outbox
+          SET sent_at = SYSUTCDATETIME(), attempts = attempts + 1, last_error = NULL,
+              body_text = CASE WHEN sensitive = 1 THEN @p1 ELSE body_text END,
+              body_html = CASE WHEN sensitive = 1 THEN NULL ELSE body_html END
+        WHERE id=@p0`,
+      [row.id, REDACTED]
+    );
+    return true;
+  } catch (e) {
+    console.error("mail delivery error:", e?.message || e);
+    // the last failed try also drops a sensitive body
+    await query(
+      `UPDATE dbo.mail_outbox
+          SET attempts = attempts + 1, last_error = @p1,
+              body_text = CASE WHEN sensitive = 1 AND attempts + 1 >= @p2
+                               THEN @p3 ELSE body_text END,
+              body_html = CASE WHEN sensitive = 1 AND attempts + 1 >= @p2
+                               THEN NULL ELSE body_html END
+        WHERE id=@p0`,
+      [row.id, String(e?.message || e).slice(0, 500), MAX_ATTEMPTS, REDACTED]
+    );
+    return false;
+  }
+}
+
+/**
+ * Queues a message and tries to deliver it right away.
+ * Resolves to { id, sent } — a failed send is not an error for the caller.
+ */
+async function sendMail({ to, subject, text, html = null, sensitive = false }) {
+  const r = await query(
+    `INSERT INTO dbo.mail_outbox (to_address, subject, body_text, body_html, sensitive)
+     OUTPUT INSERTED.id, INSERTED.to_address, INSERTED.subject,
+            INSERTED.body_text, INSERTED.body_html
+     VALUES (@p0, @p1, @p2, @p3, @p4)`,
+    [to, subject, text, html, sensitive ? 1 : 0]
+  );
+  const row = r.recordset[0];
+  const sent = await deliver(row);
+  return { id: row.id, sent };
+}
+
+// Retries unsent messages (called periodically from index.js)
+async function flushOutbox(limit = 20) {
+  const r = await query(
+    `SELECT TOP (@p0) id, to_address, subject, body_text, body_html
+       FROM dbo.mail_outbox
+      WHERE sent_at IS NULL AND attempts < @p1
+      ORDER BY id ASC`,
+    [limit, MAX_ATTEMPTS]
+  );
+  let sent = 0;
+  for (const row of r.recordset) {
+    if (await deliver(row)) sent += 1;
+  }
+  return sent;
+}
+
+module.exports = { sendMail, flushOutbox, registerTransport };
@@ -0,0 +1,186 @@
+// utils/mfa.js
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const { query } = require("../DB/dbConnection");
+const { hashToken } = require("./tokens");
+const {
+  generateSecret,
+  verifyCode,
+  otpauthUrl,
+  sealSecret,
+  openSecret,
+  base32Encode,
+} = require("./totp");
+
+/**
+ * TOTP second factor for admin accounts (dbo.user_mfa + dbo.user_recovery_codes).
+ *
+ * Enrollment is optional until ADMIN_2FA_ENFORCE_FROM (ISO date/time);
+ * from then on an admin without 2FA must enroll before receiving a session.
+ * ADMIN_2FA_ENFORCE_FROM unset -> optional forever.
+ */
+const ISSUER = process.env.TOTP_ISSUER || "SmartClassroom";
+const RECOVERY_CODE_COUNT = 10;
+const ENFORCE_FROM = process.env.ADMIN_2FA_ENFORCE_FROM
+  ? new Date(process.env.ADMIN_2FA_ENFORCE_FROM)
+  : null;
+
+const appliesTo = (user) => String(user?.role).toLowerCase() === "admin";
+
+function isEnforced(now = new Date()) {
+  return !!ENFORCE_FROM && !isNaN(ENFORCE_FROM) && now >= ENFORCE_FROM;
+}
+
+async function getMfa(userId) {
+  const r = await query(
+    `SELECT user_id, secret_enc, enabled_at, last_used_step
+       FROM dbo.user_mfa WHERE user_id=@p0`,
+    [userId]
+  );
+  return r.recordset[0] || null;
+}
+
+const isEnabled = (row) => !!row?.enabled_at;
+
+/**
+ * Creates (or replaces) a pending secret for the user and returns what the
+ * authenticator app needs. Not active until confirmEnrollment().
+ */
+async function startEnrollment(user) {
+  const secret = generateSecret();
+  await query(
+    `IF EXISTS (SELECT 1 FROM dbo.user_mfa WHERE user_id=@p0)
+       UPDATE dbo.user_mfa
+          SET secret_enc=@p1, enabled_at=NULL, last_used_step=NULL,
+              updated_at=SYSUTCDATETIME()
+        WHERE user_id=@p0
+     ELSE
+       INSERT INTO dbo.user_mfa (user_id, secret_enc) VALUES (@p0, @p1);`,
+    [user.id, sealSecret(secret)]
+  );
+  const url = otpauthUrl({ secret, account: user.email, issuer: ISSUER });
+  return {
+    secret,
+    otpauth_url: url,
+    qr_data_url: await QRCode.toDataURL(url),
+  };
+}
+
+// 10 random codes like "k3v9q-7xm2p"; only hashes are kept
+const normRecovery = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[\s-]/g, "");
+
+async function replaceRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const values = codes.map((_, i) => `(@p0, @p${i + 1})`).join(", ");
+  await query(
+    `DELETE FROM dbo.user_recovery_codes WHERE user_id=@p0;
+     INSERT INTO dbo.user_recovery_codes (user_id, code_hash) VALUES ${values};`,
+    [userId, ...codes.map((c) => hashToken(normRecovery(c)))]
+  );
+  return codes;
+}
+
+// Atomically records the step so a code works once (no replay)
+async function useStep(userId, step) {
+  const r = await query(
+    `UPDATE dbo.user_mfa
+        SET last_used_step=@p1, updated_at=SYSUTCDATETIME()
+      WHERE user_id=@p0 AND (last_used_step IS NULL OR last_used_step < @p1);
+     SELECT @@ROWCOUNT AS affected;`,
+    [userId, step]
+  );
+  return r.recordset[0].affected === 1;
+}
+
+/**
+ * Activates a pending secret once the user proves their app produces it.
+ * Returns { ok: true, recovery_codes } or { ok: false, reason }.
+ */
+async function confirmEnrollment(userId, code) {
+  const row = await getMfa(userId);
+  if (!row) return { ok: false, reason: "not_started" };
+  if (isEnabled(row)) return { ok: false, reason: "already_enabled" };
+
+  const step = verifyCode(openSecret(row.secret_enc), code);
+  if (step === null || !(await useStep(userId, step))) {
+    return { ok: false, reason: "invalid_code" };
+  }
+
+  await query(
+    `UPDATE dbo.user_mfa
+        SET enabled_at=SYSUTCDATETIME(), updated_at=SYSUTCDATETIME()
+      WHERE user_id=@p0`,
+    [userId]
+  );
+  return { ok: true, recovery_codes: await replaceRecoveryCodes(userId) };
+}
+
+/**
+ * Second-factor check: a TOTP code or one unused recovery code.
+ * Returns { ok, method } where method is "totp" | "recovery".
+ */
+async function verifySecondFactor(userId, { code, recovery_code }) {
+  const row = await getMfa(userId);
+  if (!isEnabled(row)) return { ok: false };
+
+  if (code) {
+    const step = verifyCode(openSecret(row.secret_enc), code, {
+      afterStep: row.last_used_step ?? null,
+    });
+    if (step !== null && (await useStep(userId, step))) {
+      return { ok: true, method: "totp" };
+    }
+    return { ok: false };
+  }
+
+  if (recovery_code) {
+    const r = await query(
+      `UPDATE dbo.user_recovery_codes
+          SET used_at=SYSUTCDATETIME()
+        WHERE user_id=@p0 AND code_hash=@p1 AND used_at IS NULL;
+       SELECT @@ROWCOUNT AS affected;`,
+      [userId, hashToken(normRecovery(recovery_code))]
+    );
+    if (r.recordset[0].affected === 1) return { ok: true, method: "recovery" };
+  }
+  return { ok: false };
+}
+
+async function disableMfa(userId) {
+  const r = await query(
+    `DELETE FROM dbo.user_recovery_codes WHERE user_id=@p0;
+     DELETE FROM dbo.user_mfa WHERE user_id=@p0;
+     SELECT @@ROWCOUNT AS removed;`,
+    [userId]
+  );
+  return r.recordset[0].removed > 0;
+}
+
+async function remainingRecoveryCodes(userId) {
+  const r = await query(
+    `SELECT COUNT(*) AS n FROM dbo.user_recovery_codes
+      WHERE user_id=@p0 AND used_at IS NULL`,
+    [userId]
+  );
+  return r.recordset[0].n;
+}
+
+module.exports = {
+  appliesTo,
+  isEnforced,
+  getMfa,
+  isEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  remainingRecoveryCodes,
+  disableMfa,
+};
@@ -0,0 +1,123 @@
+// utils/offeringEvents.js
+const { query } = require("../DB/dbConnection");
+
+/**
+ * Per-offering event log (dbo.offering_events). Every lecture / attendance
+ * event gets the next sequence number of its offering before it is emitted,
+ * so a client that reconnects can ask for everything after the last `seq`
+ * it saw (join-offering { offering_id, last_seq }).
+ *
+ * `audience` is the list of offering rooms (students / teachers /
+ * assistants / all) the event went to; replays honour it.
+ */
+const RETENTION_DAYS = Number(process.env.OFFERING_EVENT_RETENTION_DAYS || 7);
+const MAX_REPLAY = 500;
+
+async function appendEvent(
+  offeringId,
+  event,
+  payload,
+  { audience, sessionId }
+) {
+  const r = await query(
+    `DECLARE @e TABLE (seq BIGINT);
+     INSERT INTO dbo.offering_events (offering_id, seq, session_id, event, audience, payload)
+     OUTPUT INSERTED.seq INTO @e(seq)
+     SELECT @p0, ISNULL(MAX(seq), 0) + 1, @p1, @p2, @p3, @p4
+       FROM dbo.offering_events WITH (UPDLOCK, HOLDLOCK)
+      WHERE offering_id = @p0;
+     SELECT seq FROM @e;`,
+    [
+      Number(offeringId),
+      sessionId ?? null,
+      event,
+      audience.join(","),
+      JSON.stringify(payload),
+    ]
+  );
+  return Number(r.recordset[0].seq);
+}
+
+/**
+ * Logs the event, then emits it once to every socket in the given offering
+ * rooms with its `seq`. If logging fails the event is still emitted
+ * (without seq) so live clients are not affected.
+ */
+async function emitOfferingEvent(
+  io,
+  offeringId,
+  event,
+  payload,
+  { audience = ["all"], sessionId = payload.session_id } = {}
+) {
+  let seq = null;
+  try {
+    seq = await appendEvent(offeringId, event, payload, {
+      audience,
+      sessionId,
+    });
+  } catch (e) {
+    console.error(`offering event log error (${event}):`, e?.message || e);
+  }
+  if (!io) return seq;
+  const rooms = audience.map((a) => `off:${offeringId}:${a}`);
+  io.to(rooms).emit(event, seq == null ? payload : { ...payload, seq });
+  return seq;
+}
+
+async function latestSeq(offeringId) {
+  const r = await query(
+    `SELECT ISNULL(MAX(seq), 0) AS seq FROM dbo.offering_events WHERE offering_id=@p0`,
+    [Number(offeringId)]
+  );
+  return Number(r.recordset[0].seq);
+}
+
+/**
+ * Re-sends the offering's events after `afterSeq` (any session) that were
+ * addressed to a room this socket is in, oldest first and at most
+ * MAX_REPLAY of them. Each is emitted under its own name with
+ * `replayed: true`. `skip` lists event names not to replay (e.g. deltas
+ * already covered by a snapshot). Resolves to { sent, truncated };
+ * truncated means the gap was larger than the window.
+ */
+async function replayEvents(socket, offeringId, afterSeq, skip = []) {
+  const r = await query(
+    `SELECT TOP (@p2) seq, event, audience, payload
+       FROM dbo.offering_events
+      WHERE offering_id=@p0 AND seq > @p1
+      ORDER BY seq`,
+    [Number(offeringId), Number(afterSeq) || 0, MAX_REPLAY + 1]
+  );
+  const rows = r.recordset.slice(0, MAX_REPLAY);
+  let sent = 0;
+  for (const row of rows) {
+    if (skip.includes(row.event)) continue;
+    const rooms = row.audience.split(",");
+    if (!rooms.some((a) => socket.rooms.has(`off:${offeringId}:${a}`))) {
+      continue;
+    }
+    socket.emit(row.event, {
+      ...JSON.parse(row.payload),
+      seq: Number(row.seq),
+      replayed: true,
+    });
+    sent++;
+  }
+  return { sent, truncated: r.recordset.length > MAX_REPLAY };
+}
+
+async function purgeOldEvents() {
+  await query(
+    `DELETE FROM dbo.offering_events
+      WHERE created_at < DATEADD(DAY, -@p0, SYSUTCDATETIME())`,
+    [RETENTION_DAYS]
+  );
+}
+
+module.exports = {
+  emitOfferingEvent,
+  latestSeq,
+  replayEvents,
+  purgeOldEvents,
+};
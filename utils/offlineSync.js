@@ -0,0 +1,212 @@
+// utils/offlineSync.js
+const crypto = require("crypto");
+const { query } = require("../DB/dbConnection");
+const { sealSecret, openSecret } = require("./totp");
+const { checkSessionCode } = require("./sessionCodes");
+
+/**
+ * Offline check-ins. A bound device asks once for a sync key
+ * (POST /attendance/sync-key, stored sealed on its dbo.devices row). While
+ * offline the app queues { id, offering_id, action, ts, code } items and
+ * signs each one:
+ *
+ *   signature = base64url(HMAC-SHA256(key,
+ *                 udid \n id \n offering_id \n action \n ts \n code))
+ *
+ * POST /attendance/sync replays them. Every item is checked on its own
+ * (signature, age, session running at `ts`, room code valid at `ts`) and
+ * logged in dbo.attendance_sync_items, so a retried batch gets the same
+ * answers back instead of writing twice.
+ */
+const MAX_ITEMS = 50;
+// Items must reach the server shortly after their lecture: at most
+// SYNC_GRACE_MINUTES after the session ended, and never older than the
+// longest lecture plus that grace. Keeps observed room codes short-lived.
+const SYNC_GRACE_MINUTES = Number(process.env.OFFLINE_SYNC_GRACE_MINUTES || 30);
+const MAX_LECTURE_MINUTES = 240;
+const FUTURE_SKEW_MS = 5 * 60 * 1000;
+// a checkout may be queued a little after the lecture was ended
+const CHECKOUT_GRACE_MINUTES = 15;
+
+// ---- device keys ----
+async function boundDevice(userId, udid) {
+  const r = await query(
+    `SELECT id, sync_key FROM dbo.devices WHERE user_id=@p0 AND udid=@p1`,
+    [userId, String(udid || "")]
+  );
+  return r.recordset[0] || null;
+}
+
+// New key for the device (replaces the previous one); null when not bound
+async function issueSyncKey(userId, udid) {
+  const device = await boundDevice(userId, udid);
+  if (!device) return null;
+  const key = crypto.randomBytes(32).toString("base64url");
+  await query(
+    `UPDATE dbo.devices
+        SET sync_key=@p1, sync_key_issued_at=SYSUTCDATETIME()
+      WHERE id=@p0`,
+    [device.id, sealSecret(key)]
+  );
+  return key;
+}
+
+// Plain key of a device row from boundDevice(), null when none was issued
+const deviceKey = (device) =>
+  device && device.sync_key ? openSecret(device.sync_key) : null;
+
+const signingString = (udid, item) =>
+  [udid, item.id, item.offering_id, item.action, item.ts, item.code ?? ""].join(
+    "\n"
+  );
+
+function signItem(key, udid, item) {
+  return crypto
+    .createHmac("sha256", key)
+    .update(signingString(udid, item))
+    .digest("base64url");
+}
+
+function verifySignature(key, udid, item) {
+  const expected = Buffer.from(signItem(key, udid, item));
+  const given = Buffer.from(String(item.signature || ""));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+// ---- items ----
+// Shape problems that need no database; returns a reason or null
+function checkItem(item, now = Date.now()) {
+  if (!item || typeof item !== "object") return "invalid_item";
+  if (!item.id || String(item.id).length > 64) return "invalid_id";
+  if (!Number(item.offering_id)) return "invalid_offering";
+  if (!["checkin", "checkout"].includes(item.action)) return "invalid_action";
+  const ts = Date.parse(item.ts);
+  if (Number.isNaN(ts)) return "invalid_ts";
+  if (ts > now + FUTURE_SKEW_MS) return "ts_in_future";
+  if (ts < now - (MAX_LECTURE_MINUTES + SYNC_GRACE_MINUTES) * 60 * 1000) {
+    return "too_old";
+  }
+  if (!item.signature) return "missing_signature";
+  return null;
+}
+
+// Earlier answer for this (user, client item id), if the item was synced
+async function previousResult(userId, clientId) {
+  const r = await query(
+    `SELECT result, reason, session_id FROM dbo.attendance_sync_items
+      WHERE user_id=@p0 AND client_id=@p1`,
+    [userId, String(clientId)]
+  );
+  return r.recordset[0] || null;
+}
+
+async function logItem(userId, deviceId, item, outcome) {
+  await query(
+    `INSERT INTO dbo.attendance_sync_items
+       (user_id, device_id, client_id, offering_id, session_id, action,
+        observed_at, code_seen, result, reason)
+     VALUES (@p0, @p1, @p2, @p3, @p4, @p5, @p6, @p7, @p8, @p9)`,
+    [
+      userId,
+      deviceId,
+      String(item.id),
+      Number(item.offering_id) || null,
+      outcome.session_id ?? null,
+      String(item.action || "").slice(0, 10),
+      Number.isNaN(Date.parse(item.ts)) ? null : new Date(item.ts),
+      item.code == null ? null : String(item.code).slice(0, 128),
+      outcome.accepted ? "accepted" : "rejected",
+      outcome.reason ?? null,
+    ]
+  );
+}
+
+// The session of the offering that was running at `ts`
+async function sessionAt(offeringId, ts, action) {
+  const grace = action === "checkout" ? CHECKOUT_GRACE_MINUTES : 0;
+  const r = await query(
+    `SELECT TOP 1 id, status, started_at, ended_at
+       FROM dbo.course_sessions
+      WHERE offering_id=@p0
+        AND started_at IS NOT NULL AND started_at <= @p1
+        AND (ended_at IS NULL OR DATEADD(MINUTE, @p2, ended_at) >= @p1)
+      ORDER BY started_at DESC, id DESC`,
+    [offeringId, ts, grace]
+  );
+  return r.recordset[0] || null;
+}
+
+// true when the sync comes too long after the session ended
+function syncTooLate(session, now = Date.now()) {
+  return (
+    session.ended_at != null &&
+    now > new Date(session.ended_at).getTime() + SYNC_GRACE_MINUTES * 60 * 1000
+  );
+}
+
+// Rotating code at `ts`, else the offering's static modulation_string
+async function codeValidAt(offeringId, sessionId, code, ts) {
+  const rotating = await checkSessionCode(sessionId, code, ts.getTime());
+  if (rotating !== null) return rotating;
+  const col = await query(
+    `SELECT COL_LENGTH('dbo.course_offerings', 'modulation_string') AS hasCol`
+  );
+  if (col.recordset[0]?.hasCol == null) return true;
+  const off = await query(
+    `SELECT modulation_string FROM dbo.course_offerings WHERE id=@p0`,
+    [offeringId]
+  );
+  const expected = off.recordset[0]?.modulation_string;
+  return !expected || expected === code;
+}
+
+/**
+ * Writes an accepted item at its observed time: the earliest check-in and
+ * the latest check-out win.
+ */
+async function applyItem(sessionId, userId, udid, item, ts) {
+  const sql =
+    item.action === "checkin"
+      ? `IF NOT EXISTS (SELECT 1 FROM dbo.attendance_records WHERE session_id=@p0 AND user_id=@p1)
+           INSERT INTO dbo.attendance_records
+             (session_id, user_id, check_in_at, status, [source], modulation_string_seen, udid_at_checkin)
+           VALUES (@p0, @p1, @p2, 'present', 'offline', @p3, @p4);
+         ELSE
+           UPDATE dbo.attendance_records
+              SET check_in_at = CASE WHEN check_in_at IS NULL OR check_in_at > @p2
+                                     THEN @p2 ELSE check_in_at END
+            WHERE session_id=@p0 AND user_id=@p1;`
+      : `UPDATE dbo.attendance_records
+            SET check_out_at = CASE WHEN check_out_at IS NULL OR check_out_at < @p2
+                                    THEN @p2 ELSE check_out_at END
+          WHERE session_id=@p0 AND user_id=@p1;
+         IF @@ROWCOUNT = 0
+           INSERT INTO dbo.attendance_records
+             (session_id, user_id, check_out_at, status, [source], modulation_string_seen, udid_at_checkin)
+           VALUES (@p0, @p1, @p2, 'left', 'offline', @p3, @p4);`;
+  await query(sql, [
+    sessionId,
+    userId,
+    ts,
+    item.code == null ? null : String(item.code),
+    udid,
+  ]);
+}
+
+module.exports = {
+  MAX_ITEMS,
+  boundDevice,
+  issueSyncKey,
+  deviceKey,
+  signItem,
+  verifySignature,
+  checkItem,
+  previousResult,
+  logItem,
+  sessionAt,
+  syncTooLate,
+  codeValidAt,
+  applyItem,
+};
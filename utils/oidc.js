@@ -0,0 +1,230 @@
+// utils/oidc.js
+const crypto = require("crypto");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const { query } = require("../DB/dbConnection");
+const { hashToken } = require("./tokens");
+
+/**
+ * OpenID Connect login (authorization code + PKCE) against the college
+ * identity provider. Configuration:
+ *   OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET (optional, public
+ *   clients use PKCE only), OIDC_REDIRECT_URI, OIDC_SCOPES
+ *   (default "openid email profile"), OIDC_ALLOW_UNVERIFIED_EMAIL=true to
+ *   accept ID tokens whose email_verified claim is not true.
+ *
+ * Read on every call so tests (and the mock provider) can switch it.
+ */
+function config() {
+  return {
+    issuer: (process.env.OIDC_ISSUER || "").replace(/\/$/, ""),
+    clientId: process.env.OIDC_CLIENT_ID || "",
+    clientSecret: process.env.OIDC_CLIENT_SECRET || "",
+    redirectUri: process.env.OIDC_REDIRECT_URI || "",
+    scopes: process.env.OIDC_SCOPES || "openid email profile",
+    allowUnverifiedEmail: process.env.OIDC_ALLOW_UNVERIFIED_EMAIL === "true",
+  };
+}
+
+const isConfigured = () => {
+  const c = config();
+  return !!(c.issuer && c.clientId && c.redirectUri);
+};
+
+const STATE_TTL_MIN = 10;
+const CACHE_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGS = ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"];
+
+const http = axios.create({ timeout: 10000 });
+
+// ---- discovery + JWKS (cached per issuer) ----
+const cache = new Map();
+
+async function cached(key, load, { force = false } = {}) {
+  const hit = cache.get(key);
+  if (!force && hit && Date.now() - hit.at < CACHE_MS) return hit.value;
+  const value = await load();
+  cache.set(key, { value, at: Date.now() });
+  return value;
+}
+
+function discover() {
+  const { issuer } = config();
+  return cached(`disc:${issuer}`, async () => {
+    const r = await http.get(`${issuer}/.well-known/openid-configuration`);
+    if (r.data.issuer.replace(/\/$/, "") !== issuer) {
+      throw new Error("OIDC discovery issuer mismatch");
+    }
+    return r.data;
+  });
+}
+
+async function signingKey(kid) {
+  const meta = await discover();
+  const load = async () => (await http.get(meta.jwks_uri)).data.keys || [];
+  let keys = await cached(`jwks:${meta.jwks_uri}`, load);
+  let jwk = keys.find((k) => k.kid === kid);
+  if (!jwk) {
+    // the provider may have rotated its keys
+    keys = await cached(`jwks:${meta.jwks_uri}`, load, { force: true });
+    jwk = keys.find((k) => k.kid === kid);
+  }
+  if (!jwk) throw new Error("OIDC signing key not found");
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+// ---- PKCE ----
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+const pkceChallenge = (verifier) =>
+  crypto.createHash("sha256").update(verifier).digest("base64url");
+
+/**
+ * Starts a login: stores state/nonce/verifier (dbo.oidc_states, expired
+ * rows are cleared on the way) and resolves to { authorization_url, state }.
+ * `udid` travels with the state so device binding applies on callback.
+ */
+async function startLogin({ udid = null, ip = null } = {}) {
+  const c = config();
+  const meta = await discover();
+  const state = randomToken();
+  const nonce = randomToken();
+  const verifier = randomToken();
+
+  await query(
+    `DELETE FROM dbo.oidc_states WHERE expires_at < SYSUTCDATETIME();
+     INSERT INTO dbo.oidc_states (state_hash, nonce, code_verifier, udid, ip, expires_at)
+     VALUES (@p0, @p1, @p2, @p3, @p4, DATEADD(MINUTE, @p5, SYSUTCDATETIME()));`,
+    [hashToken(state), nonce, verifier, udid, ip, STATE_TTL_MIN]
+  );
+
+  const url = new URL(meta.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: c.clientId,
+    redirect_uri: c.redirectUri,
+    scope: c.scopes,
+    state,
+    nonce,
+    code_challenge: pkceChallenge(verifier),
+    code_challenge_method: "S256",
+  }).toString();
+  return { authorization_url: url.toString(), state };
+}
+
+// One-time use: the row is deleted as it is read
+async function takeState(state) {
+  const r = await query(
+    `DECLARE @s TABLE (nonce NVARCHAR(100), code_verifier NVARCHAR(100),
+                       udid NVARCHAR(128), expires_at DATETIME2(0));
+     DELETE FROM dbo.oidc_states
+     OUTPUT DELETED.nonce, DELETED.code_verifier, DELETED.udid, DELETED.expires_at
+       INTO @s
+      WHERE state_hash = @p0;
+     SELECT nonce, code_verifier, udid,
+            CASE WHEN expires_at > SYSUTCDATETIME() THEN 1 ELSE 0 END AS fresh
+       FROM @s;`,
+    [hashToken(state)]
+  );
+  const row = r.recordset[0];
+  return row && row.fresh ? row : null;
+}
+
+async function exchangeCode(code, verifier) {
+  const c = config();
+  const meta = await discover();
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: c.redirectUri,
+    client_id: c.clientId,
+    code_verifier: verifier,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  if (c.clientSecret) {
+    const basic = Buffer.from(
+      `${encodeURIComponent(c.clientId)}:${encodeURIComponent(c.clientSecret)}`
+    ).toString("base64");
+    headers.Authorization = `Basic ${basic}`;
+  }
+  const r = await http.post(meta.token_endpoint, body.toString(), { headers });
+  if (!r.data?.id_token) throw new Error("OIDC token response has no id_token");
+  return r.data;
+}
+
+/**
+ * Verifies signature, issuer, audience, expiry and nonce of an ID token.
+ * Resolves to its claims.
+ */
+async function verifyIdToken(idToken, nonce) {
+  const c = config();
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new jwt.JsonWebTokenError("malformed id_token");
+  const key = await signingKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGS,
+    issuer: [c.issuer, `${c.issuer}/`],
+    audience: c.clientId,
+    clockTolerance: 30,
+  });
+  if (claims.nonce !== nonce) {
+    throw new jwt.JsonWebTokenError("id_token nonce mismatch");
+  }
+  return claims;
+}
+
+/**
+ * Completes a login from the callback parameters. Resolves to
+ * { claims, email, udid } or { error } with a message for the client.
+ */
+async function finishLogin({ code, state }) {
+  if (!code || !state) return { error: "code and state are required" };
+  const saved = await takeState(state);
+  if (!saved) return { error: "Login expired or already used, start again" };
+
+  const tokens = await exchangeCode(code, saved.code_verifier);
+  const claims = await verifyIdToken(tokens.id_token, saved.nonce);
+
+  const email = String(claims.email || "")
+    .trim()
+    .toLowerCase();
+  if (!email) return { error: "The identity provider sent no email" };
+  if (claims.email_verified !== true && !config().allowUnverifiedEmail) {
+    return { error: "Email is not verified at the identity provider" };
+  }
+  return { claims, email, udid: saved.udid };
+}
+
+/**
+ * Remembers which provider account signed in as `userId`
+ * (dbo.user_identities). Resolves to false when either side is already
+ * linked elsewhere (same issuer, different subject or different user).
+ */
+async function linkIdentity(userId, claims) {
+  const r = await query(
+    `SELECT user_id, subject FROM dbo.user_identities
+      WHERE issuer=@p1 AND (user_id=@p0 OR subject=@p2)`,
+    [userId, claims.iss, claims.sub]
+  );
+  if (r.recordset.length) {
+    return r.recordset.every(
+      (row) => row.user_id === userId && row.subject === claims.sub
+    );
+  }
+  await query(
+    `INSERT INTO dbo.user_identities (user_id, issuer, subject) VALUES (@p0, @p1, @p2)`,
+    [userId, claims.iss, claims.sub]
+  );
+  return true;
+}
+
+module.exports = {
+  config,
+  isConfigured,
+  discover,
+  pkceChallenge,
+  startLogin,
+  exchangeCode,
+  verifyIdToken,
+  finishLogin,
+  linkIdentity,
+};
@@ -0,0 +1,227 @@
+// utils/passwordPolicy.js
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { query } = require("../DB/dbConnection");
+
+/**
+ * Password rules for every place that writes users.password_hash:
+ *   PASSWORD_MIN_LENGTH   (default 8)
+ *   PASSWORD_MIN_CLASSES  lower / upper / digit / symbol, default 3
+ *   PASSWORD_HISTORY      last N passwords that cannot be reused, default 5
+ * plus a denylist of common passwords (including the old default "123456").
+ */
+const POLICY = {
+  min_length: Math.max(6, Number(process.env.PASSWORD_MIN_LENGTH) || 8),
+  max_length: 72, // bcrypt ignores anything longer
+  min_classes: Math.min(
+    4,
+    Math.max(1, Number(process.env.PASSWORD_MIN_CLASSES) || 3)
+  ),
+  history: Math.max(0, Number(process.env.PASSWORD_HISTORY ?? 5) || 0),
+};
+
+const COMMON_PASSWORDS = new Set([
+  "123456",
+  "1234567",
+  "12345678",
+  "123456789",
+  "1234567890",
+  "12345678910",
+  "111111",
+  "000000",
+  "123123",
+  "654321",
+  "987654321",
+  "password",
+  "password1",
+  "password123",
+  "passw0rd",
+  "p@ssw0rd",
+  "p@ssword1",
+  "qwerty",
+  "qwerty123",
+  "qwertyuiop",
+  "1q2w3e4r",
+  "1qaz2wsx",
+  "zaq12wsx",
+  "abc123",
+  "abcd1234",
+  "a1b2c3d4",
+  "iloveyou",
+  "admin",
+  "admin123",
+  "administrator",
+  "welcome",
+  "welcome1",
+  "welcome123",
+  "letmein",
+  "monkey",
+  "dragon",
+  "football",
+  "baseball",
+  "sunshine",
+  "princess",
+  "superman",
+  "trustno1",
+  "changeme",
+  "student",
+  "student123",
+  "teacher",
+  "teacher123",
+  "college",
+  "college123",
+  "university",
+]);
+
+const CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/];
+
+/**
+ * Checks a candidate password against the static rules.
+ * `context` ({ email, name }) rejects passwords built from the account.
+ * Returns a list of problems (empty when acceptable).
+ */
+function checkPassword(password, context = {}) {
+  if (typeof password !== "string" || !password) {
+    return ["Password is required"];
+  }
+  const errors = [];
+  if (password.length < POLICY.min_length) {
+    errors.push(`Password must be at least ${POLICY.min_length} characters`);
+  }
+  if (Buffer.byteLength(password, "utf8") > POLICY.max_length) {
+    errors.push(`Password must be at most ${POLICY.max_length} bytes`);
+  }
+  const classes = CLASSES.filter((re) => re.test(password)).length;
+  if (classes < POLICY.min_classes) {
+    errors.push(
+      `Password must mix at least ${POLICY.min_classes} of: lowercase, uppercase, digits, symbols`
+    );
+  }
+
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower) || /^(.)\1+$/.test(password)) {
+    errors.push("Password is too common");
+  }
+  const local = String(context.email || "")
+    .split("@")[0]
+    .toLowerCase();
+  const nameParts = String(context.name || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((p) => p.length >= 4);
+  if (
+    (local.length >= 4 && lower.includes(local)) ||
+    nameParts.some((p) => lower.includes(p))
+  ) {
+    errors.push("Password must not contain your name or email");
+  }
+  return errors;
+}
+
+// The last POLICY.history hashes (newest first), current password included
+async function recentHashes(userId) {
+  if (!POLICY.history) return [];
+  const r = await query(
+    `SELECT TOP (@p1) password_hash FROM dbo.password_history
+      WHERE user_id=@p0
+      ORDER BY created_at DESC, id DESC`,
+    [userId, POLICY.history]
+  );
+  return r.recordset.map((row) => row.password_hash);
+}
+
+async function wasUsedRecently(userId, password, currentHash = null) {
+  const hashes = await recentHashes(userId);
+  if (currentHash) hashes.unshift(currentHash);
+  for (const h of hashes) {
+    if (h && (await bcrypt.compare(password, h))) return true;
+  }
+  return false;
+}
+
+// Stores `hash` as the newest history entry and trims the rest
+async function recordPasswordHistory(userId, hash) {
+  if (!POLICY.history) return;
+  await query(
+    `INSERT INTO dbo.password_history (user_id, password_hash) VALUES (@p0, @p1);
+     DELETE h FROM dbo.password_history h
+      WHERE h.user_id = @p0
+        AND h.id NOT IN (SELECT TOP (@p2) id FROM dbo.password_history
+                          WHERE user_id = @p0
+                          ORDER BY created_at DESC, id DESC);`,
+    [userId, hash, POLICY.history]
+  );
+}
+
+/**
+ * Full check for an existing account: static rules + reuse of the last
+ * POLICY.history passwords. Resolves to a list of problems.
+ */
+async function validateNewPassword(user, password) {
+  const errors = checkPassword(password, user);
+  if (errors.length) return errors;
+  if (await wasUsedRecently(user.id, password, user.password_hash)) {
+    return [
+      POLICY.history > 1
+        ? `Password must differ from your last ${POLICY.history} passwords`
+        : "Password must differ from your current password",
+    ];
+  }
+  return [];
+}
+
+const hashPassword = (password) => bcrypt.hash(password, 10);
+
+/**
+ * Writes a new password for an existing user (no checks here; call
+ * validateNewPassword first) and records it in the history.
+ */
+async function setPassword(userId, password, { forceChange = false } = {}) {
+  const hash = await hashPassword(password);
+  await query(
+    `UPDATE dbo.users
+        SET password_hash=@p1,
+            force_password_change=@p2,
+            updated_at=SYSUTCDATETIME()
+      WHERE id=@p0`,
+    [userId, hash, forceChange ? 1 : 0]
+  );
+  await recordPasswordHistory(userId, hash);
+}
+
+// Random password that satisfies the policy, for admin-created accounts
+function generateTemporaryPassword() {
+  const sets = [
+    "abcdefghijkmnpqrstuvwxyz",
+    "ABCDEFGHJKLMNPQRSTUVWXYZ",
+    "23456789",
+    "!@#$%*?-",
+  ];
+  const all = sets.join("");
+  const len = Math.max(POLICY.min_length, 12);
+  const chars = sets.map((s) => s[crypto.randomInt(s.length)]);
+  while (chars.length < len) chars.push(all[crypto.randomInt(all.length)]);
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join("");
+}
+
+// 400 body for a rejected password
+const policyError = (errors) => ({
+  status: false,
+  error: errors[0],
+  password_errors: errors,
+});
+
+module.exports = {
+  POLICY,
+  checkPassword,
+  validateNewPassword,
+  hashPassword,
+  setPassword,
+  recordPasswordHistory,
+  generateTemporaryPassword,
+  policyError,
+};
@@ -0,0 +1,145 @@
+// utils/passwordReset.js
+const crypto = require("crypto");
+const { query } = require("../DB/dbConnection");
+const { hashToken } = require("./tokens");
+const { sendMail } = require("./mailer");
+
+const CODE_TTL_MINUTES = Number(process.env.RESET_CODE_TTL_MINUTES || 15);
+const CODES_PER_HOUR = Number(process.env.RESET_CODES_PER_HOUR || 3);
+const MAX_CODE_ATTEMPTS = 5;
+// e.g. https://dashboard.example.edu/reset-password (link gets ?token=...)
+const RESET_URL = process.env.PASSWORD_RESET_URL || "";
+
+/**
+ * Creates a single-use code (+ link token) for the user and emails it.
+ * Earlier unused codes are invalidated. Returns { sent: false } without
+ * mailing when the per-user hourly limit is reached.
+ */
+async function issueResetCode(user, ip) {
+  const recent = await query(
+    `SELECT COUNT(*) AS n FROM dbo.password_reset_codes
+      WHERE user_id=@p0 AND created_at > DATEADD(HOUR, -1, SYSUTCDATETIME())`,
+    [user.id]
+  );
+  if (recent.recordset[0].n >= CODES_PER_HOUR) {
+    return { sent: false, reason: "rate_limited" };
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const linkToken = crypto.randomBytes(32).toString("base64url");
+
+  await query(
+    `UPDATE dbo.password_reset_codes
+        SET used_at = SYSUTCDATETIME()
+      WHERE user_id=@p0 AND used_at IS NULL;
+
+     INSERT INTO dbo.password_reset_codes
+       (user_id, code_hash, link_token_hash, expires_at, ip)
+     VALUES (@p0, @p1, @p2, DATEADD(MINUTE, @p3, SYSUTCDATETIME()), @p4);`,
+    [user.id, hashToken(code), hashToken(linkToken), CODE_TTL_MINUTES, ip]
+  );
+
+  const link = RESET_URL
+    ? `${RESET_URL}${RESET_URL.includes("?") ? "&" : "?"}token=${linkToken}`
+    : null;
+
+  await sendMail({
+    to: user.email,
+    subject: "Your password reset code",
+    sensitive: true,
+    text: [
+      `Hello ${user.name || ""},`,
+      "",
+      `Your password reset code is: ${code}`,
+      link ? `Or open this link: ${link}` : null,
+      "",
+      `It expires in ${CODE_TTL_MINUTES} minutes and can be used once.`,
+      "If you did not ask for this, you can ignore this email.",
+    ]
+      .filter((l) => l !== null)
+      .join("\n"),
+  });
+
+  return { sent: true };
+}
+
+// Account a link token belongs to (unused, unexpired), or null
+async function resetTokenUser(token) {
+  const r = await query(
+    `SELECT TOP 1 u.id, u.email
+       FROM dbo.password_reset_codes c
+       JOIN dbo.users u ON u.id = c.user_id
+      WHERE c.link_token_hash=@p0 AND c.used_at IS NULL
+        AND c.expires_at > SYSUTCDATETIME()`,
+    [hashToken(String(token))]
+  );
+  return r.recordset[0] || null;
+}
+
+const sameHash = (a, b) =>
+  a &&
+  b &&
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Checks a code (with the user's email) or a link token.
+ * Returns { ok: true, resetId, userId } or { ok: false, reason }.
+ * Wrong codes count against the code; after MAX_CODE_ATTEMPTS it is dead.
+ */
+async function checkResetCode({ email, code, token }) {
+  let row;
+  if (token) {
+    const r = await query(
+      `SELECT TOP 1 id, user_id, code_hash, attempts
+         FROM dbo.password_reset_codes
+        WHERE link_token_hash=@p0 AND used_at IS NULL
+          AND expires_at > SYSUTCDATETIME()`,
+      [hashToken(token)]
+    );
+    row = r.recordset[0];
+    if (!row) return { ok: false, reason: "invalid" };
+  } else {
+    const r = await query(
+      `SELECT TOP 1 c.id, c.user_id, c.code_hash, c.attempts
+         FROM dbo.password_reset_codes c
+         JOIN dbo.users u ON u.id = c.user_id
+        WHERE LOWER(u.email) = LOWER(@p0) AND c.used_at IS NULL
+          AND c.expires_at > SYSUTCDATETIME()
+        ORDER BY c.id DESC`,
+      [String(email || "").trim()]
+    );
+    row = r.recordset[0];
+    if (!row) return { ok: false, reason: "invalid" };
+    if (row.attempts >= MAX_CODE_ATTEMPTS) {
+      return { ok: false, reason: "too_many_attempts" };
+    }
+    if (!sameHash(row.code_hash, hashToken(String(code || "").trim()))) {
+      await query(
+        `UPDATE dbo.password_reset_codes SET attempts = attempts + 1 WHERE id=@p0`,
+        [row.id]
+      );
+      return { ok: false, reason: "invalid", userId: row.user_id };
+    }
+  }
+  return { ok: true, resetId: row.id, userId: row.user_id };
+}
+
+// Marks the code used; false if another request consumed it first
+async function consumeResetCode(resetId) {
+  const r = await query(
+    `UPDATE dbo.password_reset_codes
+        SET used_at = SYSUTCDATETIME()
+      WHERE id=@p0 AND used_at IS NULL;
+     SELECT @@ROWCOUNT AS affected;`,
+    [resetId]
+  );
+  return r.recordset[0].affected === 1;
+}
+
+module.exports = {
+  issueResetCode,
+  resetTokenUser,
+  checkResetCode,
+  consumeResetCode,
+};
@@ -0,0 +1,388 @@
+// utils/polls.js
+const { query } = require("../DB/dbConnection");
+const { emitOfferingEvent } = require("./offeringEvents");
+const { getAssistantCapabilities } = require("./assistantCapabilities");
+
+/**
+ * In-class polls and quizzes (dbo.polls, dbo.poll_responses), tied to a
+ * course_sessions row.
+ *   question_type: single (one option index), multiple (option indexes),
+ *                  numeric (a number)
+ *   kind:          poll (no right answer) | quiz (has `correct`)
+ * Students may change their answer until the poll closes.
+ */
+const KINDS = ["poll", "quiz"];
+const QUESTION_TYPES = ["single", "multiple", "numeric"];
+const MAX_OPTIONS = 10;
+const MAX_DURATION_SECONDS = 60 * 60;
+const RESULTS_THROTTLE_MS = 1000;
+
+const isIndex = (v, options) =>
+  Number.isInteger(v) && v >= 0 && v < options.length;
+
+/**
+ * Validates a new poll from a request body.
+ * Returns { error } or { poll: { kind, question_type, question, options,
+ * correct } } with `correct` normalized:
+ *   single { index }, multiple { indexes }, numeric { value, tolerance }
+ */
+function readPoll(body) {
+  const kind = body.kind || "poll";
+  const type = body.question_type;
+  const question = String(body.question || "").trim();
+  if (!KINDS.includes(kind)) return { error: "kind must be poll or quiz" };
+  if (!QUESTION_TYPES.includes(type)) {
+    return { error: "question_type must be single, multiple or numeric" };
+  }
+  if (!question || question.length > 500) {
+    return { error: "question is required (max 500 chars)" };
+  }
+
+  let options = [];
+  if (type !== "numeric") {
+    if (!Array.isArray(body.options)) return { error: "options[] required" };
+    options = body.options.map((o) => String(o ?? "").trim());
+    if (options.length < 2 || options.length > MAX_OPTIONS) {
+      return { error: `options must have 2..${MAX_OPTIONS} entries` };
+    }
+    if (options.some((o) => !o || o.length > 200)) {
+      return { error: "options must be non-empty (max 200 chars)" };
+    }
+  }
+
+  let correct = null;
+  if (kind === "quiz") {
+    const c = body.correct;
+    if (type === "single") {
+      if (!isIndex(c, options)) return { error: "correct must be an index" };
+      correct = { index: c };
+    } else if (type === "multiple") {
+      if (
+        !Array.isArray(c) ||
+        !c.length ||
+        !c.every((i) => isIndex(i, options))
+      )
+        return { error: "correct must be an array of indexes" };
+      correct = { indexes: [...new Set(c)].sort((a, b) => a - b) };
+    } else {
+      const value = typeof c === "object" && c ? c.value : c;
+      const tolerance = (typeof c === "object" && c?.tolerance) || 0;
+      if (!Number.isFinite(value) || !Number.isFinite(tolerance)) {
+        return { error: "correct must be a number or { value, tolerance }" };
+      }
+      correct = { value, tolerance: Math.abs(tolerance) };
+    }
+  }
+  return { poll: { kind, question_type: type, question, options, correct } };
+}
+
+/**
+ * Normalizes a student's answer for `poll`; returns { error } or { answer }.
+ */
+function readAnswer(poll, answer) {
+  if (poll.question_type === "single") {
+    if (!isIndex(answer, poll.options)) {
+      return { error: "answer must be an option index" };
+    }
+    return { answer };
+  }
+  if (poll.question_type === "multiple") {
+    if (
+      !Array.isArray(answer) ||
+      !answer.length ||
+      !answer.every((i) => isIndex(i, poll.options))
+    ) {
+      return { error: "answer must be an array of option indexes" };
+    }
+    return { answer: [...new Set(answer)].sort((a, b) => a - b) };
+  }
+  const n = typeof answer === "string" ? Number(answer) : answer;
+  if (typeof n !== "number" || !Number.isFinite(n)) {
+    return { error: "answer must be a number" };
+  }
+  return { answer: n };
+}
+
+const toBit = (v) => (v == null ? null : v ? 1 : 0);
+
+// null for polls (no right answer)
+function isCorrect(poll, answer) {
+  const c = poll.correct;
+  if (!c) return null;
+  if (poll.question_type === "single") return answer === c.index;
+  if (poll.question_type === "multiple") {
+    return answer.join(",") === c.indexes.join(",");
+  }
+  return Math.abs(answer - c.value) <= c.tolerance;
+}
+
+/**
+ * Aggregate of a list of normalized answers:
+ *   single / multiple: { counts[] } per option
+ *   numeric:           { min, max, mean, median }
+ * plus responses and, for quizzes, correct.
+ */
+function aggregate(poll, answers) {
+  const out = { responses: answers.length };
+  if (poll.question_type === "numeric") {
+    const sorted = [...answers].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    Object.assign(out, {
+      min: sorted.length ? sorted[0] : null,
+      max: sorted.length ? sorted[sorted.length - 1] : null,
+      mean: sorted.length
+        ? sorted.reduce((s, v) => s + v, 0) / sorted.length
+        : null,
+      median: !sorted.length
+        ? null
+        : sorted.length % 2
+        ? sorted[mid]
+        : (sorted[mid - 1] + sorted[mid]) / 2,
+    });
+  } else {
+    const counts = poll.options.map(() => 0);
+    for (const a of answers) {
+      for (const i of [].concat(a)) counts[i] += 1;
+    }
+    out.counts = counts;
+  }
+  if (poll.correct) {
+    out.correct = answers.filter((a) => isCorrect(poll, a)).length;
+  }
+  return out;
+}
+
+// ---- storage ----
+const POLL_COLUMNS = `p.id, p.offering_id, p.session_id, p.kind, p.question_type,
+  p.question, p.options, p.correct, p.status, p.opened_at, p.closes_at,
+  p.closed_at, p.created_by, p.created_at`;
+
+function fromRow(row) {
+  return {
+    ...row,
+    options: JSON.parse(row.options || "[]"),
+    correct: row.correct ? JSON.parse(row.correct) : null,
+  };
+}
+
+// What students see: no right answer until the poll is closed
+function publicPoll(poll) {
+  const { correct, created_by, ...rest } = poll;
+  return poll.status === "closed" ? { ...rest, correct } : rest;
+}
+
+async function getPoll(id) {
+  const r = await query(
+    `SELECT ${POLL_COLUMNS} FROM dbo.polls p WHERE p.id=@p0`,
+    [Number(id)]
+  );
+  return r.recordset[0] ? fromRow(r.recordset[0]) : null;
+}
+
+async function listPolls(sessionId) {
+  const r = await query(
+    `SELECT ${POLL_COLUMNS} FROM dbo.polls p
+      WHERE p.session_id=@p0 ORDER BY p.created_at, p.id`,
+    [Number(sessionId)]
+  );
+  return r.recordset.map(fromRow);
+}
+
+async function createPoll({ offeringId, sessionId, poll, createdBy }) {
+  const r = await query(
+    `DECLARE @n TABLE (id INT);
+     INSERT INTO dbo.polls
+       (offering_id, session_id, kind, question_type, question, options, correct, created_by)
+     OUTPUT INSERTED.id INTO @n(id)
+     VALUES (@p0, @p1, @p2, @p3, @p4, @p5, @p6, @p7);
+     SELECT id FROM @n;`,
+    [
+      offeringId,
+      sessionId,
+      poll.kind,
+      poll.question_type,
+      poll.question,
+      JSON.stringify(poll.options),
+      poll.correct ? JSON.stringify(poll.correct) : null,
+      createdBy,
+    ]
+  );
+  return getPoll(r.recordset[0].id);
+}
+
+async function pollResults(poll) {
+  const r = await query(
+    `SELECT answer FROM dbo.poll_responses WHERE poll_id=@p0`,
+    [poll.id]
+  );
+  return aggregate(
+    poll,
+    r.recordset.map((row) => JSON.parse(row.answer))
+  );
+}
+
+// Rooms that see live results: teachers (admins join it too) and
+// assistants when the offering grants run_polls
+async function resultsRooms(offeringId) {
+  const caps = await getAssistantCapabilities(offeringId);
+  return (
+    caps.includes("run_polls") ? ["teachers", "assistants"] : ["teachers"]
+  ).map((a) => `off:${offeringId}:${a}`);
+}
+
+// Staff rooms get live results; several answers in a row share one emit
+const pendingResults = new Map(); // poll id -> timer
+
+function scheduleResults(io, poll) {
+  if (!io || pendingResults.has(poll.id)) return;
+  const timer = setTimeout(async () => {
+    pendingResults.delete(poll.id);
+    try {
+      io.to(await resultsRooms(poll.offering_id)).emit("poll_results", {
+        poll_id: poll.id,
+        offering_id: poll.offering_id,
+        session_id: poll.session_id,
+        results: await pollResults(poll),
+      });
+    } catch (e) {
+      console.warn("poll_results emit failed:", e?.message || e);
+    }
+  }, RESULTS_THROTTLE_MS);
+  timer.unref();
+  pendingResults.set(poll.id, timer);
+}
+
+// Opens a draft poll for `seconds` and pushes it to the students
+async function openPoll(io, poll, seconds) {
+  const r = await query(
+    `UPDATE dbo.polls
+        SET status='open', opened_at=SYSUTCDATETIME(),
+            closes_at=DATEADD(SECOND, @p1, SYSUTCDATETIME())
+      WHERE id=@p0 AND status='draft';
+     SELECT @@ROWCOUNT AS affected;`,
+    [poll.id, seconds]
+  );
+  if (!r.recordset[0].affected) return null;
+  const opened = await getPoll(poll.id);
+  await emitOfferingEvent(
+    io,
+    opened.offering_id,
+    "poll_opened",
+    publicPoll(opened),
+    { audience: ["students", "teachers", "assistants"] }
+  );
+  // close on time in this process; closeExpiredPolls catches restarts
+  setTimeout(() => {
+    closePoll(io, opened).catch((e) =>
+      console.warn("poll auto-close failed:", e?.message || e)
+    );
+  }, seconds * 1000 + 500).unref();
+  return opened;
+}
+
+// Closes an open poll (no-op when already closed) and announces the results
+async function closePoll(io, poll) {
+  const r = await query(
+    `UPDATE dbo.polls SET status='closed', closed_at=SYSUTCDATETIME()
+      WHERE id=@p0 AND status='open';
+     SELECT @@ROWCOUNT AS affected;`,
+    [poll.id]
+  );
+  if (!r.recordset[0].affected) return null;
+  const closed = await getPoll(poll.id);
+  const results = await pollResults(closed);
+  await emitOfferingEvent(
+    io,
+    closed.offering_id,
+    "poll_closed",
+    { ...publicPoll(closed), results },
+    { audience: ["students", "teachers", "assistants"] }
+  );
+  return { poll: closed, results };
+}
+
+async function closeExpiredPolls(io) {
+  const r = await query(
+    `SELECT ${POLL_COLUMNS} FROM dbo.polls p
+      WHERE p.status='open' AND p.closes_at <= SYSUTCDATETIME()`
+  );
+  for (const row of r.recordset) await closePoll(io, fromRow(row));
+}
+
+/**
+ * Stores (or replaces) a student's answer. Resolves to false when the
+ * poll is not open any more.
+ */
+async function saveResponse(poll, userId, answer) {
+  const r = await query(
+    `IF EXISTS (SELECT 1 FROM dbo.polls
+                 WHERE id=@p0 AND status='open' AND closes_at > SYSUTCDATETIME())
+     BEGIN
+       MERGE dbo.poll_responses AS t
+       USING (SELECT @p0 AS poll_id, @p1 AS user_id) AS s
+          ON t.poll_id = s.poll_id AND t.user_id = s.user_id
+       WHEN MATCHED THEN
+         UPDATE SET answer=@p2, is_correct=@p3, answered_at=SYSUTCDATETIME()
+       WHEN NOT MATCHED THEN
+         INSERT (poll_id, user_id, answer, is_correct)
+         VALUES (@p0, @p1, @p2, @p3);
+       SELECT 1 AS saved;
+     END
+     ELSE
+       SELECT 0 AS saved;`,
+    [poll.id, userId, JSON.stringify(answer), toBit(isCorrect(poll, answer))]
+  );
+  return r.recordset[0].saved === 1;
+}
+
+// One row per response of a session, for the export
+async function sessionResponses(sessionId) {
+  const r = await query(
+    `SELECT p.id AS poll_id, p.kind, p.question_type, p.question, p.options,
+            u.id AS user_id, u.name, u.email,
+            pr.answer, pr.is_correct, pr.answered_at
+       FROM dbo.polls p
+       JOIN dbo.poll_responses pr ON pr.poll_id = p.id
+       JOIN dbo.users u ON u.id = pr.user_id
+      WHERE p.session_id=@p0
+      ORDER BY p.created_at, p.id, u.name`,
+    [Number(sessionId)]
+  );
+  return r.recordset.map((row) => {
+    const options = JSON.parse(row.options || "[]");
+    const answer = JSON.parse(row.answer);
+    const { options: _, ...rest } = row;
+    return {
+      ...rest,
+      answer:
+        row.question_type === "numeric"
+          ? String(answer)
+          : []
+              .concat(answer)
+              .map((i) => options[i])
+              .join("; "),
+      is_correct: row.is_correct == null ? null : !!row.is_correct,
+    };
+  });
+}
+
+module.exports = {
+  KINDS,
+  QUESTION_TYPES,
+  MAX_DURATION_SECONDS,
+  readPoll,
+  readAnswer,
+  isCorrect,
+  aggregate,
+  publicPoll,
+  getPoll,
+  listPolls,
+  createPoll,
+  pollResults,
+  scheduleResults,
+  openPoll,
+  closePoll,
+  closeExpiredPolls,
+  saveResponse,
+  sessionResponses,
+};
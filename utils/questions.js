@@ -0,0 +1,204 @@
+// utils/questions.js
+const { query } = require("../DB/dbConnection");
+const { emitOfferingEvent } = require("./offeringEvents");
+
+/**
+ * Q&A queue of a lecture session (dbo.session_questions). Students ask
+ * questions or raise their hand (kind "hand", no text), and upvote other
+ * questions (dbo.session_question_votes). Staff mark them answered or
+ * dismissed; the author may withdraw an open one.
+ *
+ * Anonymous entries hide the author from other students only; staff rooms
+ * always get the name.
+ */
+const KINDS = ["question", "hand"];
+const MODERATION_STATUSES = ["open", "answered", "dismissed"];
+const MAX_LENGTH = 1000;
+const STAFF_ROOMS = ["teachers", "assistants"];
+
+const QUESTION_SQL = `
+  SELECT q.id, q.offering_id, q.session_id, q.kind, q.body, q.anonymous,
+         q.status, q.upvotes, q.created_at, q.resolved_at, q.resolved_by,
+         q.user_id, u.name AS author_name
+    FROM dbo.session_questions q
+    JOIN dbo.users u ON u.id = q.user_id`;
+
+/**
+ * Shapes a row for a viewer. Staff see every author; students see the
+ * author unless the entry is anonymous (or it is their own).
+ */
+function present(row, { staff = false, userId = null } = {}) {
+  const mine = userId != null && Number(row.user_id) === Number(userId);
+  const showAuthor = staff || mine || !row.anonymous;
+  return {
+    id: row.id,
+    offering_id: row.offering_id,
+    session_id: row.session_id,
+    kind: row.kind,
+    body: row.body,
+    anonymous: !!row.anonymous,
+    status: row.status,
+    upvotes: row.upvotes,
+    created_at: row.created_at,
+    resolved_at: row.resolved_at,
+    user_id: showAuthor ? row.user_id : null,
+    author_name: showAuthor ? row.author_name : null,
+    mine,
+  };
+}
+
+async function getQuestion(id) {
+  const r = await query(`${QUESTION_SQL} WHERE q.id=@p0`, [Number(id)]);
+  return r.recordset[0] || null;
+}
+
+// Open entries first (most upvoted, then oldest), then the resolved ones
+async function listQuestions(sessionId, viewer) {
+  const r = await query(
+    `${QUESTION_SQL}
+      WHERE q.session_id=@p0
+      ORDER BY CASE WHEN q.status='open' THEN 0 ELSE 1 END,
+               q.upvotes DESC, q.created_at, q.id`,
+    [Number(sessionId)]
+  );
+  const votes = viewer.userId
+    ? await query(
+        `SELECT v.question_id FROM dbo.session_question_votes v
+           JOIN dbo.session_questions q ON q.id = v.question_id
+          WHERE q.session_id=@p0 AND v.user_id=@p1`,
+        [Number(sessionId), viewer.userId]
+      )
+    : { recordset: [] };
+  const voted = new Set(votes.recordset.map((v) => v.question_id));
+  return r.recordset
+    .filter((row) => viewer.staff || row.status !== "withdrawn")
+    .map((row) => ({ ...present(row, viewer), voted: voted.has(row.id) }));
+}
+
+// An open hand of this student in the session, if any
+async function openHand(sessionId, userId) {
+  const r = await query(
+    `SELECT TOP 1 id FROM dbo.session_questions
+      WHERE session_id=@p0 AND user_id=@p1 AND kind='hand' AND status='open'`,
+    [sessionId, userId]
+  );
+  return r.recordset[0]?.id ?? null;
+}
+
+async function addQuestion({
+  offeringId,
+  sessionId,
+  userId,
+  kind,
+  body,
+  anonymous,
+}) {
+  const r = await query(
+    `DECLARE @n TABLE (id INT);
+     INSERT INTO dbo.session_questions
+       (offering_id, session_id, user_id, kind, body, anonymous)
+     OUTPUT INSERTED.id INTO @n(id)
+     VALUES (@p0, @p1, @p2, @p3, @p4, @p5);
+     SELECT id FROM @n;`,
+    [offeringId, sessionId, userId, kind, body, anonymous ? 1 : 0]
+  );
+  return getQuestion(r.recordset[0].id);
+}
+
+/**
+ * Adds or removes the caller's vote on an open question and recounts.
+ * Resolves to the new count, or null when the question is not open.
+ */
+async function setVote(questionId, userId, on) {
+  const r = await query(
+    `IF EXISTS (SELECT 1 FROM dbo.session_questions
+                 WHERE id=@p0 AND status='open' AND kind='question')
+     BEGIN
+       IF @p2 = 1
+         INSERT INTO dbo.session_question_votes (question_id, user_id)
+         SELECT @p0, @p1
+          WHERE NOT EXISTS (SELECT 1 FROM dbo.session_question_votes
+                             WHERE question_id=@p0 AND user_id=@p1);
+       ELSE
+         DELETE FROM dbo.session_question_votes
+          WHERE question_id=@p0 AND user_id=@p1;
+       UPDATE dbo.session_questions
+          SET upvotes = (SELECT COUNT(*) FROM dbo.session_question_votes
+                          WHERE question_id=@p0)
+        WHERE id=@p0;
+       SELECT upvotes FROM dbo.session_questions WHERE id=@p0;
+     END
+     ELSE
+       SELECT CAST(NULL AS INT) AS upvotes;`,
+    [Number(questionId), userId, on ? 1 : 0]
+  );
+  return r.recordset[0].upvotes;
+}
+
+// Moves a question to `status`; resolves to the updated row
+async function setStatus(questionId, status, resolvedBy) {
+  await query(
+    `UPDATE dbo.session_questions
+        SET status=@p1,
+            resolved_at = CASE WHEN @p1='open' THEN NULL ELSE SYSUTCDATETIME() END,
+            resolved_by = CASE WHEN @p1='open' THEN NULL ELSE @p2 END
+      WHERE id=@p0`,
+    [Number(questionId), status, resolvedBy]
+  );
+  return getQuestion(questionId);
+}
+
+/**
+ * `question_added`: one logged event (one seq) holding the anonymized
+ * entry, which is what replays send. Live, staff rooms get the version
+ * with the author under the same seq and students the anonymized one;
+ * sockets in both (admins) only get the staff version.
+ */
+async function emitQuestionAdded(io, row) {
+  const { mine, ...peer } = present(row);
+  const seq = await emitOfferingEvent(
+    null,
+    row.offering_id,
+    "question_added",
+    peer,
+    { audience: ["students", ...STAFF_ROOMS] }
+  );
+  if (!io) return;
+  const staffRooms = STAFF_ROOMS.map((a) => `off:${row.offering_id}:${a}`);
+  const withSeq = (payload) => (seq == null ? payload : { ...payload, seq });
+  io.to(staffRooms).emit(
+    "question_added",
+    withSeq(present(row, { staff: true }))
+  );
+  io.to(`off:${row.offering_id}:students`)
+    .except(staffRooms)
+    .emit("question_added", withSeq(peer));
+}
+
+// Votes and status changes carry no author, so one event for everybody
+async function emitQuestionUpdated(io, row) {
+  await emitOfferingEvent(io, row.offering_id, "question_updated", {
+    id: row.id,
+    offering_id: row.offering_id,
+    session_id: row.session_id,
+    kind: row.kind,
+    status: row.status,
+    upvotes: row.upvotes,
+    resolved_at: row.resolved_at,
+  });
+}
+
+module.exports = {
+  KINDS,
+  MODERATION_STATUSES,
+  MAX_LENGTH,
+  present,
+  getQuestion,
+  listQuestions,
+  openHand,
+  addQuestion,
+  setVote,
+  setStatus,
+  emitQuestionAdded,
+  emitQuestionUpdated,
+};
@@ -0,0 +1,249 @@
+// utils/reminders.js
+const { query } = require("../DB/dbConnection");
+const { emitOfferingEvent } = require("./offeringEvents");
+
+/**
+ * Background reminders (run once a minute by the leader process):
+ *  - `lecture_starting_soon` to off:<id>:all, lead_minutes before a weekly
+ *    slot (course_offerings.day_of_week/start_time, server local time) or a
+ *    planned course_sessions row
+ *  - `checkin_reminder` to user:<id> for assigned students who have not
+ *    checked in checkin_minutes after the session started
+ *
+ * Per offering in dbo.offering_settings; NULL uses REMINDER_LEAD_MINUTES /
+ * CHECKIN_REMINDER_MINUTES (default 10), 0 turns the reminder off.
+ * dbo.reminders_sent makes each reminder go out once.
+ */
+const DEFAULT_LEAD_MINUTES = Number(process.env.REMINDER_LEAD_MINUTES ?? 10);
+const DEFAULT_CHECKIN_MINUTES = Number(
+  process.env.CHECKIN_REMINDER_MINUTES ?? 10
+);
+const MAX_MINUTES = 180;
+// sessions started longer ago than this past their reminder time are skipped
+// (e.g. after the server was down)
+const CHECKIN_GRACE_MINUTES = 30;
+
+async function getReminderSettings(offeringId) {
+  const r = await query(
+    `SELECT reminder_lead_minutes, checkin_reminder_minutes
+       FROM dbo.offering_settings WHERE offering_id=@p0`,
+    [Number(offeringId)]
+  );
+  const row = r.recordset[0] || {};
+  return {
+    lead_minutes: row.reminder_lead_minutes ?? DEFAULT_LEAD_MINUTES,
+    checkin_minutes: row.checkin_reminder_minutes ?? DEFAULT_CHECKIN_MINUTES,
+    custom: {
+      lead_minutes: row.reminder_lead_minutes ?? null,
+      checkin_minutes: row.checkin_reminder_minutes ?? null,
+    },
+  };
+}
+
+// null resets a value to the default
+async function setReminderSettings(
+  offeringId,
+  { leadMinutes, checkinMinutes },
+  updatedBy
+) {
+  await query(
+    `MERGE dbo.offering_settings AS t
+     USING (SELECT @p0 AS offering_id) AS s
+        ON t.offering_id = s.offering_id
+     WHEN MATCHED THEN
+       UPDATE SET reminder_lead_minutes = @p1, checkin_reminder_minutes = @p2,
+                  updated_by = @p3, updated_at = SYSUTCDATETIME()
+     WHEN NOT MATCHED THEN
+       INSERT (offering_id, reminder_lead_minutes, checkin_reminder_minutes, updated_by)
+       VALUES (@p0, @p1, @p2, @p3);`,
+    [Number(offeringId), leadMinutes, checkinMinutes, updatedBy]
+  );
+  return getReminderSettings(offeringId);
+}
+
+// true when this process is the first to send (kind, offering, occurrence)
+async function claim(kind, offeringId, occurrence) {
+  const r = await query(
+    `INSERT INTO dbo.reminders_sent (kind, offering_id, occurrence)
+     SELECT @p0, @p1, @p2
+      WHERE NOT EXISTS (SELECT 1 FROM dbo.reminders_sent
+                         WHERE kind=@p0 AND offering_id=@p1 AND occurrence=@p2);
+     SELECT @@ROWCOUNT AS claimed;`,
+    [kind, offeringId, occurrence]
+  );
+  return r.recordset[0].claimed > 0;
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+const localTime = (d) =>
+  `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+
+// Start of the server-local day of `now` (compared with UTC started_at)
+function localMidnight(now) {
+  const d = new Date(now);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+// Lectures starting within their offering's lead time, weekly slots and
+// planned sessions merged (same offering + start minute = one lecture)
+async function upcomingLectures(now = new Date()) {
+  const slots = await query(
+    `SELECT o.id AS offering_id, c.name AS course_name, r.name AS room_name,
+            CONVERT(VARCHAR(8), o.start_time, 108) AS start_time
+       FROM dbo.course_offerings o
+       JOIN dbo.courses c ON c.id = o.course_id
+       LEFT JOIN dbo.rooms r ON r.id = o.primary_room_id
+       LEFT JOIN dbo.offering_settings st ON st.offering_id = o.id
+      WHERE o.day_of_week = @p0
+        AND o.start_time > CAST(@p1 AS TIME)
+        AND COALESCE(st.reminder_lead_minutes, @p2) > 0
+        AND DATEDIFF(MINUTE, CAST(@p1 AS TIME), o.start_time)
+              <= COALESCE(st.reminder_lead_minutes, @p2)
+        -- already started for this occurrence (today, up to the slot start);
+        -- a stale session left running from an earlier day does not count
+        AND NOT EXISTS (SELECT 1 FROM dbo.course_sessions cs
+                         WHERE cs.offering_id = o.id AND cs.status = 'started'
+                           AND cs.started_at >= @p3
+                           AND cs.started_at <= DATEADD(SECOND,
+                                 DATEDIFF(SECOND, 0, o.start_time), @p3))`,
+    [now.getDay(), localTime(now), DEFAULT_LEAD_MINUTES, localMidnight(now)]
+  );
+  const planned = await query(
+    `SELECT cs.id AS session_id, cs.offering_id, cs.planned_start_utc,
+            c.name AS course_name, r.name AS room_name
+       FROM dbo.course_sessions cs
+       JOIN dbo.course_offerings o ON o.id = cs.offering_id
+       JOIN dbo.courses c ON c.id = o.course_id
+       LEFT JOIN dbo.rooms r ON r.id = COALESCE(cs.room_id, o.primary_room_id)
+       LEFT JOIN dbo.offering_settings st ON st.offering_id = o.id
+      WHERE cs.started_at IS NULL AND cs.ended_at IS NULL
+        AND COALESCE(st.reminder_lead_minutes, @p0) > 0
+        AND cs.planned_start_utc > SYSUTCDATETIME()
+        AND cs.planned_start_utc <= DATEADD(MINUTE,
+              COALESCE(st.reminder_lead_minutes, @p0), SYSUTCDATETIME())`,
+    [DEFAULT_LEAD_MINUTES]
+  );
+
+  const byKey = new Map();
+  for (const s of slots.recordset) {
+    const [h, m, sec] = s.start_time.split(":").map(Number);
+    const startsAt = new Date(now);
+    startsAt.setHours(h, m, sec, 0);
+    byKey.set(`${s.offering_id}@${startsAt.toISOString().slice(0, 16)}`, {
+      ...s,
+      session_id: null,
+      starts_at: startsAt,
+    });
+  }
+  for (const p of planned.recordset) {
+    const startsAt = new Date(p.planned_start_utc);
+    const key = `${p.offering_id}@${startsAt.toISOString().slice(0, 16)}`;
+    const { planned_start_utc, ...rest } = p;
+    byKey.set(key, { ...rest, starts_at: startsAt });
+  }
+  return [...byKey.values()].map((lecture) => ({
+    ...lecture,
+    occurrence: lecture.starts_at.toISOString().slice(0, 16),
+  }));
+}
+
+async function sendStartingSoon(io, now = new Date()) {
+  for (const l of await upcomingLectures(now)) {
+    if (!(await claim("starting_soon", l.offering_id, l.occurrence))) continue;
+    await emitOfferingEvent(
+      io,
+      l.offering_id,
+      "lecture_starting_soon",
+      {
+        offering_id: l.offering_id,
+        session_id: l.session_id,
+        course_name: l.course_name,
+        room_name: l.room_name || null,
+        starts_at: l.starts_at.toISOString(),
+        minutes_left: Math.max(0, Math.round((l.starts_at - now) / 60000)),
+      },
+      { audience: ["all"] }
+    );
+  }
+}
+
+async function sendCheckinReminders(io) {
+  const due = await query(
+    `SELECT cs.id AS session_id, cs.offering_id, cs.started_at,
+            COALESCE(st.checkin_reminder_minutes, @p0) AS after_minutes
+       FROM dbo.course_sessions cs
+       LEFT JOIN dbo.offering_settings st ON st.offering_id = cs.offering_id
+      WHERE cs.status = 'started'
+        AND COALESCE(st.checkin_reminder_minutes, @p0) > 0
+        AND cs.started_at <= DATEADD(MINUTE,
+              -COALESCE(st.checkin_reminder_minutes, @p0), SYSUTCDATETIME())
+        AND cs.started_at > DATEADD(MINUTE,
+              -COALESCE(st.checkin_reminder_minutes, @p0) - @p1, SYSUTCDATETIME())`,
+    [DEFAULT_CHECKIN_MINUTES, CHECKIN_GRACE_MINUTES]
+  );
+
+  for (const s of due.recordset) {
+    if (!(await claim("checkin", s.offering_id, String(s.session_id)))) {
+      continue;
+    }
+    const missing = await query(
+      `SELECT oa.user_id
+         FROM dbo.offering_assignments oa
+        WHERE oa.offering_id = @p0 AND oa.role = 'student'
+          AND NOT EXISTS (SELECT 1 FROM dbo.attendance_records ar
+                           WHERE ar.session_id = @p1 AND ar.user_id = oa.user_id
+                             AND ar.check_in_at IS NOT NULL)`,
+      [s.offering_id, s.session_id]
+    );
+    if (!missing.recordset.length) continue;
+    io.to(missing.recordset.map((r) => `user:${r.user_id}`)).emit(
+      "checkin_reminder",
+      {
+        offering_id: s.offering_id,
+        session_id: s.session_id,
+        started_at: s.started_at,
+        minutes_since_start: s.after_minutes,
+      }
+    );
+    console.log(
+      `[REMINDERS] check-in reminder: offering ${s.offering_id}, ${missing.recordset.length} students`
+    );
+  }
+}
+
+async function purgeSentReminders() {
+  await query(
+    `DELETE FROM dbo.reminders_sent WHERE sent_at < DATEADD(DAY, -7, SYSUTCDATETIME())`
+  );
+}
+
+// Starts the once-a-minute loop; call on one process only
+function startReminders(io) {
+  let running = false;
+  let ticks = 0;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sendStartingSoon(io);
+      await sendCheckinReminders(io);
+      if (ticks++ % 60 === 0) await purgeSentReminders();
+    } catch (e) {
+      console.error("reminders error:", e?.message || e);
+    } finally {
+      running = false;
+    }
+  };
+  return setInterval(tick, 60 * 1000).unref();
+}
+
+module.exports = {
+  DEFAULT_LEAD_MINUTES,
+  DEFAULT_CHECKIN_MINUTES,
+  MAX_MINUTES,
+  getReminderSettings,
+  setReminderSettings,
+  upcomingLectures,
+  startReminders,
+};
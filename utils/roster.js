@@ -0,0 +1,138 @@
+// utils/roster.js
+const { query } = require("../DB/dbConnection");
+const { getAssistantCapabilities } = require("./assistantCapabilities");
+const { emitOfferingEvent, latestSeq } = require("./offeringEvents");
+const { getAttendanceRules } = require("./attendanceRules");
+
+/**
+ * Live attendance roster of an offering: every assigned student with the
+ * attendance of the active session. Teachers (and assistants with
+ * view_roster) get a snapshot when they join the offering rooms and
+ * enriched `attendance_updated` deltas afterwards.
+ *
+ * `late` / attendance_status come from the offering's thresholds
+ * (utils/attendanceRules), stored when the student checked in.
+ */
+
+// The running session, else today's latest one; null when there is none
+async function activeSession(offeringId) {
+  const r = await query(
+    `SELECT TOP 1 id, status, planned_start_utc, started_at, ended_at
+       FROM dbo.course_sessions
+      WHERE offering_id=@p0
+        AND (status='started'
+             OR CAST(planned_start_utc AS DATE) = CAST(SYSUTCDATETIME() AS DATE))
+      ORDER BY CASE WHEN status='started' THEN 0 ELSE 1 END,
+               planned_start_utc DESC, id DESC`,
+    [Number(offeringId)]
+  );
+  return r.recordset[0] || null;
+}
+
+// @p0 = offering, @p1 = session (0 when none)
+const ENTRY_SQL = `
+  SELECT u.id AS user_id, u.name, u.email,
+         ar.status AS attendance_status,
+         ar.check_in_at, ar.check_out_at,
+         CASE WHEN ar.status = 'late' THEN 1 ELSE 0 END AS late
+    FROM dbo.offering_assignments oa
+    JOIN dbo.users u ON u.id = oa.user_id
+    LEFT JOIN dbo.attendance_records ar
+           ON ar.user_id = u.id AND ar.session_id = @p1
+   WHERE oa.offering_id=@p0 AND oa.role='student'`;
+
+function present(row) {
+  let state = "not_checked_in";
+  // absent / excused set by staff win over the check-in times
+  if (["absent", "excused"].includes(row.attendance_status)) {
+    state = row.attendance_status;
+  } else if (row.check_out_at) state = "left";
+  else if (row.check_in_at) state = "present";
+  return { ...row, late: !!row.late, state };
+}
+
+/**
+ * Full roster for the active session (or `session` when given):
+ * { offering_id, seq, session_id, session_status, started_at,
+ *   on_time_minutes, absent_after_minutes, total, checked_in, students[] }
+ */
+async function getRosterSnapshot(offeringId, session) {
+  const offering_id = Number(offeringId);
+  if (session === undefined) session = await activeSession(offering_id);
+  const r = await query(`${ENTRY_SQL} ORDER BY u.name`, [
+    offering_id,
+    session ? session.id : 0,
+  ]);
+  const students = r.recordset.map(present);
+  const rules = await getAttendanceRules(offering_id);
+  return {
+    offering_id,
+    seq: await latestSeq(offering_id), // deltas with a higher seq are newer
+    session_id: session ? session.id : null,
+    session_status: session ? session.status : "pending",
+    started_at: session ? session.started_at : null,
+    on_time_minutes: rules.on_time_minutes,
+    absent_after_minutes: rules.absent_after_minutes,
+    total: students.length,
+    checked_in: students.filter((s) => s.check_in_at).length,
+    students,
+  };
+}
+
+// One student's roster row (null when not assigned as a student)
+async function getRosterEntry(offeringId, sessionId, userId) {
+  const r = await query(`${ENTRY_SQL} AND u.id=@p2`, [
+    Number(offeringId),
+    sessionId,
+    userId,
+  ]);
+  return r.recordset[0] ? present(r.recordset[0]) : null;
+}
+
+// Offering rooms allowed to see the roster: teachers (admins join it too)
+// and assistants when the offering grants view_roster
+async function rosterAudience(offeringId) {
+  const caps = await getAssistantCapabilities(offeringId);
+  return caps.includes("view_roster")
+    ? ["teachers", "assistants"]
+    : ["teachers"];
+}
+
+/**
+ * Sends `attendance_updated` for one student, with the roster row
+ * (name, check-in/out, late) merged into `change`.
+ */
+async function emitAttendanceUpdate(io, offeringId, sessionId, userId, change) {
+  if (!io) return;
+  const entry = await getRosterEntry(offeringId, sessionId, userId);
+  const update = {
+    ...entry,
+    ...change,
+    offering_id: offeringId,
+    session_id: sessionId,
+    user_id: userId,
+    at: new Date().toISOString(),
+  };
+  await emitOfferingEvent(io, offeringId, "attendance_updated", update, {
+    audience: await rosterAudience(offeringId),
+  });
+}
+
+// Pushes a fresh snapshot to everyone watching the roster
+async function emitRosterSnapshot(io, offeringId) {
+  if (!io) return;
+  const snapshot = await getRosterSnapshot(offeringId);
+  const audience = await rosterAudience(offeringId);
+  io.to(audience.map((a) => `off:${offeringId}:${a}`)).emit(
+    "roster_snapshot",
+    snapshot
+  );
+}
+
+module.exports = {
+  activeSession,
+  getRosterSnapshot,
+  getRosterEntry,
+  emitAttendanceUpdate,
+  emitRosterSnapshot,
+};
@@ -0,0 +1,86 @@
+// utils/sessionCodes.js
+const { query } = require("../DB/dbConnection");
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  sealSecret,
+  openSecret,
+} = require("./totp");
+
+/**
+ * Rotating attendance codes. Starting a lecture gives its course_sessions
+ * row a fresh secret (dbo.session_codes, sealed like the MFA secrets); the
+ * room display / teacher screen shows the current code
+ * (GET /lecture-sessions/code) and students send it with their check-in.
+ *
+ * ATTENDANCE_CODE_STEP_SECONDS (default 30) is how long a code lasts,
+ * 0 turns rotating codes off (back to the static modulation_string).
+ * ATTENDANCE_CODE_WINDOW (default 1) is how many steps before / after the
+ * current one are still accepted (clock skew, slow typing).
+ */
+const STEP_SECONDS = Number(process.env.ATTENDANCE_CODE_STEP_SECONDS ?? 30);
+const WINDOW = Number(process.env.ATTENDANCE_CODE_WINDOW ?? 1);
+const enabled = () => STEP_SECONDS > 0;
+
+// New secret for the session (a restarted session gets a new one)
+async function createSessionCode(sessionId) {
+  if (!enabled()) return;
+  await query(
+    `MERGE dbo.session_codes AS t
+     USING (SELECT @p0 AS session_id) AS s
+        ON t.session_id = s.session_id
+     WHEN MATCHED THEN
+       UPDATE SET secret = @p1, step_seconds = @p2, created_at = SYSUTCDATETIME()
+     WHEN NOT MATCHED THEN
+       INSERT (session_id, secret, step_seconds) VALUES (@p0, @p1, @p2);`,
+    [sessionId, sealSecret(generateSecret()), STEP_SECONDS]
+  );
+}
+
+// { secret, step } or null when the session has no rotating code
+async function sessionSecret(sessionId) {
+  const r = await query(
+    `SELECT secret, step_seconds FROM dbo.session_codes WHERE session_id=@p0`,
+    [sessionId]
+  );
+  const row = r.recordset[0];
+  if (!row) return null;
+  return { secret: openSecret(row.secret), step: row.step_seconds };
+}
+
+/**
+ * The code to display right now:
+ * { code, step_seconds, expires_at, expires_in } or null.
+ */
+async function currentCode(sessionId, time = Date.now()) {
+  const s = await sessionSecret(sessionId);
+  if (!s) return null;
+  const stepMs = s.step * 1000;
+  const expires = (Math.floor(time / stepMs) + 1) * stepMs;
+  return {
+    code: generateCode(s.secret, { time, step: s.step }),
+    step_seconds: s.step,
+    expires_at: new Date(expires).toISOString(),
+    expires_in: Math.ceil((expires - time) / 1000),
+  };
+}
+
+/**
+ * Resolves to null when the session has no rotating code (callers fall
+ * back to the static check), else to whether `code` is valid now.
+ */
+async function checkSessionCode(sessionId, code, time = Date.now()) {
+  const s = await sessionSecret(sessionId);
+  if (!s) return null;
+  return (
+    verifyCode(s.secret, code, { window: WINDOW, time, step: s.step }) !== null
+  );
+}
+
+module.exports = {
+  STEP_SECONDS,
+  createSessionCode,
+  currentCode,
+  checkSessionCode,
+};
@@ -0,0 +1,304 @@
+// utils/sockets.js
+const { verifyToken } = require("./tokens");
+const { isSessionActive } = require("./authSessions");
+const { can, offeringRole } = require("./authz");
+const { getAssistantCapabilities } = require("./assistantCapabilities");
+const { activeSession, getRosterSnapshot } = require("./roster");
+const { latestSeq, replayEvents } = require("./offeringEvents");
+const { query } = require("../DB/dbConnection");
+
+/**
+ * Socket.IO server options. Short drops (lecture hall Wi-Fi): the client
+ * gets its rooms back and the packets it missed; longer gaps are covered by
+ * join-offering { last_seq }.
+ *
+ * A recovered connection is a new Socket, and only its rooms and
+ * socket.data are restored, so the identity lives in socket.data.user and
+ * the auth middleware runs again (token expiry, revoked session).
+ */
+const connectionStateRecovery = {
+  maxDisconnectionDuration: 2 * 60 * 1000,
+  skipMiddlewares: false,
+};
+
+// Socket.IO auth (runs again for recovered connections)
+async function authenticateSocket(socket, next) {
+  try {
+    const token = socket.handshake.auth?.token;
+    if (!token) return next(new Error("no token"));
+    const user = verifyToken(token);
+    if (user.typ === "limited") {
+      // e.g. password change still pending: no realtime access yet
+      return next(new Error(`${user.purpose} required`));
+    }
+    if (user.typ === "impersonation") {
+      // "view as user" is HTTP-only and read-only
+      return next(new Error("impersonation not allowed"));
+    }
+    if (!(await isSessionActive(user.sid))) {
+      return next(new Error("session revoked"));
+    }
+    socket.data.user = { id: user.id, role: user.role, sid: user.sid };
+    socket.join(`user:${user.id}`);
+    // lets logout / admin revoke disconnect exactly this login's sockets
+    socket.join(`session:${user.sid}`);
+    next();
+  } catch (err) {
+    next(new Error("bad token"));
+  }
+}
+
+/**
+ * Joins the offering rooms after the permission check. A client resuming
+ * with `lastSeq` gets the events it missed (see replayEvents); a fresh join
+ * (no lastSeq) gets no replay, only the current state: the running session
+ * in join-ok and, for roster watchers, a roster snapshot.
+ */
+async function joinOfferingRooms(socket, offeringId, lastSeq = null) {
+  const role = (socket.data.user.role || "").toLowerCase();
+  let capabilities;
+
+  // admin can always join; otherwise must be assigned
+  if (role !== "admin") {
+    const assignedRole = await offeringRole(socket.data.user.id, offeringId);
+    const allowed = await can(socket.data.user, "offering:view", {
+      offering_id: offeringId,
+      assignment_role: assignedRole,
+    });
+    if (!allowed) {
+      socket.emit("join-denied", {
+        offering_id: offeringId,
+        reason: "not assigned",
+      });
+      return;
+    }
+    if (assignedRole === "student") socket.join(`off:${offeringId}:students`);
+    if (assignedRole === "teacher") socket.join(`off:${offeringId}:teachers`);
+    if (assignedRole === "assistant") {
+      socket.join(`off:${offeringId}:assistants`);
+      capabilities = await getAssistantCapabilities(offeringId);
+    }
+  } else {
+    // admin joins both teacher & student rooms logically
+    socket.join(`off:${offeringId}:teachers`);
+    socket.join(`off:${offeringId}:students`);
+  }
+
+  socket.join(`off:${offeringId}:all`);
+  const session = await activeSession(offeringId);
+  socket.emit("join-ok", {
+    offering_id: offeringId,
+    role,
+    capabilities,
+    last_seq: await latestSeq(offeringId),
+    session,
+  });
+
+  // roster watchers start from a full snapshot, then get deltas
+  const watchesRoster =
+    socket.rooms.has(`off:${offeringId}:teachers`) ||
+    (capabilities && capabilities.includes("view_roster"));
+  if (lastSeq != null) {
+    const { truncated } = await replayEvents(
+      socket,
+      offeringId,
+      lastSeq,
+      // the snapshot below already contains every attendance change
+      watchesRoster ? ["attendance_updated"] : []
+    );
+    if (truncated) {
+      socket.emit("replay-truncated", { offering_id: offeringId });
+    }
+  }
+  if (watchesRoster) {
+    socket.emit(
+      "roster_snapshot",
+      await getRosterSnapshot(offeringId, session)
+    );
+  }
+}
+
+function leaveOfferingRooms(socket, offeringId) {
+  socket.leave(`off:${offeringId}:students`);
+  socket.leave(`off:${offeringId}:teachers`);
+  socket.leave(`off:${offeringId}:assistants`);
+  socket.leave(`off:${offeringId}:all`);
+}
+
+function attachSockets(io) {
+  io.use(authenticateSocket);
+
+  io.on("connection", (socket) => {
+    console.log(
+      "🔌 [SOCKET] Client connected:",
+      socket.id,
+      "user:",
+      socket.data.user,
+      socket.recovered ? "(state recovered)" : ""
+    );
+
+    /* =========================================================
+       1) JOIN OFFERING (preferred for new clients)
+       ========================================================= */
+    // payload: offeringId, or { offering_id, last_seq } when resuming
+    socket.on("join-offering", async (payload) => {
+      const offeringId =
+        payload && typeof payload === "object" ? payload.offering_id : payload;
+      try {
+        console.log(
+          "➡️ [SOCKET] join-offering request → user:",
+          socket.data.user?.id,
+          "offeringId:",
+          offeringId
+        );
+
+        await joinOfferingRooms(socket, offeringId, payload?.last_seq);
+
+        console.log(
+          "✅ [SOCKET] join-offering success → user:",
+          socket.data.user?.id,
+          "offeringId:",
+          offeringId
+        );
+      } catch (e) {
+        console.error("❌ [SOCKET] join-offering error:", e);
+        socket.emit("join-denied", {
+          offering_id: offeringId,
+          reason: "server error",
+        });
+      }
+    });
+
+    /* =========================================================
+       2) LEAVE OFFERING
+       ========================================================= */
+    socket.on("leave-offering", (offeringId) => {
+      console.log(
+        "↩️ [SOCKET] leave-offering → user:",
+        socket.data.user?.id,
+        "offeringId:",
+        offeringId
+      );
+      leaveOfferingRooms(socket, offeringId);
+    });
+
+    /* =========================================================
+       3) JOIN LECTURE (legacy compatibility)
+          - tries to map lecture → offering via map_lecture_offering
+          - if not found, treats lectureId as offeringId directly
+       ========================================================= */
+    socket.on("join-lecture", async (lectureId) => {
+      try {
+        console.log(
+          "➡️ [SOCKET] join-lecture request → user:",
+          socket.data.user?.id,
+          "lectureId:",
+          lectureId
+        );
+
+        const m = await query(
+          `SELECT offering_id FROM dbo.map_lecture_offering WHERE lecture_id=@p0`,
+          [lectureId]
+        );
+
+        let offeringId = m.recordset[0]?.offering_id || null;
+
+        if (!offeringId) {
+          // fallback: maybe client sent offering_id directly
+          offeringId = Number(lectureId);
+          console.log(
+            "⚠️ [SOCKET] join-lecture fallback → no map found, using lectureId as offeringId:",
+            offeringId
+          );
+        } else {
+          socket.emit("mapped-offering", {
+            lecture_id: lectureId,
+            offering_id: offeringId,
+          });
+          console.log(
+            "✅ [SOCKET] join-lecture mapped → lectureId:",
+            lectureId,
+            "→ offeringId:",
+            offeringId
+          );
+        }
+
+        await joinOfferingRooms(socket, offeringId);
+
+        console.log(
+          "✅ [SOCKET] join-lecture success → user:",
+          socket.data.user?.id,
+          "offeringId:",
+          offeringId
+        );
+      } catch (e) {
+        console.error("❌ [SOCKET] join-lecture error:", e);
+        socket.emit("join-denied", {
+          lecture_id: lectureId,
+          reason: "server error",
+        });
+      }
+    });
+
+    /* =========================================================
+       4) LEAVE LECTURE (legacy)
+       ========================================================= */
+    socket.on("leave-lecture", async (lectureId) => {
+      try {
+        console.log(
+          "↩️ [SOCKET] leave-lecture → user:",
+          socket.data.user?.id,
+          "lectureId:",
+          lectureId
+        );
+
+        const m = await query(
+          `SELECT offering_id FROM dbo.map_lecture_offering WHERE lecture_id=@p0`,
+          [lectureId]
+        );
+
+        const offeringId = m.recordset[0]?.offering_id || Number(lectureId);
+
+        leaveOfferingRooms(socket, offeringId);
+
+        console.log(
+          "✅ [SOCKET] leave-lecture success → user:",
+          socket.data.user?.id,
+          "offeringId:",
+          offeringId
+        );
+      } catch (e) {
+        console.error("❌ [SOCKET] leave-lecture error:", e);
+      }
+    });
+
+    /* =========================================================
+       5) PING TEST (for debug)
+       ========================================================= */
+    socket.on("ping-test", (data) => {
+      console.log(
+        "📡 [SOCKET] ping-test from:",
+        socket.data.user?.id,
+        "data:",
+        data
+      );
+      socket.emit("pong-test", {
+        echo: data || true,
+        time: new Date().toISOString(),
+      });
+    });
+
+    /* =========================================================
+       6) DISCONNECT
+       ========================================================= */
+    socket.on("disconnect", (reason) => {
+      console.log("🔴 [SOCKET] Disconnected:", socket.id, "reason:", reason);
+    });
+  });
+}
+
+module.exports = {
+  connectionStateRecovery,
+  authenticateSocket,
+  attachSockets,
+};
@@ -0,0 +1,113 @@
+// utils/tokens.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+require("dotenv").config();
+
+const JWT_SECRET = process.env.JWT_SECRET || "supersecret";
+
+// Access tokens are short-lived; clients renew them via POST /auth/refresh
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+// Limited tokens only unlock one follow-up step (e.g. changing the password)
+const LIMITED_TOKEN_TTL = process.env.LIMITED_TOKEN_TTL || "10m";
+
+/**
+ * Signs an access token for a user bound to an auth session (sid).
+ * Returns { token, expires_in } where expires_in is in seconds.
+ */
+function signAccessToken(user, sessionId) {
+  const token = jwt.sign(
+    { id: user.id, role: user.role, sid: sessionId, typ: "access" },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { token, expires_in: exp - iat };
+}
+
+/**
+ * Signs a limited token that is only accepted by endpoints that opt in to
+ * its purpose (see middleware/auth.js `auth.allowing`). It carries no
+ * session; `claims` may keep state needed to finish the login (e.g. udid).
+ */
+function signLimitedToken(user, purpose, claims = {}) {
+  const token = jwt.sign(
+    { ...claims, id: user.id, role: user.role, typ: "limited", purpose },
+    JWT_SECRET,
+    { expiresIn: LIMITED_TOKEN_TTL }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { token, expires_in: exp - iat };
+}
+
+/**
+ * Signs a token that lets an admin (`actorId`) act as `user` while the
+ * impersonation grant `grantId` is active (see utils/impersonation.js).
+ */
+function signImpersonationToken(user, { grantId, actorId, readOnly, ttlSec }) {
+  const token = jwt.sign(
+    {
+      id: user.id,
+      role: user.role,
+      typ: "impersonation",
+      gid: grantId,
+      act: { id: actorId },
+      ro: !!readOnly,
+    },
+    JWT_SECRET,
+    { expiresIn: ttlSec }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { token, expires_in: exp - iat };
+}
+
+/**
+ * Verifies an access, limited or impersonation token; callers decide what
+ * each type may do.
+ */
+function verifyToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET, { clockTolerance: 30 });
+  if (decoded.typ === "access" && decoded.sid) return decoded;
+  if (decoded.typ === "limited" && decoded.purpose) return decoded;
+  if (decoded.typ === "impersonation" && decoded.gid && decoded.act?.id) {
+    return decoded;
+  }
+  throw new jwt.JsonWebTokenError("unsupported token type");
+}
+
+/**
+ * Verifies an access token. Throws (like jwt.verify) when the token is
+ * invalid, expired, or not an access token (e.g. an old 365-day token).
+ */
+function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET, { clockTolerance: 30 });
+  if (decoded.typ !== "access" || !decoded.sid) {
+    throw new jwt.JsonWebTokenError("not an access token");
+  }
+  return decoded;
+}
+
+// Opaque refresh token; only its SHA-256 hash is stored server-side
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+function hashToken(raw) {
+  return crypto.createHash("sha256").update(String(raw)).digest("hex");
+}
+
+function refreshExpiry(from = new Date()) {
+  return new Date(from.getTime() + REFRESH_TOKEN_TTL_DAYS * 86400 * 1000);
+}
+
+module.exports = {
+  JWT_SECRET,
+  signAccessToken,
+  signLimitedToken,
+  signImpersonationToken,
+  verifyToken,
+  verifyAccessToken,
+  newRefreshToken,
+  hashToken,
+  refreshExpiry,
+};
@@ -0,0 +1,149 @@
+// utils/totp.js
+const crypto = require("crypto");
+const { JWT_SECRET } = require("./tokens");
+
+/**
+ * RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30s steps —
+ * the defaults every authenticator app understands).
+ */
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str)
+    .toUpperCase()
+    .replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// 160-bit secret, base32 encoded (what goes into the otpauth:// URL)
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secret, counter, digits = DIGITS) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(msg)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const bin = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** digits).padStart(digits, "0");
+}
+
+const stepAt = (time = Date.now(), step = STEP_SECONDS) =>
+  Math.floor(time / 1000 / step);
+
+function generateCode(secret, { time = Date.now(), step = STEP_SECONDS } = {}) {
+  return hotp(secret, stepAt(time, step));
+}
+
+/**
+ * Checks a code against the current step ± window (clock drift).
+ * Returns the matching step number, or null. Callers store the step and
+ * pass it back as `afterStep` so the same code cannot be replayed.
+ */
+function verifyCode(
+  secret,
+  code,
+  { window = 1, time = Date.now(), step = STEP_SECONDS, afterStep = null } = {}
+) {
+  const given = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(given)) return null;
+  const now = stepAt(time, step);
+  for (let i = -window; i <= window; i++) {
+    const s = now + i;
+    if (afterStep !== null && s <= afterStep) continue;
+    const expected = hotp(secret, s, given.length);
+    if (
+      expected.length === given.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))
+    ) {
+      return s;
+    }
+  }
+  return null;
+}
+
+function otpauthUrl({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// ---- secrets at rest (AES-256-GCM) ----
+// TOTP_ENCRYPTION_KEY should be set in production; changing it makes the
+// stored secrets unreadable (admins then have to re-enroll).
+const KEY = crypto
+  .createHash("sha256")
+  .update(process.env.TOTP_ENCRYPTION_KEY || `totp:${JWT_SECRET}`)
+  .digest();
+
+function sealSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", KEY, iv);
+  const enc = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc]
+    .map((b) => b.toString("base64url"))
+    .join(".");
+}
+
+function openSecret(sealed) {
+  const [iv, tag, enc] = String(sealed)
+    .split(".")
+    .map((p) => Buffer.from(p, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString(
+    "utf8"
+  );
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  otpauthUrl,
+  sealSecret,
+  openSecret,
+  base32Encode,
+  base32Decode,
+};
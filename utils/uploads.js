@@ -0,0 +1,86 @@
+// utils/uploads.js
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const multer = require("multer");
+
+/**
+ * Multer pipeline shared by the upload routes: local disk, random-prefixed
+ * file names, 25MB and a list of document / image types.
+ *
+ * UPLOAD_DIR is served publicly under /uploads; anything that must stay
+ * behind auth (e.g. excuse documents) goes to PRIVATE_UPLOAD_DIR and is
+ * streamed by its route.
+ */
+const UPLOAD_DIR = path.join(process.cwd(), "uploads");
+const PRIVATE_UPLOAD_DIR = path.join(process.cwd(), "private_uploads");
+
+const ALLOWED_TYPES = new Set([
+  "application/pdf",
+  "application/zip",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  "application/vnd.ms-powerpoint",
+  "image/png",
+  "image/jpeg",
+  "text/plain",
+  "application/octet-stream", // Postman sometimes uses this
+]);
+
+// multer instance writing to `dir` (created if missing)
+function createUpload(
+  dir = UPLOAD_DIR,
+  { maxFileSize = 25 * 1024 * 1024 } = {}
+) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => cb(null, dir),
+    filename: (req, file, cb) => {
+      const safeName = (file.originalname || "file").replace(/[^\w.\-]+/g, "_");
+      const rand = crypto.randomBytes(8).toString("hex");
+      cb(null, `${Date.now()}_${rand}_${safeName}`);
+    },
+  });
+
+  return multer({
+    storage,
+    limits: { fileSize: maxFileSize },
+    fileFilter: (req, file, cb) => {
+      if (ALLOWED_TYPES.has(file.mimetype)) return cb(null, true);
+      return cb(new Error("Unsupported file type"));
+    },
+  });
+}
+
+// Deletes uploaded files of a rejected request (req.file / req.files)
+function discardUploads(req) {
+  const files = [].concat(req.file || [], req.files || []);
+  for (const f of files) {
+    try {
+      fs.unlinkSync(f.path);
+    } catch {}
+  }
+}
+
+// Router-level handler: clearer 400s for multer rejections
+function uploadErrors(err, req, res, next) {
+  if (err && err.message === "Unsupported file type") {
+    return res.status(400).json({ status: false, error: err.message });
+  }
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({ status: false, error: err.message });
+  }
+  next(err);
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  PRIVATE_UPLOAD_DIR,
+  createUpload,
+  discardUploads,
+  uploadErrors,
+};
@@ -0,0 +1,76 @@
+// utils/userProvisioning.js
+const { query } = require("../DB/dbConnection");
+
+/**
+ * Shared by admin-created users (POST /dashboard/users) and invitation
+ * sign-ups (POST /auth/register): validates the level/department pair and
+ * lets dbo.AutoAssignSectionGroup pick a section + group.
+ */
+
+const EMAIL_RE = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+const cleanEmail = (email) =>
+  String(email || "")
+    .trim()
+    .toLowerCase();
+
+// Returns { department_name } or { error } (message for a 400 response)
+async function checkLevelDepartment(levelId, departmentId) {
+  const lvl = await query("SELECT id FROM dbo.levels WHERE id=@p0", [
+    Number(levelId),
+  ]);
+  if (!lvl.recordset.length) return { error: "Invalid level_id" };
+
+  const dep = await query("SELECT id, name FROM dbo.departments WHERE id=@p0", [
+    Number(departmentId),
+  ]);
+  if (!dep.recordset.length) return { error: "Invalid department_id" };
+
+  return { department_name: dep.recordset[0].name || null };
+}
+
+/**
+ * Runs dbo.AutoAssignSectionGroup for the level/department.
+ * Returns { section_id, group_id, section_name, group_name } or null when
+ * no section/group is available.
+ */
+async function autoAssignSectionGroup(levelId, departmentId) {
+  const picked = await query(
+    `DECLARE @sid INT, @gid INT;
+     EXEC dbo.AutoAssignSectionGroup
+       @LevelId=@p0,
+       @DepartmentId=@p1,
+       @OutSectionId=@sid OUTPUT,
+       @OutGroupId=@gid OUTPUT;
+     SELECT @sid AS section_id, @gid AS group_id;`,
+    [Number(levelId), Number(departmentId)]
+  );
+  const section_id = picked.recordset[0]?.section_id;
+  const group_id = picked.recordset[0]?.group_id;
+  if (!section_id || !group_id) return null;
+
+  const names = await query(
+    `SELECT s.name AS section_name, g.name AS group_name
+       FROM dbo.sections s
+       LEFT JOIN dbo.groups g ON g.id=@p1
+      WHERE s.id=@p0`,
+    [section_id, group_id]
+  );
+  return {
+    section_id,
+    group_id,
+    section_name: names.recordset[0]?.section_name || null,
+    group_name: names.recordset[0]?.group_name || null,
+  };
+}
+
+const AUTO_ASSIGN_FAILED =
+  "Auto assignment failed: no section/group available for this level/department";
+
+module.exports = {
+  EMAIL_RE,
+  cleanEmail,
+  checkLevelDepartment,
+  autoAssignSectionGroup,
+  AUTO_ASSIGN_FAILED,
+};